@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+// aps-ocr.mjs
+// Pipeline “sans interface” : PDF → texte (natif ou OCR) → JSON, pour traiter des lots de plans APS.
+// Réutilise le PDF.js vendoré (docs/vendor/pdfjs) et exactement le même parseur que la page web.
+//
+// Dépendances facultatives (uniquement pour les pages sans texte natif, donc à passer en OCR) :
+//   npm install tesseract.js @napi-rs/canvas
+//
+// Exemples :
+//   node cli/aps-ocr.mjs plans/                       → plan.ocr.txt + plan.parsed.json à côté de chaque PDF
+//   node cli/aps-ocr.mjs --pages all --dpi 300 -o out/ a.pdf b.pdf
+//   node cli/aps-ocr.mjs --ndjson resultats.ndjson archives/
+//   node cli/aps-ocr.mjs ancien.ocr.txt                → re-parsing seul (pas d’OCR)
+//   node cli/aps-ocr.mjs --regions be-x.zones.json plans/  → lecture des seules zones du modèle (exporté de la page web)
+//   node cli/aps-ocr.mjs --rules aveyron.regles.json plans/ → parsing avec un profil de règles (exporté de la page web)
+//
+// Communes des postes : docs/data/communes.json, livré avec la page (cf. cli/build-communes.mjs), ou
+// --communes ; sans référentiel, seul le département du code INSEE est contrôlé.
+
+import { readFile, readdir, stat, writeFile, mkdir } from "node:fs/promises";
+import { createWriteStream } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { createCommuneReferential } from "../docs/communes.js";
+import { parseOcrTextToProject } from "../docs/parser.js";
+import { loadDefaultParserRules, parseRulesProfile } from "../docs/parserrules.js";
+import { extractPageText, extractRegionTexts, hasUsableText } from "../docs/pdftext.js";
+import { PREPROCESS_MODES, preprocessImage } from "../docs/preprocess.js";
+import { parseTemplate, regionToPixels } from "../docs/regions.js";
+import { buildTopology } from "../docs/topology.js";
+import { loadProjectSchema, validateProject } from "../docs/validator.js";
+import {
+  DEFAULT_DPI,
+  DPI_CHOICES,
+  TESSERACT_LANG,
+  TESSERACT_PARAMS,
+  dpiToScale,
+  formatPageBlock,
+  formatRegionBlock,
+  selectPages,
+} from "../docs/pipeline.js";
+
+const PDFJS_DIR = new URL("../docs/vendor/pdfjs/", import.meta.url);
+const COMMUNES_FILE = new URL("../docs/data/communes.json", import.meta.url);
+
+const OCR_TXT_SUFFIX = ".ocr.txt";
+const PARSED_SUFFIX = ".parsed.json";
+const TOPOLOGY_SUFFIX = ".topology.json";
+
+const USAGE = `Usage : node cli/aps-ocr.mjs [options] <fichier.pdf | fichier.ocr.txt | dossier>...
+
+Options :
+  --pages <first|all|A-B>   pages à traiter (défaut : first, comme l’interface)
+  --dpi <150|200|300>       résolution de rendu pour l’OCR (défaut : ${DEFAULT_DPI})
+  --force-ocr               ignorer le texte natif du PDF et tout passer en OCR
+  --regions <modele.json>   ne lire que les zones d’un modèle de zones (export .zones.json de la page web)
+  --preprocess <mode>       pré-traitement de l’image avant OCR : off, grey, otsu, adaptive (défaut : off)
+  --reocr                   dans un dossier, retraiter le PDF même si un .ocr.txt existe déjà
+  --shape <legacy|normalized>  forme du JSON (défaut : legacy)
+  --communes <fichier.json> référentiel des communes (défaut : docs/data/communes.json s’il existe)
+  --rules <profil.json>     profil de règles d’extraction (export .regles.json de la page web ; défaut : intégré)
+  --topology                écrire aussi le modèle de réseau (.topology.json, ou champ "topology" en NDJSON)
+  -o, --out <dossier>       dossier de sortie (défaut : à côté de chaque fichier)
+  --ndjson <fichier|->      écrire un seul flux NDJSON (une ligne par plan) au lieu des fichiers
+  --lang <code>             langue Tesseract (défaut : ${TESSERACT_LANG})
+  -h, --help                afficher cette aide`;
+
+/* -------------------------
+   Arguments
+-------------------------- */
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      pages: { type: "string", default: "first" },
+      dpi: { type: "string", default: String(DEFAULT_DPI) },
+      "force-ocr": { type: "boolean", default: false },
+      regions: { type: "string" },
+      preprocess: { type: "string", default: "off" },
+      reocr: { type: "boolean", default: false },
+      shape: { type: "string", default: "legacy" },
+      communes: { type: "string" },
+      rules: { type: "string" },
+      topology: { type: "boolean", default: false },
+      out: { type: "string", short: "o" },
+      ndjson: { type: "string" },
+      lang: { type: "string", default: TESSERACT_LANG },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const dpi = parseInt(values.dpi, 10);
+  if (!DPI_CHOICES.includes(dpi)) throw new Error(`--dpi doit valoir ${DPI_CHOICES.join(", ")}`);
+  if (!PREPROCESS_MODES.includes(values.preprocess)) {
+    throw new Error(`--preprocess doit valoir ${PREPROCESS_MODES.join(", ")}`);
+  }
+  if (!["legacy", "normalized"].includes(values.shape)) throw new Error("--shape doit valoir legacy ou normalized");
+
+  return {
+    inputs: positionals,
+    pages: parsePagesOption(values.pages),
+    dpi,
+    forceOcr: values["force-ocr"],
+    regionsFile: values.regions ?? null,
+    regions: [],
+    preprocess: values.preprocess,
+    reocr: values.reocr,
+    shape: values.shape,
+    communesFile: values.communes ?? null,
+    communes: null,
+    rulesFile: values.rules ?? null,
+    rules: null,
+    topology: values.topology,
+    outDir: values.out ?? null,
+    ndjson: values.ndjson ?? null,
+    lang: values.lang,
+    help: values.help,
+  };
+}
+
+function parsePagesOption(raw) {
+  if (raw === "first" || raw === "all") return { mode: raw };
+  const m = /^(\d+)(?:-(\d+))?$/.exec(raw);
+  if (!m) throw new Error("--pages doit valoir first, all ou A-B");
+  return { mode: "range", from: m[1], to: m[2] ?? m[1] };
+}
+
+/* -------------------------
+   Collecte des entrées
+-------------------------- */
+
+// Renvoie [{ kind: "pdf" | "text", file }]
+async function collectInputs(inputs, { reocr }) {
+  const jobs = [];
+  for (const input of inputs) {
+    const st = await stat(input);
+    if (st.isDirectory()) jobs.push(...await collectDirectory(input, { reocr }));
+    else jobs.push(classifyFile(input));
+  }
+  return jobs.filter(Boolean);
+}
+
+async function collectDirectory(dir, { reocr }) {
+  const files = [];
+  for (const ent of await readdir(dir, { withFileTypes: true, recursive: true })) {
+    if (ent.isFile()) files.push(path.join(ent.parentPath ?? ent.path, ent.name));
+  }
+  files.sort();
+
+  // Si plan.pdf et plan.ocr.txt coexistent, le texte déjà produit suffit (re-parsing seul),
+  // sauf si --reocr est demandé.
+  const jobs = files.map(classifyFile).filter(Boolean);
+  const basesOf = (kind) => new Set(jobs.filter(j => j.kind === kind).map(j => baseOf(j.file)));
+  const textBases = basesOf("text");
+  const pdfBases = basesOf("pdf");
+
+  return jobs.filter(({ kind, file }) => {
+    if (kind === "pdf") return reocr || !textBases.has(baseOf(file));
+    return !reocr || !pdfBases.has(baseOf(file));
+  });
+}
+
+function classifyFile(file) {
+  if (/\.pdf$/i.test(file)) return { kind: "pdf", file };
+  if (file.endsWith(OCR_TXT_SUFFIX)) return { kind: "text", file };
+  return null;
+}
+
+function baseOf(file) {
+  if (file.endsWith(OCR_TXT_SUFFIX)) return file.slice(0, -OCR_TXT_SUFFIX.length);
+  return file.replace(/\.pdf$/i, "");
+}
+
+/* -------------------------
+   PDF.js / OCR
+-------------------------- */
+
+let pdfjsLib = null;
+
+async function getPdfjs() {
+  if (pdfjsLib) return pdfjsLib;
+  pdfjsLib = await import(new URL("pdf.mjs", PDFJS_DIR).href);
+  pdfjsLib.GlobalWorkerOptions.workerSrc = new URL("pdf.worker.mjs", PDFJS_DIR).href;
+  return pdfjsLib;
+}
+
+async function loadPdf(data) {
+  const lib = await getPdfjs();
+  const task = lib.getDocument({
+    data,
+    cMapUrl: fileURLToPath(new URL("cmaps/", PDFJS_DIR)) + path.sep,
+    cMapPacked: true,
+    standardFontDataUrl: fileURLToPath(new URL("standard_fonts/", PDFJS_DIR)) + path.sep,
+  });
+  return await task.promise;
+}
+
+// Rendu via la fabrique de canvas de PDF.js (sous Node : @napi-rs/canvas),
+// puis pré-traitement éventuel (mode de preprocess.js, réglages par défaut)
+async function renderPdfPageToPng(pdf, pageNumber, dpi, preprocess = "off") {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: dpiToScale(dpi) });
+  const factory = pdf.canvasFactory;
+  if (!factory) throw new Error("rendu impossible : installez @napi-rs/canvas");
+  const { canvas, context } = factory.create(Math.floor(viewport.width), Math.floor(viewport.height));
+  await page.render({ canvasContext: context, viewport }).promise;
+
+  let skew = null;
+  if (preprocess !== "off") {
+    const img = context.getImageData(0, 0, canvas.width, canvas.height);
+    const out = preprocessImage(img, { mode: preprocess }, { dpi });
+    img.data.set(out.image.data);
+    context.putImageData(img, 0, 0);
+    skew = out.skew_deg;
+  }
+  return { png: canvas.toBuffer("image/png"), width: canvas.width, height: canvas.height, skew_deg: skew };
+}
+
+// Le worker Tesseract est partagé par tout le lot et créé à la première page qui en a besoin.
+let ocrWorkerPromise = null;
+
+async function getOcrWorker(lang) {
+  ocrWorkerPromise ??= (async () => {
+    let Tesseract;
+    try {
+      Tesseract = await import("tesseract.js");
+    } catch {
+      throw new Error("OCR indisponible : installez tesseract.js (npm install tesseract.js @napi-rs/canvas)");
+    }
+    const worker = await Tesseract.createWorker(lang);
+    await worker.setParameters(TESSERACT_PARAMS);
+    return worker;
+  })();
+  return await ocrWorkerPromise;
+}
+
+async function pdfToText(file, opts) {
+  const pdf = await loadPdf(new Uint8Array(await readFile(file)));
+  try {
+    const pages = selectPages(pdf.numPages, opts.pages);
+    let fullText = "";
+    for (const pno of pages) {
+      let pageText = "";
+      let method = "ocr";
+
+      if (!opts.forceOcr) {
+        const page = await pdf.getPage(pno);
+        const regionTexts = opts.regions.length ? await extractRegionTexts(page, opts.regions) : null;
+        pageText = regionTexts ? regionTexts.map(r => r.text).join("\n") : await extractPageText(page);
+        if (hasUsableText(pageText)) {
+          method = "texte natif";
+          if (regionTexts) pageText = regionTexts.map(r => formatRegionBlock(r.name, r.text)).join("");
+        }
+      }
+
+      if (method === "ocr") {
+        const image = await renderPdfPageToPng(pdf, pno, opts.dpi, opts.preprocess);
+        if (image.skew_deg) method += `, redressement ${image.skew_deg}°`;
+        const worker = await getOcrWorker(opts.lang);
+        if (opts.regions.length) {
+          pageText = "";
+          for (const region of opts.regions) {
+            const rectangle = regionToPixels(region, image.width, image.height);
+            const { data } = await worker.recognize(image.png, { rectangle });
+            pageText += formatRegionBlock(region.name, data.text);
+          }
+        } else {
+          const { data } = await worker.recognize(image.png);
+          pageText = data.text || "";
+        }
+      }
+
+      fullText += formatPageBlock(pno, pageText);
+      progress(`  page ${pno}/${pdf.numPages} : ${method} (${pageText.length} caractères)`);
+    }
+    return fullText.trim();
+  } finally {
+    await pdf.destroy?.();
+  }
+}
+
+/* -------------------------
+   Traitement d’un fichier
+-------------------------- */
+
+async function processJob(job, opts, schema) {
+  const ocrText = job.kind === "pdf"
+    ? await pdfToText(job.file, opts)
+    : (await readFile(job.file, "utf8")).trim();
+
+  const project = parseOcrTextToProject(ocrText, { shape: opts.shape, communes: opts.communes, rules: opts.rules });
+  const validationErrors = validateProject(project, schema);
+  const topology = opts.topology ? buildTopology(project) : null;
+  return { ocrText, project, validationErrors, topology };
+}
+
+function outputBase(job, opts) {
+  const base = baseOf(job.file);
+  return opts.outDir ? path.join(opts.outDir, path.basename(base)) : base;
+}
+
+async function writeOutputs(job, result, opts) {
+  const base = outputBase(job, opts);
+  if (job.kind === "pdf") await writeFile(base + OCR_TXT_SUFFIX, result.ocrText);
+  await writeFile(base + PARSED_SUFFIX, JSON.stringify(result.project, null, 2));
+  if (result.topology) await writeFile(base + TOPOLOGY_SUFFIX, JSON.stringify(result.topology, null, 2));
+}
+
+function progress(msg) {
+  process.stderr.write(msg + "\n");
+}
+
+/* -------------------------
+   Référentiel des communes
+-------------------------- */
+
+// Fichier explicite : obligatoire ; fichier par défaut : facultatif (départements seuls s’il manque)
+async function loadCommunes(file) {
+  let json;
+  try {
+    json = await readFile(file ?? COMMUNES_FILE, "utf8");
+  } catch (err) {
+    if (file || err.code !== "ENOENT") throw err;
+    progress("Référentiel des communes absent (docs/data/communes.json) : seuls les départements sont contrôlés.");
+    return createCommuneReferential();
+  }
+  const ref = createCommuneReferential(json);
+  progress(`Référentiel des communes : ${ref.communes.size} code(s)${ref.source ? ` (${ref.source})` : ""}`);
+  return ref;
+}
+
+/* -------------------------
+   Main
+-------------------------- */
+
+async function main(argv) {
+  const opts = parseCliArgs(argv);
+  if (opts.help || !opts.inputs.length) {
+    progress(USAGE);
+    return opts.help ? 0 : 2;
+  }
+
+  const jobs = await collectInputs(opts.inputs, opts);
+  if (!jobs.length) {
+    progress("Aucun PDF ni .ocr.txt trouvé.");
+    return 2;
+  }
+  if (opts.outDir) await mkdir(opts.outDir, { recursive: true });
+  if (opts.regionsFile) {
+    opts.regions = parseTemplate(await readFile(opts.regionsFile, "utf8")).regions;
+    progress(`Zones de lecture : ${opts.regions.map(r => r.name).join(", ")}`);
+  }
+  // Profil par défaut : docs/rules/extraction-par-defaut.json ; un profil exporté le complète
+  const defaultRules = await loadDefaultParserRules();
+  opts.rules = defaultRules;
+  if (opts.rulesFile) {
+    opts.rules = parseRulesProfile(await readFile(opts.rulesFile, "utf8"), defaultRules);
+    progress(`Règles d’extraction : profil « ${opts.rules.name} » (révision ${opts.rules.revision})`);
+  }
+
+  opts.communes = await loadCommunes(opts.communesFile);
+
+  const schema = await loadProjectSchema();
+  const ndjson = opts.ndjson
+    ? (opts.ndjson === "-" ? process.stdout : createWriteStream(opts.ndjson))
+    : null;
+
+  let failures = 0;
+  for (let i = 0; i < jobs.length; i++) {
+    const job = jobs[i];
+    progress(`[${i + 1}/${jobs.length}] ${job.file}`);
+    try {
+      const result = await processJob(job, opts, schema);
+      for (const e of result.validationErrors) progress(`  schéma : ${e.path} : ${e.message}`);
+      for (const c of result.topology?.checks ?? []) progress(`  réseau : ${c.message}`);
+
+      if (ndjson) {
+        ndjson.write(JSON.stringify({
+          source: job.file,
+          ocr_text: result.ocrText,
+          project: result.project,
+          validation_errors: result.validationErrors,
+          ...(result.topology ? { topology: result.topology } : {}),
+        }) + "\n");
+      } else {
+        await writeOutputs(job, result, opts);
+      }
+    } catch (err) {
+      failures++;
+      progress(`  ERREUR : ${err.message ?? err}`);
+      if (ndjson) ndjson.write(JSON.stringify({ source: job.file, error: String(err.message ?? err) }) + "\n");
+    }
+  }
+
+  if (ocrWorkerPromise) await (await ocrWorkerPromise.catch(() => null))?.terminate();
+  if (ndjson && ndjson !== process.stdout) await new Promise(res => ndjson.end(res));
+
+  progress(`Terminé : ${jobs.length - failures}/${jobs.length} plan(s) traité(s).`);
+  return failures ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    progress(`ERREUR : ${err.message ?? err}`);
+    process.exitCode = 2;
+  }
+);
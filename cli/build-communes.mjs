@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// build-communes.mjs
+// Produit le référentiel des communes (docs/data/communes.json, cf. docs/communes.js) à partir du
+// fichier des communes du Code officiel géographique de l’INSEE : soit le CSV publié sur insee.fr
+// (« v_commune_AAAA.csv »), soit sa reprise en JSON du paquet npm @etalab/decoupage-administratif
+// (« data/communes.json », millésime = version du paquet). Les communes déléguées et associées sont
+// gardées : les numéros de poste anciens portent souvent le code de la commune d’avant la fusion.
+//
+// Exemples :
+//   node cli/build-communes.mjs v_commune_2024.csv          → docs/data/communes.json
+//   node cli/build-communes.mjs -o autre.json v_commune_2024.csv
+//   node cli/build-communes.mjs --source "COG 2026 (@etalab/decoupage-administratif 6.0.0)" \
+//     node_modules/@etalab/decoupage-administratif/data/communes.json
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { COMMUNES_FORMAT, COMMUNES_VERSION, departementOf } from "../docs/communes.js";
+
+const DEFAULT_OUT = fileURLToPath(new URL("../docs/data/communes.json", import.meta.url));
+
+// TYPECOM du COG : commune, arrondissement municipal, commune déléguée, commune associée
+const KEPT_TYPES = ["COM", "ARM", "COMD", "COMA"];
+
+// Mêmes types dans le JSON d’Etalab
+const ETALAB_TYPES = {
+  "commune-actuelle": "COM",
+  "arrondissement-municipal": "ARM",
+  "commune-deleguee": "COMD",
+  "commune-associee": "COMA",
+};
+
+const USAGE = `Usage : node cli/build-communes.mjs [-o <sortie.json>] [--source <texte>] <v_commune_AAAA.csv | communes.json>
+
+  -o, --out <fichier>   fichier produit (défaut : docs/data/communes.json)
+  --source <texte>      origine inscrite dans le référentiel (défaut : nom du fichier lu)
+  -h, --help            afficher cette aide`;
+
+/* -------------------------
+   Lecture du CSV du COG
+-------------------------- */
+
+// Une ligne CSV (séparateur virgule, champs éventuellement entre guillemets)
+function splitCsvLine(line) {
+  const out = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === "\"" && line[i + 1] === "\"") { field += "\""; i++; }
+      else if (c === "\"") quoted = false;
+      else field += c;
+    } else if (c === "\"") quoted = true;
+    else if (c === ",") { out.push(field); field = ""; }
+    else field += c;
+  }
+  out.push(field);
+  return out;
+}
+
+function readCommunes(csv) {
+  const [headerLine, ...lines] = csv.replace(/^\uFEFF/, "").split(/\r?\n/).filter(Boolean);
+  const header = splitCsvLine(headerLine).map(h => h.trim().toUpperCase());
+  const col = (name) => {
+    const i = header.indexOf(name);
+    if (i < 0) throw new Error(`colonne ${name} absente : est-ce bien le fichier des communes du COG ?`);
+    return i;
+  };
+  const [iType, iCode, iName] = [col("TYPECOM"), col("COM"), col("LIBELLE")];
+
+  return keepCommunes(lines.map((line) => {
+    const cells = splitCsvLine(line);
+    return { type: cells[iType], code: cells[iCode], name: cells[iName] };
+  }));
+}
+
+/* -------------------------
+   Lecture du JSON d’Etalab (@etalab/decoupage-administratif)
+-------------------------- */
+
+function readEtalabCommunes(json) {
+  const list = JSON.parse(json);
+  if (!Array.isArray(list) || !list.every(c => c?.code && c?.nom && c?.type)) {
+    throw new Error("liste { code, nom, type } attendue : est-ce bien data/communes.json d’Etalab ?");
+  }
+  return keepCommunes(list.map(c => ({ type: ETALAB_TYPES[c.type], code: c.code, name: c.nom })));
+}
+
+// Renvoie { code: nom } ; une commune (COM) l’emporte sur la commune déléguée de même code
+function keepCommunes(rows) {
+  const communes = {};
+  const rank = {};
+  for (const { type, code, name } of rows) {
+    if (!KEPT_TYPES.includes(type) || !departementOf(code)) continue;
+    const r = KEPT_TYPES.indexOf(type);
+    if (code in rank && rank[code] <= r) continue;
+    communes[code] = name;
+    rank[code] = r;
+  }
+  return communes;
+}
+
+/* -------------------------
+   Main
+-------------------------- */
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      source: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help || positionals.length !== 1) {
+    console.error(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const [input] = positionals;
+  const content = await readFile(input, "utf8");
+  const communes = path.extname(input).toLowerCase() === ".json" ? readEtalabCommunes(content) : readCommunes(content);
+  const codes = Object.keys(communes).sort();
+  if (!codes.length) throw new Error("aucune commune lue");
+
+  const out = values.out ?? DEFAULT_OUT;
+  await mkdir(path.dirname(out), { recursive: true });
+  await writeFile(out, JSON.stringify({
+    format: COMMUNES_FORMAT,
+    version: COMMUNES_VERSION,
+    source: `INSEE, Code officiel géographique (${values.source ?? path.basename(input)})`,
+    communes: Object.fromEntries(codes.map(c => [c, communes[c]])),
+  }) + "\n");
+  console.error(`${codes.length} commune(s) écrite(s) dans ${out}`);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(`ERREUR : ${err.message ?? err}`);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// vendor-offline.mjs
+// Télécharge une fois, sur un poste connecté, les bibliothèques que la page charge depuis docs/vendor
+// (Tesseract.js, son cœur WebAssembly, les données de langue « fra », JSZip, FileSaver) : la liste et
+// les versions sont dans docs/offline.json, la même que le service worker met en cache (docs/sw.js).
+// Les fichiers obtenus sont à committer avec la page ; ensuite plus aucun accès réseau n’est nécessaire.
+//
+// Exemples :
+//   node cli/vendor-offline.mjs            → fichiers manquants seulement
+//   node cli/vendor-offline.mjs --force    → tout retélécharger (changement de version)
+//   node cli/vendor-offline.mjs --check    → lister les fichiers manquants, sans rien télécharger
+
+import { access, mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+const DOCS_DIR = fileURLToPath(new URL("../docs/", import.meta.url));
+const OFFLINE_FILE = path.join(DOCS_DIR, "offline.json");
+
+const USAGE = `Usage : node cli/vendor-offline.mjs [--force | --check]
+
+  --force       retélécharger même les fichiers présents
+  --check       lister les fichiers manquants (code de sortie 1 s’il en manque)
+  -h, --help    afficher cette aide`;
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      force: { type: "boolean", default: false },
+      check: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    console.error(USAGE);
+    return 0;
+  }
+
+  const { shell, vendor } = JSON.parse(await readFile(OFFLINE_FILE, "utf8"));
+
+  if (values.check) {
+    const missing = [];
+    for (const rel of [...shell.filter(p => p !== "./"), ...Object.keys(vendor)]) {
+      if (!await exists(path.join(DOCS_DIR, rel))) missing.push(rel);
+    }
+    for (const rel of missing) console.error(`manquant : docs/${rel}`);
+    console.error(missing.length ? `${missing.length} fichier(s) manquant(s).` : "Tous les fichiers hors ligne sont présents.");
+    return missing.length ? 1 : 0;
+  }
+
+  let count = 0;
+  for (const [rel, url] of Object.entries(vendor)) {
+    const file = path.join(DOCS_DIR, rel);
+    if (!values.force && await exists(file)) continue;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url} : HTTP ${res.status}`);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, Buffer.from(await res.arrayBuffer()));
+    console.error(`docs/${rel} ← ${url}`);
+    count++;
+  }
+  console.error(`${count} fichier(s) téléchargé(s).`);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(`ERREUR : ${err.message ?? err}`);
+    process.exitCode = 2;
+  }
+);
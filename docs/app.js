@@ -1,7 +1,89 @@
 // app.js
-// Pipeline : PDF → image (canvas) → OCR → parsing JSON → export
-
-import { parseOcrTextToProject } from "./parser.js";
+// Pipeline : PDF → image (canvas) → OCR → parsing JSON → relecture → export
+
+import {
+  baseNameOf,
+  createBatchEntry,
+  isPdfFile,
+  sameFile,
+  summarizeProject,
+  summaryCsv,
+  summaryRow,
+  uniqueNames,
+} from "./batch.js";
+import { renderBatchQueue, updateBatchRow } from "./batchview.js";
+import { createCommuneReferential, describeDepartement, lookupInsee, nearestInseeCodes } from "./communes.js";
+import { renderSingleLineDiagram } from "./diagram.js";
+import { createTextHistory } from "./history.js";
+import { migrateProject, parseOcrTextToProject } from "./parser.js";
+import {
+  DEFAULT_PROFILE_NAME,
+  deleteRuleProfile,
+  loadDefaultParserRules,
+  loadRuleProfiles,
+  makeRulesProfile,
+  parseRulesProfile,
+  saveRuleProfile,
+} from "./parserrules.js";
+import { makeArchive, makeLibraryRecord, newLibraryId, openLibrary, parseArchive, searchLibrary } from "./library.js";
+import { renderLibraryList } from "./libraryview.js";
+import { hashPdf, ocrCacheKey, ocrSettingsKey, openOcrCache, summarizeCache } from "./ocrcache.js";
+import { cancelledError, createWorkerPool, isCancelled } from "./ocrpool.js";
+import { PREPROCESS_DEFAULTS, PREPROCESS_MODES } from "./preprocess.js";
+import { createRegionEditor } from "./regioneditor.js";
+import {
+  deleteTemplate,
+  loadTemplates,
+  makeTemplate,
+  parseTemplate,
+  regionToPixels,
+  saveTemplate,
+} from "./regions.js";
+import {
+  applyCorrections,
+  changedPaths,
+  createReview,
+  REVIEW_SECTIONS,
+  restoreReview,
+  reviewedProject,
+  reviewSnapshot,
+  sectionItems,
+  setField,
+  valueAtPath,
+} from "./review.js";
+import { renderReviewForm, showReviewErrors } from "./reviewform.js";
+import { RULE_SEVERITIES, checkProject, loadEngineeringRules } from "./rules.js";
+import { extractPageText, extractRegionTexts, hasUsableText } from "./pdftext.js";
+import {
+  DEFAULT_DPI,
+  DPI_CHOICES,
+  OCR_WORKER_CHOICES,
+  TESSERACT_LANG,
+  TESSERACT_PARAMS,
+  defaultOcrWorkers,
+  dpiToScale,
+  estimateRemainingMs,
+  formatDuration,
+  formatPageBlock,
+  formatRegionBlock,
+  pageRemainingMs,
+  selectPages,
+} from "./pipeline.js";
+import { renderEstimate } from "./estimateview.js";
+import {
+  batchEstimateSheet,
+  computeQuantities,
+  estimateSheet,
+  loadPriceTable,
+  mergePriceTables,
+  parsePriceTable,
+  priceEstimate,
+  savePriceTable,
+  setUnitPrice,
+} from "./quantities.js";
+import { buildSheets, buildXlsx, csvText } from "./sheets.js";
+import { buildTopology } from "./topology.js";
+import { loadProjectSchema, validateProject } from "./validator.js";
 import * as pdfjsLib from "./vendor/pdfjs/pdf.mjs";
 
 /* -------------------------
@@ -21,25 +103,94 @@ const $ = (id) => document.getElementById(id);
    DOM references
 -------------------------- */
 
+const offlineStatus = $("offlineStatus");
 const pdfInput = $("pdfInput");
+const folderInput = $("folderInput");
+const dropZone = $("dropZone");
 const pageMode = $("pageMode");
 const pageFrom = $("pageFrom");
 const pageTo = $("pageTo");
 const dpiSel = $("dpi");
+const ocrWorkersSel = $("ocrWorkers");
+const ppMode = $("ppMode");
+const ppDeskew = $("ppDeskew");
+const ppDespeckle = $("ppDespeckle");
+const ppLines = $("ppLines");
+const ppCompare = $("ppCompare");
+const forceOcrChk = $("forceOcr");
+const refreshOcrChk = $("refreshOcr");
+const jsonShapeSel = $("jsonShape");
 const runBtn = $("runBtn");
 const resetBtn = $("resetBtn");
+const cancelBtn = $("cancelBtn");
 
 const statusBadge = $("statusBadge");
 const statusText = $("statusText");
 const progress = $("progress");
+const pageList = $("pageList");
+
+const queueWrap = $("queueWrap");
+const queueBody = $("queueBody");
+const queueSummary = $("queueSummary");
+const dlBatchBtn = $("dlBatchBtn");
+const dlBatchXlsxBtn = $("dlBatchXlsxBtn");
+const cachePanel = $("cachePanel");
+const cacheSummary = $("cacheSummary");
+const cacheList = $("cacheList");
+const clearCacheBtn = $("clearCacheBtn");
+const librarySearch = $("librarySearch");
+const librarySummary = $("librarySummary");
+const libraryList = $("libraryList");
+const exportLibraryBtn = $("exportLibraryBtn");
+const importLibraryInput = $("importLibraryInput");
 
 const previewCanvas = $("previewCanvas");
+const showProcessedChk = $("showProcessed");
+const regionList = $("regionList");
+const clearRegionsBtn = $("clearRegionsBtn");
+const regionTemplateSel = $("regionTemplate");
+const applyTemplateBtn = $("applyTemplateBtn");
+const deleteTemplateBtn = $("deleteTemplateBtn");
+const exportTemplateBtn = $("exportTemplateBtn");
+const importTemplateInput = $("importTemplateInput");
+const templateName = $("templateName");
+const saveTemplateBtn = $("saveTemplateBtn");
 const ocrOut = $("ocrOut");
+const undoBtn = $("undoBtn");
+const redoBtn = $("redoBtn");
+const reviewForm = $("reviewForm");
+const reviewSummary = $("reviewSummary");
 const jsonOut = $("jsonOut");
 const logOut = $("logOut");
+const warnBox = $("warnBox");
+const warnList = $("warnList");
+const inseeBox = $("inseeBox");
+const inseeList = $("inseeList");
+const checkBox = $("checkBox");
+const checkList = $("checkList");
+const topoSvg = $("topoSvg");
+const topoChecks = $("topoChecks");
+const estimateSummary = $("estimateSummary");
+const estimateWarnings = $("estimateWarnings");
+const estimateTable = $("estimateTable");
+const dlEstimateBtn = $("dlEstimateBtn");
+const exportPricesBtn = $("exportPricesBtn");
+const importPricesInput = $("importPricesInput");
+const rulesProfileSel = $("rulesProfile");
+const deleteRulesBtn = $("deleteRulesBtn");
+const exportRulesBtn = $("exportRulesBtn");
+const importRulesInput = $("importRulesInput");
+const rulesEditor = $("rulesEditor");
+const testRulesBtn = $("testRulesBtn");
+const rulesName = $("rulesName");
+const saveRulesBtn = $("saveRulesBtn");
+const rulesTestSummary = $("rulesTestSummary");
+const rulesTestList = $("rulesTestList");
 
 const dlOcrBtn = $("dlOcrBtn");
 const dlJsonBtn = $("dlJsonBtn");
+const dlTopoBtn = $("dlTopoBtn");
+const dlXlsxBtn = $("dlXlsxBtn");
 const dlZipBtn = $("dlZipBtn");
 const baseName = $("baseName");
 
@@ -47,6 +198,9 @@ const tabs = Array.from(document.querySelectorAll(".tab"));
 const panels = {
   ocr: $("panel-ocr"),
   json: $("panel-json"),
+  topo: $("panel-topo"),
+  devis: $("panel-devis"),
+  regles: $("panel-regles"),
   log: $("panel-log"),
 };
 
@@ -54,18 +208,108 @@ const panels = {
    State
 -------------------------- */
 
-let pdfArrayBuffer = null;
-let pdfFileName = null;
+// File de traitement (cf. batch.js) ; current : élément affiché dans l’aperçu et les résultats
+let queue = [];
+let current = null;
+let running = false;
+let nextEntryId = 1;
+
+// Pool de workers OCR du lot en cours (cf. ocrpool.js) et demande d’annulation
+let runPool = null;
+let cancelRequested = false;
 
 let lastOcrText = "";
 let lastParsed = null;
+let lastReview = null;
+let lastTopology = null;
+let lastJson = null;
+let lastJsonPaths = [];
 let lastRenderedPngDataUrl = null;
 
+// Métré chiffré du projet affiché (cf. quantities.js) ; prix unitaires mémorisés dans le navigateur
+let priceTable = loadPriceTable(localStorage);
+let lastQuantities = null;
+let lastEstimate = null;
+
+// Schéma JSON publié, chargé une seule fois (promesse partagée)
+let projectSchemaPromise = null;
+
+// Référentiel des communes (data/communes.json, servi avec la page) : promesse partagée ;
+// sans le fichier, seuls les départements des codes INSEE sont contrôlés
+const COMMUNES_URL = new URL("./data/communes.json", import.meta.url);
+let communesPromise = null;
+
+// Contrôles d’ingénierie (rules/controles-ingenierie.json, servi avec la page) : promesse partagée ;
+// sans le fichier, aucun contrôle n’est appliqué
+let engineeringRulesPromise = null;
+
+// Re-parsing automatique quand le texte OCR est corrigé à la main
+const REPARSE_DELAY_MS = 500;
+let reparseTimer = null;
+let reparseGeneration = 0;
+let lastChanged = [];
+const textHistory = createTextHistory();
+
+// Zones de lecture tracées sur l’aperçu (conservées d’un PDF à l’autre) et modèles enregistrés
+const regionEditor = createRegionEditor(previewCanvas, { list: regionList, onChange: updateRegionButtons });
+let regionTemplates = loadTemplates(localStorage);
+
+// Profils de règles d’extraction : le profil par défaut (rules/extraction-par-defaut.json, servi avec la
+// page), chargé avant tout traitement, et ceux enregistrés, qui en complètent les sections absentes
+const defaultRules = await loadDefaultParserRules().catch((err) => {
+  log(`ERREUR (règles d’extraction par défaut) : ${err.message ?? err}`);
+  throw err;
+});
+let ruleProfiles = loadRuleProfiles(localStorage, defaultRules);
+
+// Réglages mémorisés dans le navigateur : DPI, nombre de workers OCR, pré-traitement d’image et
+// profil de règles d’extraction actif
+const SETTINGS_KEY = "aps-ocr.settings";
+
+// Aperçu : rendu d’origine de la page et sa version pré-traitée ({ pngDataUrl, skew_deg }, calculée à la demande)
+let previewOriginal = null;
+let previewProcessed = null;
+
+// Cache OCR par page (IndexedDB, cf. ocrcache.js) : promesse partagée, null si indisponible
+let ocrCachePromise = null;
+
+// Bibliothèque des projets analysés (IndexedDB, cf. library.js) : promesse partagée, null si indisponible.
+// Les corrections sont enregistrées après une courte pause.
+const LIBRARY_SAVE_DELAY_MS = 1000;
+let libraryPromise = null;
+let librarySaveTimer = null;
+
+// Mode hors ligne (service worker sw.js) : état du pré-cache et requêtes hors origine bloquées
+// state : "verification" | "installation" | "pret" | "echec" | "indisponible"
+const offline = { state: "verification", missing: [], blocked: new Set() };
+
+// Tesseract entièrement servi depuis docs/vendor (cf. offline.json) : ni CDN ni worker en blob
+const TESSERACT_PATHS = {
+  workerPath: new URL("./vendor/tesseract/worker.min.js", import.meta.url).href,
+  corePath: new URL("./vendor/tesseract/core", import.meta.url).href,
+  langPath: new URL("./vendor/tesseract/lang", import.meta.url).href,
+  workerBlobURL: false,
+};
+
+// Worker du pré-traitement (créé au premier besoin) et tâches en cours : id → { resolve, reject }
+let preprocessWorker = null;
+let preprocessSeq = 0;
+const preprocessJobs = new Map();
+
 /* -------------------------
    Init
 -------------------------- */
 
 setupTabs();
+setupJsonSourceLinks();
+setupLiveReparse();
+setupRegionTemplates();
+setupSettings();
+setupRules();
+setupOcrCache();
+setupLibrary();
+setupEstimate();
+setupOffline();
 
 pageMode.addEventListener("change", () => {
   const isRange = pageMode.value === "range";
@@ -74,32 +318,113 @@ pageMode.addEventListener("change", () => {
 });
 
 /* -------------------------
-   PDF import
+   PDF import (file de traitement)
+   Plusieurs PDF, un dossier entier (sélection ou glisser-déposer) : chaque PDF devient un
+   élément de la file (cf. batch.js), traité à son tour par “Lancer OCR + Parsing”.
 -------------------------- */
 
-pdfInput.addEventListener("change", async (e) => {
-  resetOutputs();
-  const file = e.target.files?.[0];
-  if (!file) return;
+pdfInput.addEventListener("change", async () => {
+  await addFiles(Array.from(pdfInput.files ?? []));
+  pdfInput.value = "";
+});
 
-  pdfFileName = file.name.replace(/\.pdf$/i, "");
-  baseName.value = pdfFileName;
-  baseName.disabled = false;
+folderInput.addEventListener("change", async () => {
+  await addFiles(Array.from(folderInput.files ?? []));
+  folderInput.value = "";
+});
 
-  setStatus("ok", "PDF chargé", `Fichier : ${file.name}`);
-  progress.value = 0;
+dropZone.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  dropZone.classList.add("over");
+});
 
-  pdfArrayBuffer = await file.arrayBuffer();
+dropZone.addEventListener("dragleave", () => dropZone.classList.remove("over"));
 
-  const pdf = await loadPdf(pdfArrayBuffer);
-  pageFrom.value = 1;
-  pageTo.value = pdf.numPages;
+dropZone.addEventListener("drop", async (e) => {
+  e.preventDefault();
+  dropZone.classList.remove("over");
+  if (running) return;
+  await addFiles(await droppedFiles(e.dataTransfer));
+});
 
+async function addFiles(files) {
+  if (running) return;
+  const pdfs = files
+    .filter(f => isPdfFile(f) && !queue.some(e => sameFile(e, f)))
+    .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, "fr"));
+  const ignored = files.length - pdfs.length;
+  if (ignored) log(`${ignored} fichier(s) ignoré(s) : pas un PDF, ou déjà dans la file`);
+  if (!pdfs.length) return;
+
+  for (const f of pdfs) queue.push(createBatchEntry(f, nextEntryId++));
+  setStatus("ok", "PDF chargé", `${queue.length} fichier(s) dans la file`);
+  progress.value = 0;
   runBtn.disabled = false;
   resetBtn.disabled = false;
 
-  await renderPageToPreview(pdf, 1, getDpi());
-  pdf.destroy?.();
+  if (!current) await selectEntry(queue[0]);
+  else renderQueue();
+}
+
+// Fichiers d’un dépôt, dossiers parcourus récursivement (les entrées sont lues avant tout await)
+async function droppedFiles(dataTransfer) {
+  const roots = Array.from(dataTransfer.items ?? []).map(it => it.webkitGetAsEntry?.()).filter(Boolean);
+  if (!roots.length) return Array.from(dataTransfer.files ?? []);
+
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      files.push(await new Promise((res, rej) => entry.file(res, rej)));
+      return;
+    }
+    const reader = entry.createReader();
+    for (;;) {
+      const children = await new Promise((res, rej) => reader.readEntries(res, rej));
+      if (!children.length) break;
+      for (const child of children) await walk(child);
+    }
+  };
+  for (const root of roots) await walk(root);
+  return files;
+}
+
+// Affiche un élément de la file : aperçu de sa première page et, s’il est traité, ses résultats
+async function selectEntry(entry) {
+  current = entry;
+  clearResults();
+  baseName.value = entry.baseName;
+  baseName.disabled = false;
+  renderQueue();
+
+  try {
+    const pdf = await loadPdf(await entry.file.arrayBuffer());
+    pageFrom.value = 1;
+    pageTo.value = pdf.numPages;
+    await renderPageToPreview(pdf, 1, getDpi());
+    pdf.destroy?.();
+  } catch (err) {
+    console.error(err);
+    log(`ERREUR (${entry.name}) : ${err.message ?? err}`);
+  }
+  if (entry.review) await showEntryResult(entry);
+}
+
+function removeEntry(entry) {
+  queue = queue.filter(e => e !== entry);
+  if (entry === current) {
+    current = null;
+    clearResults();
+    baseName.value = "";
+    baseName.disabled = true;
+  }
+  runBtn.disabled = !queue.length;
+  resetBtn.disabled = !queue.length;
+  renderQueue();
+  if (!current && queue.length) selectEntry(queue[0]);
+}
+
+baseName.addEventListener("input", () => {
+  if (current) current.baseName = safeBaseName();
 });
 
 /* -------------------------
@@ -108,83 +433,404 @@ pdfInput.addEventListener("change", async (e) => {
 
 resetBtn.addEventListener("click", () => {
   pdfInput.value = "";
-  pdfArrayBuffer = null;
-  pdfFileName = null;
+  queue = [];
+  current = null;
   baseName.value = "";
   baseName.disabled = true;
   runBtn.disabled = true;
   resetBtn.disabled = true;
   resetOutputs();
+  renderQueue();
   setStatus("idle", "En attente", "Importez un PDF.");
   progress.value = 0;
 });
 
 /* -------------------------
-   Run OCR + parsing
+   Run OCR + parsing (toute la file)
+   Les fichiers en attente, en erreur ou annulés sont traités l’un après l’autre ; l’affichage suit
+   le fichier en cours. Un fichier en erreur n’interrompt pas le lot ; “Annuler le traitement”
+   arrête tout et garde les pages déjà lues du fichier en cours.
 -------------------------- */
 
 runBtn.addEventListener("click", async () => {
-  if (!pdfArrayBuffer) return;
+  const todo = queue.filter(e => ["attente", "erreur", "annule"].includes(e.status));
+  if (!todo.length || running) return;
 
+  running = true;
+  runBtn.disabled = true;
+  resetBtn.disabled = true;
+  cancelBtn.disabled = false;
+  logOut.textContent = "";
+  log(`Lot : ${todo.length} fichier(s) à traiter`);
+  renderLibrary();
+
+  // Pool de workers Tesseract partagé par le lot ; les workers ne sont créés qu’à la première page
+  // sans texte natif exploitable.
+  const size = getOcrWorkers();
+  runPool = createWorkerPool(createTesseractWorker, size);
+  const ctx = { pool: runPool, size };
   try {
-    resetOutputs();
-    setStatus("work", "Traitement", "Initialisation…");
-    progress.value = 0;
+    for (let k = 0; k < todo.length && !cancelRequested; k++) {
+      await processEntry(todo[k], ctx, `${k + 1}/${todo.length}`);
+    }
+  } finally {
+    await runPool.terminate();
+    runPool = null;
+    running = false;
+    runBtn.disabled = !queue.length;
+    resetBtn.disabled = !queue.length;
+    cancelBtn.disabled = true;
+  }
+
+  const count = (status) => todo.filter(e => e.status === status).length;
+  const msg = `${count("termine")}/${todo.length} fichier(s) traité(s)`;
+  if (cancelRequested) setStatus("bad", "Annulé", `${msg} ; pages déjà lues conservées`);
+  else if (count("erreur")) setStatus("bad", "Terminé avec erreurs", `${msg} ; voir la file et les logs`);
+  else setStatus("ok", "Terminé", `${msg} (OCR + parsing)`);
+  log(cancelRequested ? `Lot annulé : ${msg}` : `Lot terminé : ${msg}`);
+  cancelRequested = false;
+  progress.value = 100;
+  renderQueue();
+  renderLibrary();
+  if (cachePanel.open) renderOcrCache();
+});
+
+cancelBtn.addEventListener("click", async () => {
+  if (!running || cancelRequested) return;
+  cancelRequested = true;
+  cancelBtn.disabled = true;
+  setStatus("work", "Annulation", "Arrêt des workers OCR…");
+  await runPool?.terminate();
+});
 
-    const pdf = await loadPdf(pdfArrayBuffer);
+async function processEntry(entry, ctx, rank) {
+  current = entry;
+  clearResults();
+  baseName.value = entry.baseName;
+  baseName.disabled = false;
+  Object.assign(entry, { status: "en_cours", progress: 0, error: null });
+  renderQueue();
+  log(`===== ${entry.name} (${rank}) =====`);
+
+  try {
+    const read = await readPdfText(entry, ctx, rank);
+    if (read.cancelled) {
+      entry.status = "annule";
+      entry.error = `${read.done}/${read.total} page(s) lue(s)`;
+      log(`Annulé : ${entry.error}`);
+      if (!read.done) return;
+    }
+    setStatus("work", "Parsing", `${entry.name} : analyse APS…`);
+    entry.ocrText = read.text;
+    entry.parsed = parseOcrTextToProject(read.text, {
+      shape: jsonShapeSel.value,
+      communes: await getCommunes(),
+      rules: activeRules(),
+    });
+    entry.review = createReview(entry.parsed);
+    if (!read.cancelled) {
+      entry.status = "termine";
+      entry.progress = 100;
+    }
+    await showEntryResult(entry, { firstTime: true });
+    await saveToLibrary(entry);
+  } catch (err) {
+    console.error(err);
+    entry.status = "erreur";
+    entry.error = String(err.message ?? err);
+    log(`ERREUR : ${entry.error}`);
+  } finally {
+    renderQueue();
+  }
+}
+
+// Pages lues en parallèle (autant que de workers OCR), texte remis dans l’ordre des pages.
+// Renvoie { text, done, total, cancelled } : après annulation, text ne contient que les pages terminées.
+async function readPdfText(entry, ctx, rank) {
+  const buffer = await entry.file.arrayBuffer();
+  // Empreinte calculée avant PDF.js, qui peut détacher le buffer
+  const store = await getOcrCache();
+  const hash = await hashPdf(buffer);
+  if (store && !hash) log("Cache OCR ignoré : empreinte SHA-256 indisponible (page servie hors HTTPS / localhost).");
+  entry.pdfHash = hash;
+  const pdf = await loadPdf(buffer);
+  try {
     const pages = computePagesToProcess(pdf.numPages);
-    log(`Pages à traiter : ${pages.join(", ")}`);
+    log(`Pages à traiter : ${pages.join(", ")} (${ctx.size} worker(s) OCR)`);
+
+    const regions = regionEditor.getRegions();
+    if (regions.length) log(`Zones de lecture : ${regions.map(r => r.name).join(", ")}`);
+
+    const preprocess = getPreprocessSettings();
+    if (preprocess.mode !== "off") log(`Pré-traitement : ${describePreprocess(preprocess)}`);
+
+    const cache = store && hash && {
+      store,
+      hash,
+      fileName: entry.name,
+      settings: ocrSettingsKey({ dpi: getDpi(), preprocess, regions, lang: TESSERACT_LANG }),
+      refresh: refreshOcrChk.checked,
+    };
+
+    const tracker = createPageTracker(pages, ctx.size, (pct, eta) => {
+      entry.progress = Math.min(99, pct);
+      progress.value = entry.progress;
+      updateBatchRow(queueBody, entry, summarizeEntry(entry));
+      setStatus("work", cancelRequested ? "Annulation" : "Lecture",
+        `Fichier ${rank} — ${tracker.doneCount()}/${pages.length} page(s) · reste ${formatDuration(eta)}`);
+    });
+
+    const texts = new Array(pages.length).fill(null);
+    let next = 0;
+    let failure = null;
+    const lane = async () => {
+      while (next < pages.length && !cancelRequested && !failure) {
+        const i = next++;
+        try {
+          texts[i] = await readPage(pdf, i, pages[i], { entry, ctx, regions, preprocess, cache, tracker });
+        } catch (err) {
+          tracker.set(pages[i], isCancelled(err) ? "annulee" : "erreur");
+          if (!isCancelled(err)) failure ??= err;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(ctx.size, pages.length) }, lane));
+    if (failure) throw failure;
 
-    const worker = await createTesseractWorker();
+    const text = pages.map((pno, i) => (texts[i] == null ? "" : formatPageBlock(pno, texts[i]))).join("").trim();
+    return { text, done: texts.filter(t => t != null).length, total: pages.length, cancelled: cancelRequested };
+  } finally {
+    pdf.destroy?.();
+  }
+}
+
+// Une page : texte natif si exploitable, sinon texte OCR en cache, sinon rendu (+ pré-traitement)
+// puis OCR dans le pool
+async function readPage(pdf, i, pno, { entry, ctx, regions, preprocess, cache, tracker }) {
+  tracker.set(pno, "lecture");
+
+  let pageText = "";
+  let method = "ocr";
+  let reason = "forcé";
+
+  if (!forceOcrChk.checked) {
+    const page = await pdf.getPage(pno);
+    const regionTexts = regions.length ? await extractRegionTexts(page, regions) : null;
+    pageText = regionTexts ? regionTexts.map(r => r.text).join("\n") : await extractPageText(page);
+    if (hasUsableText(pageText)) {
+      method = "texte natif";
+      if (regionTexts) pageText = regionTexts.map(r => formatRegionBlock(r.name, r.text)).join("");
+    } else {
+      reason = "pas de texte natif exploitable";
+    }
+  }
 
-    let fullText = "";
+  const cacheKey = cache && ocrCacheKey(cache.hash, pno, cache.settings);
+  if (method === "ocr" && cache && !cache.refresh) {
+    const cached = await cache.store.get(cacheKey).catch(() => null);
+    if (cached) {
+      method = "cache";
+      pageText = cached.text;
+    }
+  }
 
-    for (let i = 0; i < pages.length; i++) {
-      const pno = pages[i];
-      setStatus("work", "OCR", `Page ${pno}/${pdf.numPages}`);
+  if (method === "ocr" || i === 0) {
+    const image = await renderPdfPageToImage(pdf, pno, getDpi());
+    if (cancelRequested) throw cancelledError();
+    lastRenderedPngDataUrl = image.pngDataUrl;
 
-      const { pngDataUrl } = await renderPdfPageToImage(pdf, pno, getDpi());
-      lastRenderedPngDataUrl = pngDataUrl;
+    if (i === 0) {
+      await showPreview(image.pngDataUrl);
+      entry.thumbnail = await thumbnailDataUrl(image.pngDataUrl);
+    }
 
-      if (i === 0) {
-        await drawDataUrlToCanvas(pngDataUrl, previewCanvas);
+    if (method === "ocr") {
+      let ocrImage = image;
+      if (preprocess.mode !== "off") {
+        tracker.set(pno, "pre-traitement");
+        const pre = (i === 0 && previewProcessed) || await preprocessDataUrl(image.pngDataUrl, preprocess);
+        if (i === 0) previewProcessed = pre;
+        ocrImage = { ...image, pngDataUrl: pre.pngDataUrl };
+        if (pre.skew_deg) log(`Page ${pno} : redressement de ${pre.skew_deg}°`);
       }
 
-      const ocrText = await recognizeWithProgress(worker, pngDataUrl, (pct) => {
-        const base = Math.round((i / pages.length) * 100);
-        const step = Math.round((pct / 100) * (100 / pages.length));
-        progress.value = Math.min(99, base + step);
+      const compare = preprocess.mode !== "off" && preprocess.compare;
+      const { result, raw } = await ctx.pool.run(async (ocr) => {
+        tracker.set(pno, "ocr");
+        // Avec la comparaison, la page est lue deux fois : chaque lecture compte pour moitié
+        const onProgress = (pct) => tracker.progress(pno, compare ? pct / 2 : pct);
+        const result = await recognizeImage(ocr, ocrImage, regions, onProgress);
+        const raw = compare
+          ? await recognizeImage(ocr, image, regions, (pct) => tracker.progress(pno, 50 + pct / 2))
+          : null;
+        return { result, raw };
       });
+      pageText = result.text;
+
+      if (cache) {
+        cache.store.put({
+          key: cacheKey,
+          hash: cache.hash,
+          page: pno,
+          settings: cache.settings,
+          fileName: cache.fileName,
+          text: result.text,
+          confidence: result.confidence,
+        }).catch(err => log(`Page ${pno} : cache OCR non mis à jour (${err.message ?? err})`));
+      }
 
-      fullText += `\n===== PAGE ${pno} =====\n${ocrText.trim()}\n`;
-      log(`Page ${pno} OCR OK (${ocrText.length} caractères)`);
+      // Mesure du gain : même page lue sans pré-traitement (confiance moyenne Tesseract, 0 à 100)
+      if (raw) {
+        log(`Page ${pno} : confiance OCR ${formatConfidence(raw.confidence)} sans pré-traitement, `
+          + `${formatConfidence(result.confidence)} avec`);
+      } else {
+        log(`Page ${pno} : confiance OCR ${formatConfidence(result.confidence)}`);
+      }
     }
+  }
 
-    await worker.terminate();
-    pdf.destroy?.();
+  tracker.set(pno, "terminee");
+  const how = ({ ocr: `OCR (${reason})`, cache: `OCR en cache (${reason})` }[method] ?? "texte natif PDF")
+    + (regions.length ? `, ${regions.length} zone(s)` : "");
+  log(`Page ${pno} : ${how} OK (${pageText.length} caractères)`);
+  return pageText;
+}
 
-    lastOcrText = fullText.trim();
-    ocrOut.value = lastOcrText;
+/* -------------------------
+   Avancement des pages
+   Une ligne par page (étape, pourcentage, temps restant) ; onUpdate(pct, eta) reçoit
+   l’avancement global du fichier et son temps restant estimé (ms, null si inconnu).
+-------------------------- */
 
-    setStatus("work", "Parsing", "Analyse APS…");
-    lastParsed = parseOcrTextToProject(lastOcrText);
-    jsonOut.value = JSON.stringify(lastParsed, null, 2);
+const PAGE_PHASES = {
+  attente: "en attente",
+  lecture: "lecture",
+  "pre-traitement": "pré-traitement",
+  ocr: "OCR",
+  terminee: "terminée",
+  annulee: "annulée",
+  erreur: "erreur",
+};
 
-    setStatus("ok", "Terminé", "OCR + parsing effectués");
-    progress.value = 100;
+function createPageTracker(pages, concurrency, onUpdate) {
+  const state = new Map(pages.map(pno => [pno, { phase: "attente", pct: 0, startedAt: null, finishedAt: null }]));
+  const finished = (s) => s.phase === "terminee";
 
-    dlOcrBtn.disabled = false;
-    dlJsonBtn.disabled = false;
-    dlZipBtn.disabled = false;
+  pageList.textContent = "";
+  const items = new Map();
+  for (const pno of pages) {
+    const li = document.createElement("li");
+    pageList.appendChild(li);
+    items.set(pno, li);
+  }
 
-    activateTab("json");
-  } catch (err) {
-    console.error(err);
-    log(`ERREUR : ${err.message ?? err}`);
-    setStatus("bad", "Erreur", "Voir logs");
-    progress.value = 0;
+  const render = (pno) => {
+    const s = state.get(pno);
+    let text = `Page ${pno} : ${PAGE_PHASES[s.phase]}`;
+    if (s.phase === "ocr") {
+      text += ` ${Math.round(s.pct)} %`;
+      const left = pageRemainingMs(s.startedAt, s.pct);
+      if (left != null) text += ` · reste ${formatDuration(left)}`;
+    }
+    if (finished(s)) text += ` (${formatDuration(s.finishedAt - s.startedAt)})`;
+    items.get(pno).textContent = text;
+    items.get(pno).className = s.phase;
+  };
+
+  const update = () => {
+    const all = Array.from(state.values());
+    const pct = all.reduce((sum, s) => sum + (finished(s) ? 100 : s.pct), 0) / all.length;
+    const eta = estimateRemainingMs({
+      finishedMs: all.filter(finished).map(s => s.finishedAt - s.startedAt),
+      running: all.filter(s => s.startedAt != null && !finished(s) && s.phase !== "annulee" && s.phase !== "erreur")
+        .map(s => ({ startedAt: s.startedAt, pct: s.pct })),
+      pending: all.filter(s => s.phase === "attente").length,
+      concurrency,
+    });
+    onUpdate(Math.round(pct), eta);
+  };
+
+  const tracker = {
+    set(pno, phase) {
+      const s = state.get(pno);
+      s.phase = phase;
+      if (phase !== "attente") s.startedAt ??= Date.now();
+      if (phase === "terminee") s.finishedAt = Date.now();
+      render(pno);
+      update();
+    },
+    progress(pno, pct) {
+      state.get(pno).pct = pct;
+      render(pno);
+      update();
+    },
+    doneCount() {
+      return Array.from(state.values()).filter(finished).length;
+    },
+  };
+  pages.forEach(render);
+  return tracker;
+}
+
+// Résultats d’un élément traité dans les onglets (texte OCR, relecture, schéma réseau)
+async function showEntryResult(entry, { firstTime = false } = {}) {
+  // Un re-parsing en cours porterait sur l’affichage précédent
+  reparseGeneration++;
+  lastOcrText = entry.ocrText;
+  ocrOut.value = lastOcrText;
+  textHistory.reset(lastOcrText);
+  updateHistoryButtons();
+
+  lastParsed = entry.parsed;
+  lastReview = entry.review;
+  lastChanged = [];
+  showWarnings(lastParsed.warnings, { quiet: !firstTime });
+  if (firstTime) {
+    logCorrections(lastParsed.corrections);
+    await checkAgainstSchema(lastParsed);
   }
-});
+  showReview();
+  await refreshReview({ quiet: !firstTime });
+
+  dlOcrBtn.disabled = false;
+  dlJsonBtn.disabled = false;
+  dlTopoBtn.disabled = false;
+  dlXlsxBtn.disabled = false;
+  dlZipBtn.disabled = false;
+
+  activateTab("json");
+}
+
+/* -------------------------
+   File : tableau et récapitulatif
+-------------------------- */
+
+function renderQueue() {
+  queueWrap.hidden = !queue.length;
+  renderBatchQueue(queueBody, queue, {
+    current,
+    running,
+    summarize: summarizeEntry,
+    onSelect: selectEntry,
+    onRemove: removeEntry,
+  });
+
+  const count = (status) => queue.filter(e => e.status === status).length;
+  queueSummary.textContent = [
+    `${queue.length} fichier(s)`,
+    `${count("termine")} traité(s)`,
+    count("annule") ? `${count("annule")} annulé(s)` : null,
+    count("erreur") ? `${count("erreur")} en erreur` : null,
+    count("attente") ? `${count("attente")} en attente` : null,
+  ].filter(Boolean).join(" · ");
+  dlBatchBtn.disabled = running || !queue.some(e => e.review);
+  dlBatchXlsxBtn.disabled = dlBatchBtn.disabled;
+}
+
+// Résumé de la version relue (corrections comprises)
+function summarizeEntry(entry) {
+  return entry.review ? summarizeProject(reviewedProject(entry.review, "normalized")) : null;
+}
 
 /* -------------------------
    Downloads
@@ -194,10 +840,18 @@ dlOcrBtn.addEventListener("click", () => {
   downloadText(`${safeBaseName()}.ocr.txt`, lastOcrText);
 });
 
+// Les exports contiennent la version corrigée par le relecteur (cf. formulaire de relecture)
 dlJsonBtn.addEventListener("click", () => {
   downloadText(
     `${safeBaseName()}.parsed.json`,
-    JSON.stringify(lastParsed ?? {}, null, 2)
+    JSON.stringify(currentProject() ?? {}, null, 2)
+  );
+});
+
+dlTopoBtn.addEventListener("click", () => {
+  downloadText(
+    `${safeBaseName()}.topology.json`,
+    JSON.stringify(lastTopology ?? {}, null, 2)
   );
 });
 
@@ -206,16 +860,86 @@ dlZipBtn.addEventListener("click", async () => {
   const name = safeBaseName();
 
   zip.file(`${name}.ocr.txt`, lastOcrText);
-  zip.file(`${name}.parsed.json`, JSON.stringify(lastParsed, null, 2));
+  zip.file(`${name}.parsed.json`, JSON.stringify(currentProject(), null, 2));
+  if (lastTopology) zip.file(`${name}.topology.json`, JSON.stringify(lastTopology, null, 2));
 
   if (lastRenderedPngDataUrl) {
     zip.file(`${name}.page.png`, dataUrlToBlob(lastRenderedPngDataUrl));
   }
 
+  const sheets = planSheets();
+  zip.file(`${name}.xlsx`, await xlsxBlob(sheets));
+  addCsvFiles(zip.folder("csv"), name, sheets);
+
   const blob = await zip.generateAsync({ type: "blob" });
   saveAs(blob, `${name}.zip`);
 });
 
+dlXlsxBtn.addEventListener("click", async () => {
+  saveAs(await xlsxBlob(planSheets()), `${safeBaseName()}.xlsx`);
+});
+
+// Tableur du plan affiché : feuilles du projet relu, puis son estimation si une table de prix est chargée
+function planSheets() {
+  const fileName = current?.name ?? safeBaseName();
+  const sheets = buildSheets([{ fileName, project: currentProject() }]);
+  if (lastEstimate) sheets.push(estimateSheet(lastEstimate, fileName));
+  return sheets;
+}
+
+// Lot : un dossier par plan lu, même partiellement (texte OCR, JSON relu, modèle de réseau)
+// + récapitulatif CSV et tableur de tous les plans (feuilles et CSV par nature d’élément, estimation
+// de chaque plan aux prix unitaires mémorisés)
+dlBatchBtn.addEventListener("click", async () => {
+  const done = queue.filter(e => e.review);
+  const names = uniqueNames(done.map(e => e.baseName || baseNameOf(e.file.name)));
+  const zip = new JSZip();
+
+  done.forEach((entry, i) => {
+    const name = names[i];
+    const project = reviewedProject(entry.review, jsonShapeSel.value);
+    const dir = zip.folder(name);
+    dir.file(`${name}.ocr.txt`, entry.ocrText);
+    dir.file(`${name}.parsed.json`, JSON.stringify(project, null, 2));
+    dir.file(`${name}.topology.json`, JSON.stringify(buildTopology(project), null, 2));
+  });
+  zip.file("recapitulatif.csv", summaryCsv(queue.map(e => summaryRow(e, summarizeEntry(e)))));
+
+  const sheets = batchSheets(done);
+  zip.file("lot.xlsx", await xlsxBlob(sheets));
+  addCsvFiles(zip.folder("csv"), "lot", sheets);
+
+  const blob = await zip.generateAsync({ type: "blob" });
+  saveAs(blob, `lot-aps-${new Date().toISOString().slice(0, 10)}.zip`);
+});
+
+dlBatchXlsxBtn.addEventListener("click", async () => {
+  const sheets = batchSheets(queue.filter(e => e.review));
+  saveAs(await xlsxBlob(sheets), `lot-aps-${new Date().toISOString().slice(0, 10)}.xlsx`);
+});
+
+function batchSheets(entries) {
+  const plans = batchPlans(entries);
+  return [...buildSheets(plans), batchEstimateSheet(plans, priceTable)];
+}
+
+// Version relue de chaque plan, dans l’ordre de la file
+function batchPlans(entries) {
+  return entries.map(e => ({ fileName: e.name, project: reviewedProject(e.review, "normalized") }));
+}
+
+async function xlsxBlob(sheets) {
+  return await buildXlsx(new JSZip(), sheets).generateAsync({
+    type: "blob",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+}
+
+// Un CSV par feuille : <nom>.resume.csv, <nom>.hta.csv…
+function addCsvFiles(dir, name, sheets) {
+  for (const sheet of sheets) dir.file(`${name}.${sheet.id}.csv`, csvText(sheet.header, sheet.rows));
+}
+
 /* -------------------------
    PDF.js helpers
 -------------------------- */
@@ -234,16 +958,41 @@ async function loadPdf(arrayBuffer) {
 }
 
 function getDpi() {
-  return parseInt(dpiSel.value, 10) || 200;
+  return parseInt(dpiSel.value, 10) || DEFAULT_DPI;
 }
 
-function dpiToScale(dpi) {
-  return dpi / 72;
+function getOcrWorkers() {
+  return parseInt(ocrWorkersSel.value, 10) || 1;
 }
 
 async function renderPageToPreview(pdf, pageNumber, dpi) {
   const { pngDataUrl } = await renderPdfPageToImage(pdf, pageNumber, dpi);
-  await drawDataUrlToCanvas(pngDataUrl, previewCanvas);
+  lastRenderedPngDataUrl = pngDataUrl;
+  await showPreview(pngDataUrl);
+}
+
+// Aperçu (d’origine ou pré-traité, cf. case “avant / après”) + zones de lecture redessinées par-dessus
+async function showPreview(pngDataUrl) {
+  previewOriginal = pngDataUrl;
+  previewProcessed = null;
+  await refreshPreview();
+}
+
+async function refreshPreview() {
+  if (!previewOriginal) return;
+  try {
+    const settings = getPreprocessSettings();
+    let url = previewOriginal;
+    if (showProcessedChk.checked && settings.mode !== "off") {
+      previewProcessed ??= await preprocessDataUrl(previewOriginal, settings);
+      url = previewProcessed.pngDataUrl;
+    }
+    await drawDataUrlToCanvas(url, previewCanvas);
+    regionEditor.snapshot();
+  } catch (err) {
+    console.error(err);
+    log(`ERREUR (aperçu) : ${err.message ?? err}`);
+  }
 }
 
 async function renderPdfPageToImage(pdf, pageNumber, dpi) {
@@ -282,42 +1031,189 @@ async function drawDataUrlToCanvas(dataUrl, canvas) {
    Tesseract helpers
 -------------------------- */
 
+// Worker du pool (cf. ocrpool.js). Tesseract.js 5 n’accepte le logger qu’à la création du worker :
+// la progression est renvoyée vers ocr.onProgress, positionné par la reconnaissance en cours.
 async function createTesseractWorker() {
-  const worker = await Tesseract.createWorker("fra");
-  await worker.setParameters({
-    tessedit_char_blacklist: "¢©®™",
-  });
-  return worker;
-}
-
-async function recognizeWithProgress(worker, imageDataUrl, onProgress) {
-  const { data } = await worker.recognize(imageDataUrl, {
+  const ocr = { worker: null, onProgress: null };
+  ocr.worker = await Tesseract.createWorker(TESSERACT_LANG, 1, {
+    ...TESSERACT_PATHS,
     logger: (m) => {
       if (m.status === "recognizing text" && m.progress != null) {
-        onProgress(Math.round(m.progress * 100));
+        ocr.onProgress?.(Math.round(m.progress * 100));
       }
     },
   });
-  return data.text || "";
+  await ocr.worker.setParameters(TESSERACT_PARAMS);
+  ocr.terminate = () => ocr.worker.terminate();
+  return ocr;
+}
+
+// Image entière ou zones de lecture ; renvoie { text, confidence }
+async function recognizeImage(ocr, image, regions, onProgress) {
+  return regions.length
+    ? await recognizeRegions(ocr, image, regions, onProgress)
+    : await recognizeWithProgress(ocr, image.pngDataUrl, onProgress);
+}
+
+// rectangle : { left, top, width, height } en pixels de l’image (null = image entière)
+async function recognizeWithProgress(ocr, imageDataUrl, onProgress, rectangle = null) {
+  ocr.onProgress = onProgress;
+  try {
+    const { data } = await ocr.worker.recognize(imageDataUrl, rectangle ? { rectangle } : {});
+    return { text: data.text || "", confidence: data.confidence ?? null };
+  } finally {
+    ocr.onProgress = null;
+  }
+}
+
+// Une passe OCR par zone ; chaque texte sous le titre de sa zone (confiance : moyenne des zones)
+async function recognizeRegions(ocr, image, regions, onProgress) {
+  let text = "";
+  const confidences = [];
+  for (let j = 0; j < regions.length; j++) {
+    const rectangle = regionToPixels(regions[j], image.width, image.height);
+    const part = await recognizeWithProgress(ocr, image.pngDataUrl, (pct) => {
+      onProgress(Math.round((j * 100 + pct) / regions.length));
+    }, rectangle);
+    text += formatRegionBlock(regions[j].name, part.text);
+    if (part.confidence != null) confidences.push(part.confidence);
+  }
+  const confidence = confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : null;
+  return { text, confidence };
+}
+
+function formatConfidence(c) {
+  return c == null ? "inconnue" : `${Math.round(c)} %`;
 }
 
 /* -------------------------
-   Pages selection
+   Pré-traitement d’image (worker, cf. preprocess.js)
 -------------------------- */
 
-function computePagesToProcess(numPages) {
-  if (pageMode.value === "all") {
-    return Array.from({ length: numPages }, (_, i) => i + 1);
+async function preprocessDataUrl(pngDataUrl, settings) {
+  const canvas = document.createElement("canvas");
+  await drawDataUrlToCanvas(pngDataUrl, canvas);
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  const src = ctx.getImageData(0, 0, width, height);
+
+  const out = await runPreprocessWorker({ width, height, data: src.data }, settings);
+  ctx.putImageData(new ImageData(out.image.data, width, height), 0, 0);
+  return { pngDataUrl: canvas.toDataURL("image/png"), skew_deg: out.skew_deg };
+}
+
+function runPreprocessWorker(image, settings) {
+  preprocessWorker ??= createPreprocessWorker();
+  const id = ++preprocessSeq;
+  return new Promise((resolve, reject) => {
+    preprocessJobs.set(id, { resolve, reject });
+    preprocessWorker.postMessage({ id, image, settings, dpi: getDpi() }, [image.data.buffer]);
+  });
+}
+
+function createPreprocessWorker() {
+  const w = new Worker(new URL("./preprocess.worker.js", import.meta.url), { type: "module" });
+  w.onmessage = (e) => {
+    const job = preprocessJobs.get(e.data.id);
+    if (!job) return;
+    preprocessJobs.delete(e.data.id);
+    if (e.data.error) job.reject(new Error(e.data.error));
+    else job.resolve(e.data);
+  };
+  return w;
+}
+
+/* -------------------------
+   Réglages (DPI + pré-traitement), mémorisés dans le navigateur
+-------------------------- */
+
+function setupSettings() {
+  const saved = loadSettings();
+  if (DPI_CHOICES.includes(saved.dpi)) dpiSel.value = String(saved.dpi);
+
+  for (const n of OCR_WORKER_CHOICES) ocrWorkersSel.add(new Option(String(n), String(n)));
+  ocrWorkersSel.value = String(OCR_WORKER_CHOICES.includes(saved.ocrWorkers)
+    ? saved.ocrWorkers
+    : defaultOcrWorkers(navigator.hardwareConcurrency));
+
+  const pp = { ...PREPROCESS_DEFAULTS, ...saved.preprocess };
+  ppMode.value = PREPROCESS_MODES.includes(pp.mode) ? pp.mode : PREPROCESS_DEFAULTS.mode;
+  ppDeskew.checked = !!pp.deskew;
+  ppDespeckle.checked = !!pp.despeckle;
+  ppLines.checked = !!pp.removeLines;
+  ppCompare.checked = !!pp.compare;
+  updatePreprocessControls();
+
+  ocrWorkersSel.addEventListener("change", saveSettings);
+  for (const el of [dpiSel, ppMode, ppDeskew, ppDespeckle, ppLines, ppCompare]) {
+    el.addEventListener("change", () => {
+      saveSettings();
+      updatePreprocessControls();
+      previewProcessed = null;
+      refreshPreview();
+    });
   }
-  if (pageMode.value === "range") {
-    let a = parseInt(pageFrom.value, 10) || 1;
-    let b = parseInt(pageTo.value, 10) || 1;
-    a = Math.max(1, Math.min(numPages, a));
-    b = Math.max(1, Math.min(numPages, b));
-    if (b < a) [a, b] = [b, a];
-    return Array.from({ length: b - a + 1 }, (_, i) => a + i);
+  showProcessedChk.addEventListener("change", refreshPreview);
+}
+
+function loadSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY) ?? "{}") ?? {};
+  } catch {
+    return {};
   }
-  return [1];
+}
+
+function saveSettings() {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+    dpi: getDpi(),
+    ocrWorkers: getOcrWorkers(),
+    preprocess: getPreprocessSettings(),
+    rulesProfile: rulesProfileSel.value,
+  }));
+}
+
+function getPreprocessSettings() {
+  return {
+    mode: ppMode.value,
+    deskew: ppDeskew.checked,
+    despeckle: ppDespeckle.checked,
+    removeLines: ppLines.checked,
+    compare: ppCompare.checked,
+  };
+}
+
+// Nettoyage et effacement des traits ne s’appliquent qu’à une image binarisée
+function updatePreprocessControls() {
+  const off = ppMode.value === "off";
+  const binary = ppMode.value === "otsu" || ppMode.value === "adaptive";
+  ppDeskew.disabled = off;
+  ppDespeckle.disabled = !binary;
+  ppLines.disabled = !binary;
+  ppCompare.disabled = off;
+  showProcessedChk.disabled = off;
+}
+
+function describePreprocess(s) {
+  const binary = s.mode === "otsu" || s.mode === "adaptive";
+  return [
+    ppMode.options[ppMode.selectedIndex].textContent,
+    s.deskew && "redressement",
+    binary && s.despeckle && "nettoyage des points isolés",
+    binary && s.removeLines && "effacement des traits longs",
+  ].filter(Boolean).join(", ");
+}
+
+/* -------------------------
+   Pages selection
+-------------------------- */
+
+function computePagesToProcess(numPages) {
+  return selectPages(numPages, {
+    mode: pageMode.value,
+    from: pageFrom.value,
+    to: pageTo.value,
+  });
 }
 
 /* -------------------------
@@ -335,18 +1231,239 @@ function log(msg) {
 }
 
 function resetOutputs() {
+  clearResults();
+  logOut.textContent = "";
+  pageList.textContent = "";
+}
+
+// Vide l’affichage des résultats (les logs du lot sont conservés)
+function clearResults() {
   ocrOut.value = "";
   jsonOut.value = "";
-  logOut.textContent = "";
+  lastJson = null;
+  lastJsonPaths = [];
+  lastReview = null;
+  lastChanged = [];
+  clearTimeout(reparseTimer);
+  reparseGeneration++;
+  textHistory.reset("");
+  updateHistoryButtons();
+  renderReviewForm(reviewForm, null, {});
+  reviewSummary.textContent = "";
+  showWarnings([]);
+  showChecks([]);
+  inseeBox.hidden = true;
   lastOcrText = "";
   lastParsed = null;
+  lastTopology = null;
+  showTopology(null);
+  lastQuantities = null;
+  showEstimate();
   lastRenderedPngDataUrl = null;
   dlOcrBtn.disabled = true;
   dlJsonBtn.disabled = true;
+  dlTopoBtn.disabled = true;
+  dlXlsxBtn.disabled = true;
   dlZipBtn.disabled = true;
   activateTab("ocr");
 }
 
+// Renvoie les erreurs de validation ([] si conforme ou si le schéma est indisponible)
+async function checkAgainstSchema(project, { quiet = false } = {}) {
+  try {
+    projectSchemaPromise ??= loadProjectSchema();
+    const schema = await projectSchemaPromise;
+    const errors = validateProject(project, schema);
+    if (quiet) return errors;
+    if (!errors.length) {
+      log(`JSON conforme au schéma ${project.schema_version}`);
+      return errors;
+    }
+    log(`JSON NON conforme au schéma ${project.schema_version} (${errors.length} erreur(s)) :`);
+    for (const e of errors) log(`  ${e.path} : ${e.message}`);
+    return errors;
+  } catch (err) {
+    projectSchemaPromise = null;
+    log(`Validation impossible : ${err.message ?? err}`);
+    return [];
+  }
+}
+
+/* -------------------------
+   Relecture
+   Le formulaire modifie une copie de travail ; l’aperçu JSON, le schéma réseau
+   et les exports suivent la version corrigée.
+-------------------------- */
+
+function showReview() {
+  renderReviewForm(reviewForm, lastReview, {
+    onChange: () => {
+      refreshReview();
+      scheduleLibrarySave(current);
+    },
+    onSource: showSource,
+    changed: lastChanged,
+    rules: activeRules(),
+  });
+}
+
+function currentProject() {
+  return lastReview ? reviewedProject(lastReview, jsonShapeSel.value) : lastParsed;
+}
+
+async function refreshReview({ quiet = true } = {}) {
+  const project = currentProject();
+  showJson(project);
+
+  const checks = checkProject(project, await getEngineeringRules());
+  showChecks(checks, { quiet });
+  showInseeSuggestions(await getCommunes());
+
+  lastTopology = buildTopology(project);
+  showTopology(lastTopology, { quiet: true });
+
+  lastQuantities = computeQuantities(project);
+  showEstimate();
+
+  // Chemins du validateur = chemins du formulaire (forme normalisée)
+  const errors = await checkAgainstSchema(reviewedProject(lastReview, "normalized"), { quiet: true });
+  showReviewErrors(reviewForm, [...errors, ...checks]);
+
+  const nCorrected = project.review?.corrected.length ?? 0;
+  const nRemoved = project.review?.removed.length ?? 0;
+  reviewSummary.textContent = [
+    `${nCorrected} champ(s) corrigé(s)`,
+    nRemoved ? `${nRemoved} élément(s) supprimé(s)` : null,
+    errors.length ? `${errors.length} erreur(s) de validation` : "conforme au schéma",
+    checks.length ? `${checks.length} contrôle(s) d’ingénierie en défaut` : null,
+  ].filter(Boolean).join(" · ");
+  reviewSummary.classList.toggle("bad", errors.length > 0 || checks.some(c => c.severity === "error"));
+
+  if (current) updateBatchRow(queueBody, current, summarizeEntry(current));
+}
+
+function logCorrections(corrections) {
+  if (!corrections?.length) return;
+  log(`${corrections.length} correction(s) du bruit OCR avant parsing :`);
+  for (const c of corrections) {
+    const where = c.page != null ? `page ${c.page}` : `position ${c.start}`;
+    log(`  [${c.rule}] ${where} : « ${c.from} » → « ${c.to} »`);
+  }
+}
+
+function showWarnings(warnings, { quiet = false } = {}) {
+  warnList.textContent = "";
+  for (const w of warnings ?? []) {
+    const li = document.createElement("li");
+    li.textContent = w.page != null ? `Page ${w.page} : ${w.message}` : w.message;
+    warnList.appendChild(li);
+    if (!quiet) log(`AVERTISSEMENT [${w.code}] ${li.textContent}`);
+  }
+  warnBox.hidden = !warnList.children.length;
+}
+
+/* -------------------------
+   Contrôles d’ingénierie (cf. rules.js)
+-------------------------- */
+
+function getEngineeringRules() {
+  engineeringRulesPromise ??= loadEngineeringRules()
+    .then((checks) => {
+      log(`Contrôles d’ingénierie : ${checks.rules.length} contrôle(s)`);
+      return checks;
+    })
+    .catch((err) => {
+      log(`Contrôles d’ingénierie indisponibles (${err.message ?? err}) : aucun contrôle appliqué.`);
+      return { rules: [], kvaTable: [] };
+    });
+  return engineeringRulesPromise;
+}
+
+/* -------------------------
+   Codes INSEE des postes (cf. communes.js)
+-------------------------- */
+
+function getCommunes() {
+  communesPromise ??= fetch(COMMUNES_URL)
+    .then(async (res) => {
+      if (!res.ok) throw new Error(res.status === 404 ? "fichier absent" : `HTTP ${res.status}`);
+      const ref = createCommuneReferential(await res.json());
+      log(`Référentiel des communes : ${ref.communes.size} code(s)${ref.source ? ` (${ref.source})` : ""}`);
+      return ref;
+    })
+    .catch((err) => {
+      log(`Référentiel des communes indisponible (${err.message ?? err}) : seuls les départements sont contrôlés.`);
+      return createCommuneReferential();
+    });
+  return communesPromise;
+}
+
+// Postes dont le code INSEE n’existe pas, avec les codes les plus proches : un clic corrige le
+// numéro de poste (et le code INSEE, la commune, le département) dans le formulaire
+function showInseeSuggestions(communes) {
+  inseeList.textContent = "";
+  const section = REVIEW_SECTIONS.find(s => s.id === "poste_dp");
+  for (const poste of lastReview ? sectionItems(lastReview, section) : []) {
+    if (!poste.insee) continue;
+    const found = lookupInsee(communes, poste.insee);
+    if (found.status !== "departement_inconnu" && found.status !== "commune_inconnue") continue;
+
+    const li = document.createElement("li");
+    li.append(`Poste ${poste.numero ?? "?"} : code ${poste.insee} inconnu`
+      + (found.departement ? ` en ${describeDepartement(found.departement)}` : " (département inexistant)"));
+    const near = nearestInseeCodes(communes, poste.insee);
+    if (!near.length) li.append(communes.communes ? " ; aucun code proche." : " ; référentiel des communes non chargé.");
+    for (const c of near) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "btn secondary small";
+      b.textContent = `${c.insee} ${c.commune}`;
+      b.title = `Corriger en ${c.insee} (${c.commune}, ${describeDepartement(c.departement)})`;
+      b.addEventListener("click", () => {
+        if (poste.numero) setField(poste, "numero", c.insee + poste.numero.slice(5));
+        setField(poste, "insee", c.insee);
+        setField(poste, "commune", c.commune);
+        setField(poste, "departement", c.departement);
+        showReview();
+        refreshReview();
+        scheduleLibrarySave(current);
+      });
+      li.append(" ", b);
+    }
+    inseeList.appendChild(li);
+  }
+  inseeBox.hidden = !inseeList.children.length;
+}
+
+// Contrôles de cohérence (rules.js), par gravité décroissante
+function showChecks(checks, { quiet = false } = {}) {
+  checkList.textContent = "";
+  for (const c of checks) {
+    const li = document.createElement("li");
+    li.className = `check ${c.severity}`;
+    const badge = document.createElement("span");
+    badge.className = "badge";
+    badge.textContent = RULE_SEVERITIES[c.severity];
+    const text = c.page != null ? `Page ${c.page} : ${c.message}` : c.message;
+    li.append(badge, " ", text);
+    li.title = c.title;
+    checkList.appendChild(li);
+    if (!quiet) log(`CONTRÔLE ${RULE_SEVERITIES[c.severity].toUpperCase()} [${c.rule}] ${text}`);
+  }
+  checkBox.hidden = !checks.length;
+}
+
+function showTopology(topology, { quiet = false } = {}) {
+  renderSingleLineDiagram(topoSvg, topology);
+  topoChecks.textContent = "";
+  for (const c of topology?.checks ?? []) {
+    const li = document.createElement("li");
+    li.textContent = c.message;
+    topoChecks.appendChild(li);
+    if (!quiet) log(`RÉSEAU [${c.code}] ${c.message}`);
+  }
+}
+
 function safeBaseName() {
   return (baseName.value || "plan").trim().replace(/[^\w\-\.]+/g, "_");
 }
@@ -364,6 +1481,777 @@ function dataUrlToBlob(dataUrl) {
   return new Blob([arr], { type: mime });
 }
 
+/* -------------------------
+   JSON → texte OCR (provenance)
+   Un clic sur un champ du JSON sélectionne, dans l’onglet OCR,
+   le passage d’où la valeur a été extraite (cf. "_sources" du parseur).
+-------------------------- */
+
+function showJson(obj) {
+  const { text, paths } = stringifyWithPaths(obj);
+  jsonOut.value = text;
+  lastJson = obj;
+  lastJsonPaths = paths;
+}
+
+// Même rendu que JSON.stringify(obj, null, 2), en notant le chemin de chaque ligne.
+function stringifyWithPaths(value) {
+  const lines = [];
+  const paths = [];
+  const emit = (line, path) => {
+    lines.push(line);
+    paths.push(path);
+  };
+
+  const walk = (v, path, depth, prefix, suffix) => {
+    const pad = "  ".repeat(depth);
+    const isArr = Array.isArray(v);
+    const entries = v && typeof v === "object"
+      ? (isArr ? v.map((x, i) => [i, x]) : Object.entries(v).filter(([, x]) => x !== undefined))
+      : null;
+
+    if (!entries || !entries.length) {
+      emit(`${pad}${prefix}${JSON.stringify(v) ?? "null"}${suffix}`, path);
+      return;
+    }
+
+    emit(`${pad}${prefix}${isArr ? "[" : "{"}`, path);
+    entries.forEach(([k, x], i) => {
+      const pre = isArr ? "" : `${JSON.stringify(k)}: `;
+      walk(x, [...path, k], depth + 1, pre, i < entries.length - 1 ? "," : "");
+    });
+    emit(`${pad}${isArr ? "]" : "}"}${suffix}`, path);
+  };
+
+  walk(value, [], 0, "", "");
+  return { text: lines.join("\n"), paths };
+}
+
+// Cherche la source du champ en remontant vers le plus proche objet porteur de "_sources".
+function findSource(root, path) {
+  const srcIdx = path.indexOf("_sources");
+  if (srcIdx >= 0) {
+    const owner = getAtPath(root, path.slice(0, srcIdx));
+    return owner?._sources?.[path[srcIdx + 1]] ?? null;
+  }
+  for (let k = path.length - 1; k >= 0; k--) {
+    const owner = getAtPath(root, path.slice(0, k));
+    const src = owner?._sources?.[path.slice(k).join(".")];
+    if (src) return src;
+  }
+  return null;
+}
+
+function getAtPath(root, path) {
+  return path.reduce((node, k) => (node == null ? node : node[k]), root);
+}
+
+function setupJsonSourceLinks() {
+  jsonOut.addEventListener("click", () => {
+    if (!lastJson || !lastJsonPaths.length) return;
+    const line = jsonOut.value.slice(0, jsonOut.selectionStart).split("\n").length - 1;
+    const path = lastJsonPaths[line];
+    if (!path || !path.length) return;
+
+    const src = findSource(lastJson, path);
+    if (src) showSource(src, path.join("."));
+  });
+}
+
+function showSource(src, label = "champ") {
+  if (ocrOut.value.slice(src.start, src.end) !== src.snippet) {
+    log(`Source de ${label} introuvable : le texte OCR a été modifié.`);
+    return;
+  }
+
+  activateTab("ocr");
+  selectInTextarea(ocrOut, src.start, src.end);
+  const where = src.page != null ? `page ${src.page}` : "texte OCR";
+  log(`Source de ${label} : ${where}, « ${src.snippet} »`);
+}
+
+function selectInTextarea(textarea, start, end) {
+  textarea.focus();
+  textarea.setSelectionRange(start, end);
+  // Faire défiler jusqu’à la sélection (approximation par numéro de ligne)
+  const lineNo = textarea.value.slice(0, start).split("\n").length - 1;
+  const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 16;
+  textarea.scrollTop = Math.max(0, lineNo * lineHeight - textarea.clientHeight / 2);
+}
+
+/* -------------------------
+   Re-parsing à la volée
+   Chaque correction du texte OCR relance le parseur (après une courte pause de frappe),
+   sans refaire l’OCR. Les corrections déjà saisies dans le formulaire sont reportées.
+-------------------------- */
+
+function setupLiveReparse() {
+  ocrOut.addEventListener("input", () => {
+    clearTimeout(reparseTimer);
+    reparseTimer = setTimeout(() => reparseEditedText(), REPARSE_DELAY_MS);
+  });
+
+  undoBtn.addEventListener("click", () => restoreText(textHistory.undo()));
+  redoBtn.addEventListener("click", () => restoreText(textHistory.redo()));
+}
+
+async function reparseEditedText() {
+  clearTimeout(reparseTimer);
+  const text = ocrOut.value;
+  if (text === lastOcrText) return;
+
+  textHistory.record(text);
+  updateHistoryButtons();
+  await reparse(text);
+}
+
+async function restoreText(text) {
+  if (text == null) return;
+  clearTimeout(reparseTimer);
+  ocrOut.value = text;
+  updateHistoryButtons();
+  await reparse(text);
+}
+
+async function reparse(text) {
+  // Résultat ignoré si l’utilisateur a changé de plan ou relancé un re-parsing entre-temps
+  const entry = current;
+  const generation = ++reparseGeneration;
+  try {
+    const parsed = parseOcrTextToProject(text, {
+      shape: jsonShapeSel.value,
+      communes: await getCommunes(),
+      rules: activeRules(),
+    });
+    if (entry !== current || generation !== reparseGeneration) return;
+
+    const review = createReview(parsed);
+    const lost = applyCorrections(review, lastReview, { before: lastOcrText, after: text });
+    lastChanged = lastParsed ? changedPaths(lastParsed, parsed) : [];
+    lastOcrText = text;
+    lastParsed = parsed;
+    lastReview = review;
+    if (current) Object.assign(current, { ocrText: text, parsed: lastParsed, review: lastReview });
+    showWarnings(lastParsed.warnings, { quiet: true });
+    showReview();
+    await refreshReview();
+    if (current) scheduleLibrarySave(current);
+
+    const list = lastChanged.slice(0, 5).join(", ") + (lastChanged.length > 5 ? ", …" : "");
+    log(`Re-parsing : ${lastChanged.length} champ(s) modifié(s)${lastChanged.length ? ` (${list})` : ""}`);
+    if (lost) log(`  ${lost} correction(s) ou suppression(s) du formulaire non reportée(s) : élément introuvable dans le nouveau résultat.`);
+
+    dlOcrBtn.disabled = false;
+    dlJsonBtn.disabled = false;
+    dlTopoBtn.disabled = false;
+    dlXlsxBtn.disabled = false;
+    dlZipBtn.disabled = false;
+  } catch (err) {
+    console.error(err);
+    log(`ERREUR (re-parsing) : ${err.message ?? err}`);
+  }
+}
+
+function updateHistoryButtons() {
+  undoBtn.disabled = !textHistory.canUndo;
+  redoBtn.disabled = !textHistory.canRedo;
+}
+
+/* -------------------------
+   Règles d’extraction (cf. parserrules.js)
+   Un profil par convention de rédaction des plans ; celui choisi dans la liste sert au traitement et
+   au re-parsing. Un brouillon se teste sur le texte OCR courant avant d’être enregistré.
+-------------------------- */
+
+function setupRules() {
+  renderRulesOptions(loadSettings().rulesProfile);
+  showRulesProfile(activeRules());
+
+  rulesProfileSel.addEventListener("change", () => {
+    saveSettings();
+    showRulesProfile(activeRules());
+    applyActiveRules();
+  });
+
+  testRulesBtn.addEventListener("click", () => testRulesDraft());
+
+  saveRulesBtn.addEventListener("click", () => {
+    const name = rulesName.value.trim();
+    if (!name) {
+      rulesName.focus();
+      return;
+    }
+    try {
+      const draft = parseRulesProfile(rulesEditor.value, defaultRules);
+      ruleProfiles = saveRuleProfile(localStorage, makeRulesProfile(name, draft, defaultRules), defaultRules);
+      selectRulesProfile(name);
+    } catch (err) {
+      showRulesTest(`Profil non enregistré : ${err.message ?? err}`, { bad: true });
+    }
+  });
+
+  deleteRulesBtn.addEventListener("click", () => {
+    const profile = activeRules();
+    if (profile === defaultRules || !confirm(`Supprimer le profil de règles « ${profile.name} » ?`)) return;
+    ruleProfiles = deleteRuleProfile(localStorage, profile.name, defaultRules);
+    selectRulesProfile(DEFAULT_PROFILE_NAME);
+  });
+
+  exportRulesBtn.addEventListener("click", () => {
+    const profile = activeRules();
+    downloadText(`${profile.name.replace(/[^\w\-\.]+/g, "_")}.regles.json`, JSON.stringify(profile, null, 2));
+  });
+
+  importRulesInput.addEventListener("change", async () => {
+    const file = importRulesInput.files?.[0];
+    importRulesInput.value = "";
+    if (!file) return;
+    try {
+      const profile = parseRulesProfile(await file.text(), defaultRules);
+      ruleProfiles = saveRuleProfile(localStorage, profile, defaultRules);
+      selectRulesProfile(profile.name);
+    } catch (err) {
+      log(`ERREUR (profil de règles ${file.name}) : ${err.message ?? err}`);
+    }
+  });
+}
+
+function renderRulesOptions(selected = rulesProfileSel.value) {
+  rulesProfileSel.length = 0;
+  rulesProfileSel.add(new Option(`${DEFAULT_PROFILE_NAME} (intégré)`, DEFAULT_PROFILE_NAME));
+  for (const p of ruleProfiles) rulesProfileSel.add(new Option(`${p.name} (révision ${p.revision})`, p.name));
+  rulesProfileSel.value = ruleProfiles.some(p => p.name === selected) ? selected : DEFAULT_PROFILE_NAME;
+}
+
+function activeRules() {
+  return ruleProfiles.find(p => p.name === rulesProfileSel.value) ?? defaultRules;
+}
+
+// Après enregistrement, import ou suppression : le profil devient le profil actif
+function selectRulesProfile(name) {
+  renderRulesOptions(name);
+  saveSettings();
+  showRulesProfile(activeRules());
+  applyActiveRules();
+}
+
+function showRulesProfile(profile) {
+  rulesEditor.value = JSON.stringify(profile, null, 2);
+  rulesName.value = profile === defaultRules ? "" : profile.name;
+  deleteRulesBtn.disabled = profile === defaultRules;
+  showRulesTest("");
+}
+
+// Le plan courant est re-parsé avec le nouveau profil (corrections du formulaire reportées)
+async function applyActiveRules() {
+  const profile = activeRules();
+  log(`Règles d’extraction : profil « ${profile.name} » (révision ${profile.revision})`);
+  if (lastOcrText) await reparse(lastOcrText);
+  else if (lastReview) showReview();
+}
+
+// Parse le texte OCR courant avec le profil actif puis avec le brouillon de l’éditeur, et liste les écarts
+async function testRulesDraft() {
+  let draft;
+  try {
+    draft = parseRulesProfile(rulesEditor.value, defaultRules);
+  } catch (err) {
+    showRulesTest(`Brouillon invalide : ${err.message ?? err}`, { bad: true });
+    return;
+  }
+  if (!lastOcrText.trim()) {
+    showRulesTest("Pas de texte OCR à tester : traiter ou ouvrir un plan d’abord.");
+    return;
+  }
+
+  const options = { shape: "normalized", communes: await getCommunes() };
+  const before = parseOcrTextToProject(lastOcrText, { ...options, rules: activeRules() });
+  const after = parseOcrTextToProject(lastOcrText, { ...options, rules: draft });
+  const paths = changedPaths(before, after);
+
+  const counts = [
+    ["poste(s)", p => p.poste_dp.length],
+    ["extension(s) HTA", p => p.hta.extensions.length],
+    ["reprise(s) BT", p => p.bt.reprises.length],
+    ["raccordement(s) BT", p => p.bt.raccordements.length],
+    ["PDL", p => p.pdls.length],
+    ["avertissement(s)", p => p.warnings.length],
+  ].map(([label, count]) => `${label} ${count(before)} → ${count(after)}`);
+  showRulesTest(
+    `${paths.length} champ(s) modifié(s) par rapport au profil « ${activeRules().name} » · ${counts.join(", ")}`
+  );
+
+  const show = (v) => (v === undefined ? "(absent)" : JSON.stringify(v));
+  for (const path of paths) {
+    addRulesTestLine(`${path} : ${show(valueAtPath(before, path))} → ${show(valueAtPath(after, path))}`);
+  }
+  const messages = (p) => new Set(p.warnings.map(w => w.message));
+  const [was, is] = [messages(before), messages(after)];
+  for (const m of was) if (!is.has(m)) addRulesTestLine(`avertissement disparu : ${m}`);
+  for (const m of is) if (!was.has(m)) addRulesTestLine(`avertissement nouveau : ${m}`);
+}
+
+function showRulesTest(summary, { bad = false } = {}) {
+  rulesTestSummary.textContent = summary;
+  rulesTestSummary.classList.toggle("bad", bad);
+  rulesTestList.textContent = "";
+}
+
+function addRulesTestLine(text) {
+  const li = document.createElement("li");
+  li.textContent = text;
+  rulesTestList.appendChild(li);
+}
+
+/* -------------------------
+   Zones de lecture : modèles
+   Un modèle = un jeu de zones nommées, réutilisable pour les plans d’un même bureau d’études.
+   Enregistré dans le navigateur (localStorage) ; export / import en JSON pour le partager.
+-------------------------- */
+
+function setupRegionTemplates() {
+  renderTemplateOptions();
+
+  regionTemplateSel.addEventListener("change", updateRegionButtons);
+  clearRegionsBtn.addEventListener("click", () => regionEditor.setRegions([]));
+
+  applyTemplateBtn.addEventListener("click", () => {
+    const t = selectedTemplate();
+    if (!t) return;
+    regionEditor.setRegions(t.regions);
+    templateName.value = t.name;
+    log(`Modèle de zones appliqué : ${t.name} (${t.regions.length} zone(s))`);
+  });
+
+  saveTemplateBtn.addEventListener("click", () => {
+    const name = templateName.value.trim();
+    if (!name) {
+      templateName.focus();
+      return;
+    }
+    regionTemplates = saveTemplate(localStorage, makeTemplate(name, regionEditor.getRegions()));
+    renderTemplateOptions(name);
+    log(`Modèle de zones enregistré : ${name}`);
+  });
+
+  deleteTemplateBtn.addEventListener("click", () => {
+    const t = selectedTemplate();
+    if (!t || !confirm(`Supprimer le modèle de zones « ${t.name} » ?`)) return;
+    regionTemplates = deleteTemplate(localStorage, t.name);
+    renderTemplateOptions();
+  });
+
+  exportTemplateBtn.addEventListener("click", () => {
+    const t = selectedTemplate();
+    if (!t) return;
+    downloadText(`${t.name.replace(/[^\w\-\.]+/g, "_")}.zones.json`, JSON.stringify(t, null, 2));
+  });
+
+  importTemplateInput.addEventListener("change", async () => {
+    const file = importTemplateInput.files?.[0];
+    importTemplateInput.value = "";
+    if (!file) return;
+    try {
+      const t = parseTemplate(await file.text());
+      regionTemplates = saveTemplate(localStorage, t);
+      renderTemplateOptions(t.name);
+      log(`Modèle de zones importé : ${t.name} (${t.regions.length} zone(s))`);
+    } catch (err) {
+      log(`ERREUR (modèle de zones ${file.name}) : ${err.message ?? err}`);
+    }
+  });
+}
+
+function renderTemplateOptions(selected = regionTemplateSel.value) {
+  regionTemplateSel.length = 1;
+  for (const t of regionTemplates) {
+    const o = document.createElement("option");
+    o.value = t.name;
+    o.textContent = `${t.name} (${t.regions.length} zone(s))`;
+    regionTemplateSel.appendChild(o);
+  }
+  regionTemplateSel.value = regionTemplates.some(t => t.name === selected) ? selected : "";
+  updateRegionButtons();
+}
+
+function selectedTemplate() {
+  return regionTemplates.find(t => t.name === regionTemplateSel.value) ?? null;
+}
+
+function updateRegionButtons() {
+  const hasRegions = regionEditor.getRegions().length > 0;
+  clearRegionsBtn.disabled = !hasRegions;
+  saveTemplateBtn.disabled = !hasRegions;
+  const hasTemplate = !!selectedTemplate();
+  applyTemplateBtn.disabled = !hasTemplate;
+  deleteTemplateBtn.disabled = !hasTemplate;
+  exportTemplateBtn.disabled = !hasTemplate;
+}
+
+/* -------------------------
+   Cache OCR (cf. ocrcache.js)
+-------------------------- */
+
+function setupOcrCache() {
+  cachePanel.addEventListener("toggle", () => {
+    if (cachePanel.open) renderOcrCache();
+  });
+
+  clearCacheBtn.addEventListener("click", async () => {
+    const store = await getOcrCache();
+    if (!store || !confirm("Vider le cache OCR de ce navigateur ?")) return;
+    await store.clear();
+    log("Cache OCR vidé");
+    renderOcrCache();
+  });
+}
+
+// Ouvert au premier besoin ; sans IndexedDB (navigation privée…), l’OCR se fait simplement sans cache
+function getOcrCache() {
+  ocrCachePromise ??= openOcrCache().catch((err) => {
+    log(`Cache OCR indisponible : ${err.message ?? err}`);
+    return null;
+  });
+  return ocrCachePromise;
+}
+
+async function renderOcrCache() {
+  const store = await getOcrCache();
+  cacheList.textContent = "";
+  if (!store) {
+    cacheSummary.textContent = "Cache indisponible dans ce navigateur.";
+    clearCacheBtn.disabled = true;
+    return;
+  }
+
+  const plans = summarizeCache(await store.list());
+  const entries = plans.reduce((n, p) => n + p.entries, 0);
+  const bytes = plans.reduce((n, p) => n + p.bytes, 0);
+  cacheSummary.textContent = plans.length
+    ? `${plans.length} PDF, ${entries} page(s) en cache (≈ ${formatKilobytes(bytes)})`
+    : "Cache vide.";
+  clearCacheBtn.disabled = !plans.length;
+
+  for (const plan of plans) {
+    const li = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = `${plan.fileName} — page(s) ${plan.pages.join(", ")}`
+      + (plan.entries > plan.pages.length ? ` (${plan.entries} lectures, réglages différents)` : "")
+      + ` · ${new Date(plan.updatedAt).toLocaleString("fr-FR")}`;
+    label.title = `SHA-256 ${plan.hash}`;
+
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "btn secondary small";
+    del.textContent = "Supprimer";
+    del.addEventListener("click", async () => {
+      await store.deleteHash(plan.hash);
+      log(`Cache OCR : ${plan.fileName} supprimé`);
+      renderOcrCache();
+    });
+
+    li.append(label, " ", del);
+    cacheList.appendChild(li);
+  }
+}
+
+function formatKilobytes(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} Ko` : `${(bytes / 1024 / 1024).toFixed(1)} Mo`;
+}
+
+/* -------------------------
+   Bibliothèque (cf. library.js)
+   Chaque plan traité y est enregistré ; les corrections (formulaire, texte OCR) mettent à jour
+   son enregistrement. Un projet ouvert depuis la bibliothèque s’affiche hors de la file.
+-------------------------- */
+
+function setupLibrary() {
+  librarySearch.addEventListener("input", renderLibrary);
+
+  exportLibraryBtn.addEventListener("click", async () => {
+    const store = await getLibrary();
+    if (!store) return;
+    const records = await store.list();
+    downloadText(`bibliotheque-aps-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(makeArchive(records)));
+    log(`Bibliothèque exportée : ${records.length} projet(s)`);
+  });
+
+  importLibraryInput.addEventListener("change", async () => {
+    const file = importLibraryInput.files?.[0];
+    importLibraryInput.value = "";
+    const store = await getLibrary();
+    if (!file || !store) return;
+    try {
+      const records = parseArchive(await file.text());
+      const total = await store.putAll(records);
+      log(`Bibliothèque importée : ${records.length} projet(s) de ${file.name} (${total} au total)`);
+      renderLibrary();
+    } catch (err) {
+      log(`ERREUR (archive ${file.name}) : ${err.message ?? err}`);
+    }
+  });
+
+  renderLibrary();
+}
+
+// Ouverte au premier besoin ; sans IndexedDB, les résultats ne sont simplement pas conservés
+function getLibrary() {
+  libraryPromise ??= openLibrary().catch((err) => {
+    log(`Bibliothèque indisponible : ${err.message ?? err}`);
+    return null;
+  });
+  return libraryPromise;
+}
+
+async function saveToLibrary(entry) {
+  clearTimeout(librarySaveTimer);
+  const store = await getLibrary();
+  if (!store || !entry?.review) return;
+  entry.libraryId ??= newLibraryId();
+  const record = makeLibraryRecord({
+    id: entry.libraryId,
+    fileName: entry.name,
+    baseName: entry.baseName,
+    pdfHash: entry.pdfHash,
+    ocrText: entry.ocrText,
+    parsed: entry.parsed,
+    review: reviewSnapshot(entry.review),
+    thumbnail: entry.thumbnail,
+  }, reviewedProject(entry.review, "normalized"));
+  try {
+    await store.put(record);
+  } catch (err) {
+    log(`ERREUR (bibliothèque) : ${err.message ?? err}`);
+  }
+  if (!running) renderLibrary();
+}
+
+function scheduleLibrarySave(entry) {
+  clearTimeout(librarySaveTimer);
+  librarySaveTimer = setTimeout(() => saveToLibrary(entry), LIBRARY_SAVE_DELAY_MS);
+}
+
+async function renderLibrary() {
+  const store = await getLibrary();
+  if (!store) {
+    librarySummary.textContent = "Bibliothèque indisponible dans ce navigateur.";
+    exportLibraryBtn.disabled = true;
+    return;
+  }
+
+  const records = await store.list();
+  const results = searchLibrary(records, librarySearch.value);
+  librarySummary.textContent = librarySearch.value.trim()
+    ? `${results.length} projet(s) trouvé(s) sur ${records.length}`
+    : `${records.length} projet(s) enregistré(s)`;
+  exportLibraryBtn.disabled = !records.length;
+
+  renderLibraryList(libraryList, results, {
+    disabled: running,
+    onOpen: openLibraryProject,
+    onDelete: async (record) => {
+      if (!confirm(`Retirer « ${record.fileName} » de la bibliothèque ?`)) return;
+      await store.remove(record.id);
+      for (const e of queue) if (e.libraryId === record.id) e.libraryId = null;
+      if (current?.libraryId === record.id) current.libraryId = null;
+      renderLibrary();
+    },
+  });
+}
+
+// Projet enregistré → élément affiché (sans PDF : l’aperçu est la vignette de la page 1) ; un projet
+// enregistré sous une version antérieure du schéma est mis à jour
+async function openLibraryProject(record) {
+  if (running) return;
+  const parsed = migrateProject(record.parsed);
+  current = {
+    id: `bibliotheque-${record.id}`,
+    file: null,
+    name: record.fileName,
+    baseName: record.baseName,
+    status: "termine",
+    progress: 100,
+    error: null,
+    ocrText: record.ocrText,
+    parsed,
+    review: restoreReview(parsed, record.review),
+    thumbnail: record.thumbnail,
+    pdfHash: record.pdfHash,
+    libraryId: record.id,
+  };
+  clearResults();
+  baseName.value = current.baseName;
+  baseName.disabled = false;
+  renderQueue();
+  if (record.thumbnail) await showPreview(record.thumbnail);
+  log(`Bibliothèque : ${record.fileName} (analysé le ${new Date(record.savedAt).toLocaleString("fr-FR")})`);
+  await showEntryResult(current);
+}
+
+// Vignette JPEG de la page 1 pour la bibliothèque (largeur réduite, quelques dizaines de Ko)
+async function thumbnailDataUrl(pngDataUrl, width = 320) {
+  const full = document.createElement("canvas");
+  await drawDataUrlToCanvas(pngDataUrl, full);
+  const thumb = document.createElement("canvas");
+  thumb.width = width;
+  thumb.height = Math.round((full.height * width) / full.width);
+  thumb.getContext("2d").drawImage(full, 0, 0, thumb.width, thumb.height);
+  return thumb.toDataURL("image/jpeg", 0.7);
+}
+
+/* -------------------------
+   Métré & chiffrage (cf. quantities.js)
+   Recalculé à chaque correction ; un prix saisi vaut pour tous les plans (clé d’article stable).
+-------------------------- */
+
+function setupEstimate() {
+  dlEstimateBtn.addEventListener("click", async () => {
+    if (!lastEstimate) return;
+    saveAs(await xlsxBlob([estimateSheet(lastEstimate, current?.name ?? safeBaseName())]), `${safeBaseName()}.estimation.xlsx`);
+  });
+
+  exportPricesBtn.addEventListener("click", () => {
+    downloadText("prix-unitaires.json", JSON.stringify(priceTable, null, 2));
+  });
+
+  importPricesInput.addEventListener("change", async () => {
+    const file = importPricesInput.files?.[0];
+    importPricesInput.value = "";
+    if (!file) return;
+    try {
+      const imported = parsePriceTable(await file.text());
+      priceTable = mergePriceTables(priceTable, imported);
+      savePriceTable(localStorage, priceTable);
+      log(`Prix unitaires importés : ${Object.keys(imported.prices).length} article(s) de ${file.name}`);
+      showEstimate();
+    } catch (err) {
+      log(`ERREUR (table de prix ${file.name}) : ${err.message ?? err}`);
+    }
+  });
+}
+
+function showEstimate() {
+  lastEstimate = lastQuantities ? priceEstimate(lastQuantities, priceTable) : null;
+  renderEstimate(estimateTable, lastEstimate, {
+    onPrice: (line, price) => {
+      priceTable = setUnitPrice(priceTable, line, price);
+      savePriceTable(localStorage, priceTable);
+      showEstimate();
+    },
+  });
+
+  estimateWarnings.textContent = "";
+  for (const w of lastQuantities?.warnings ?? []) {
+    const li = document.createElement("li");
+    li.textContent = w;
+    estimateWarnings.appendChild(li);
+  }
+  estimateSummary.textContent = lastEstimate
+    ? `${lastEstimate.lines.length} article(s)`
+      + (lastEstimate.unpriced ? ` · ${lastEstimate.unpriced} sans prix unitaire` : " · tous chiffrés")
+    : "";
+  dlEstimateBtn.disabled = !lastEstimate?.lines.length;
+}
+
+/* -------------------------
+   Mode hors ligne
+   sw.js met en cache l’application et docs/vendor à la première visite ; l’indicateur de l’en-tête
+   dit si tout est prêt. Toute requête vers une autre origine (bloquée par la CSP de index.html ou
+   par le service worker) est signalée dans l’indicateur et le journal.
+-------------------------- */
+
+function setupOffline() {
+  document.addEventListener("securitypolicyviolation", (e) => {
+    // “eval”, “inline” : pas des requêtes (ex. test de PDF.js), sans objet ici
+    if (/^https?:/.test(e.blockedURI)) reportBlockedRequest(e.blockedURI);
+  });
+  window.addEventListener("online", renderOfflineStatus);
+  window.addEventListener("offline", renderOfflineStatus);
+
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) {
+    offline.state = "indisponible";
+    renderOfflineStatus();
+    return;
+  }
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type === "blocked") reportBlockedRequest(e.data.url);
+  });
+
+  navigator.serviceWorker.register(new URL("./sw.js", import.meta.url)).then((reg) => {
+    const track = (worker) => {
+      if (!worker) return;
+      offline.state = "installation";
+      renderOfflineStatus();
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "activated") queryOfflineStatus();
+        if (worker.state === "redundant" && !navigator.serviceWorker.controller) listMissingOfflineFiles();
+      });
+    };
+    track(reg.installing);
+    reg.addEventListener("updatefound", () => track(reg.installing));
+    if (reg.active) queryOfflineStatus();
+  }).catch((err) => {
+    offline.state = "echec";
+    renderOfflineStatus();
+    log(`Mode hors ligne indisponible : ${err.message ?? err}`);
+  });
+}
+
+async function queryOfflineStatus() {
+  const reg = await navigator.serviceWorker.ready;
+  const channel = new MessageChannel();
+  const reply = new Promise((resolve) => { channel.port1.onmessage = (e) => resolve(e.data); });
+  reg.active.postMessage({ type: "status" }, [channel.port2]);
+  const status = await reply;
+  offline.state = status.ready ? "pret" : "echec";
+  offline.missing = status.missing;
+  renderOfflineStatus();
+  if (status.error) log(`Mode hors ligne : ${status.error}`);
+  for (const url of status.missing) log(`Mode hors ligne : non mis en cache : ${url}`);
+}
+
+// Pré-cache refusé (fichier absent de docs/) : on cherche lesquels, pour le journal
+async function listMissingOfflineFiles() {
+  offline.state = "echec";
+  try {
+    const { shell, vendor } = await (await fetch(new URL("./offline.json", import.meta.url))).json();
+    const urls = [...shell, ...Object.keys(vendor)].map(p => new URL(p, import.meta.url).href);
+    const found = await Promise.all(urls.map(u => fetch(u, { method: "HEAD" }).then(r => r.ok, () => false)));
+    offline.missing = urls.filter((_, i) => !found[i]);
+  } catch (err) {
+    log(`Mode hors ligne : liste des fichiers illisible (${err.message ?? err})`);
+  }
+  renderOfflineStatus();
+  for (const url of offline.missing) log(`Mode hors ligne : fichier absent : ${url}`);
+  if (offline.missing.length) log("  → node cli/vendor-offline.mjs sur un poste connecté, puis publier docs/vendor.");
+}
+
+function reportBlockedRequest(url) {
+  if (offline.blocked.has(url)) return;
+  offline.blocked.add(url);
+  log(`REQUÊTE HORS ORIGINE BLOQUÉE : ${url}`);
+  renderOfflineStatus();
+}
+
+function renderOfflineStatus() {
+  const text = {
+    verification: "Mode hors ligne : vérification…",
+    installation: "Mode hors ligne : mise en cache…",
+    pret: "Prêt hors ligne",
+    echec: `Mode hors ligne indisponible${offline.missing.length ? ` : ${offline.missing.length} fichier(s) manquant(s)` : ""}`,
+    indisponible: "Mode hors ligne indisponible (page à servir en HTTPS ou sur localhost)",
+  }[offline.state];
+  offlineStatus.textContent = [
+    text,
+    navigator.onLine ? null : "sans réseau",
+    offline.blocked.size ? `${offline.blocked.size} requête(s) hors origine bloquée(s)` : null,
+  ].filter(Boolean).join(" · ");
+  offlineStatus.classList.toggle("ready", offline.state === "pret");
+  offlineStatus.classList.toggle("failed", offline.state === "echec");
+  offlineStatus.classList.toggle("blocked", offline.blocked.size > 0);
+  offlineStatus.title = offline.missing.join("\n");
+}
+
 /* -------------------------
    Tabs
 -------------------------- */
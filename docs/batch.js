@@ -0,0 +1,108 @@
+// batch.js
+// Traitement par lots dans l’interface : un élément de file par PDF déposé (statut, progression,
+// erreur, résultat) et récapitulatif du lot (tableau de la file, CSV du ZIP).
+// Module pur (aucune dépendance au DOM) ; l’affichage de la file est dans batchview.js.
+
+import { csvText } from "./sheets.js";
+
+// statut : "attente" | "en_cours" | "termine" | "annule" | "erreur"
+// (annule : traitement interrompu, résultat partiel sur les pages déjà lues)
+export const BATCH_STATUS_LABELS = {
+  attente: "en attente",
+  en_cours: "en cours",
+  termine: "terminé",
+  annule: "annulé",
+  erreur: "erreur",
+};
+
+/* ============================================================
+   File
+============================================================ */
+
+export function createBatchEntry(file, id) {
+  return {
+    id,
+    file,
+    name: file.webkitRelativePath || file.name,
+    baseName: baseNameOf(file.name),
+    status: "attente",
+    progress: 0,
+    error: null,
+    // Résultat (statut "termine", ou "annule" si des pages ont été lues) : texte OCR, sortie du parseur et relecture (cf. review.js)
+    ocrText: null,
+    parsed: null,
+    review: null,
+    // Empreinte du PDF, vignette de la page 1 et enregistrement dans la bibliothèque (cf. library.js)
+    pdfHash: null,
+    thumbnail: null,
+    libraryId: null,
+  };
+}
+
+export function isPdfFile(file) {
+  return file.type === "application/pdf" || /\.pdf$/i.test(file.name);
+}
+
+// Même fichier déjà dans la file (nom, taille et date de modification identiques)
+export function sameFile(entry, file) {
+  return entry.file.name === file.name
+    && entry.file.size === file.size
+    && entry.file.lastModified === file.lastModified;
+}
+
+// Nom de base des fichiers exportés (mêmes caractères autorisés que le champ “Nom de base”)
+export function baseNameOf(fileName) {
+  return (fileName.replace(/\.pdf$/i, "").trim() || "plan").replace(/[^\w\-\.]+/g, "_");
+}
+
+// Noms de base rendus uniques dans le ZIP du lot (plan, plan-2, plan-3…)
+export function uniqueNames(names) {
+  const seen = new Map();
+  return names.map(n => {
+    const count = (seen.get(n) ?? 0) + 1;
+    seen.set(n, count);
+    return count === 1 ? n : `${n}-${count}`;
+  });
+}
+
+/* ============================================================
+   Récapitulatif
+============================================================ */
+
+// Résumé d’un projet (forme legacy ou normalisée)
+export function summarizeProject(project) {
+  return {
+    rac: project?.affaire?.num ?? null,
+    postes: (project?.poste_dp ?? []).map(p => p.numero).filter(Boolean)
+      .filter((n, i, all) => all.indexOf(n) === i),
+    pdls: project?.pdls?.length ?? 0,
+    warnings: project?.warnings?.length ?? 0,
+  };
+}
+
+const CSV_COLUMNS = [
+  ["Fichier", r => r.fichier],
+  ["Statut", r => r.statut],
+  ["N° RAC", r => r.rac ?? ""],
+  ["Poste(s) DP", r => r.postes.join(", ")],
+  ["PDL", r => r.pdls ?? ""],
+  ["Avertissements", r => r.warnings ?? ""],
+  ["Erreur", r => r.erreur ?? ""],
+];
+
+// summary : résultat de summarizeProject, null si le fichier n’a pas (encore) de résultat
+export function summaryRow(entry, summary) {
+  return {
+    fichier: entry.name,
+    statut: BATCH_STATUS_LABELS[entry.status],
+    rac: summary?.rac ?? null,
+    postes: summary?.postes ?? [],
+    pdls: summary ? summary.pdls : null,
+    warnings: summary ? summary.warnings : null,
+    erreur: entry.error,
+  };
+}
+
+export function summaryCsv(rows) {
+  return csvText(CSV_COLUMNS.map(([h]) => h), rows.map(r => CSV_COLUMNS.map(([, get]) => get(r))));
+}
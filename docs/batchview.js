@@ -0,0 +1,81 @@
+// batchview.js
+// Tableau de la file de traitement (cf. batch.js) : une ligne par PDF avec statut, progression,
+// erreur et aperçu du résultat (N° RAC, postes, nombre de PDL et d’avertissements).
+
+import { BATCH_STATUS_LABELS } from "./batch.js";
+
+/* -------------------------
+   Rendu
+-------------------------- */
+
+// summarize(entry) : résumé du résultat (summarizeProject) ou null ; current : élément affiché ;
+// running : lot en cours (sélection et retrait désactivés)
+export function renderBatchQueue(tbody, entries, { current, running, summarize, onSelect, onRemove }) {
+  tbody.textContent = "";
+  for (const entry of entries) {
+    const tr = document.createElement("tr");
+    tr.dataset.id = String(entry.id);
+    tr.className = `queueRow ${entry.status}`;
+    tr.classList.toggle("current", entry === current);
+
+    const name = document.createElement("button");
+    name.type = "button";
+    name.className = "linkBtn";
+    name.textContent = entry.name;
+    name.title = "Afficher ce plan dans l’aperçu et les résultats";
+    name.disabled = running;
+    name.addEventListener("click", () => onSelect(entry));
+
+    const status = document.createElement("span");
+    status.className = "queueStatus";
+
+    const bar = document.createElement("progress");
+    bar.max = 100;
+
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "btn secondary small";
+    del.textContent = "Retirer";
+    del.disabled = running;
+    del.addEventListener("click", () => onRemove(entry));
+
+    tr.append(
+      cell(name),
+      cell(status),
+      cell(bar),
+      cell(null, "rac"),
+      cell(null, "postes"),
+      cell(null, "pdls"),
+      cell(null, "warnings"),
+      cell(del),
+    );
+    tbody.appendChild(tr);
+    updateBatchRow(tbody, entry, summarize(entry));
+  }
+}
+
+// Mise à jour d’une seule ligne (progression pendant l’OCR, résultat corrigé à la relecture)
+export function updateBatchRow(tbody, entry, summary) {
+  const tr = tbody.querySelector(`tr[data-id="${entry.id}"]`);
+  if (!tr) return;
+  tr.className = `queueRow ${entry.status}${tr.classList.contains("current") ? " current" : ""}`;
+
+  const status = tr.querySelector(".queueStatus");
+  status.textContent = entry.error ? `${BATCH_STATUS_LABELS[entry.status]} : ${entry.error}` : BATCH_STATUS_LABELS[entry.status];
+  tr.querySelector("progress").value = entry.progress;
+
+  const text = (key, value) => {
+    tr.querySelector(`td[data-key="${key}"]`).textContent = value;
+  };
+  text("rac", summary?.rac ?? "—");
+  text("postes", summary?.postes.length ? summary.postes.join(", ") : "—");
+  text("pdls", summary ? String(summary.pdls) : "—");
+  text("warnings", summary ? String(summary.warnings) : "—");
+}
+
+function cell(content, key = null) {
+  const td = document.createElement("td");
+  if (key) td.dataset.key = key;
+  if (content) td.appendChild(content);
+  return td;
+}
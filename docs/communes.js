@@ -0,0 +1,195 @@
+// communes.js
+// Référentiel hors ligne des codes INSEE : nom de la commune, département et région d’un code tiré
+// d’un numéro de poste (5 premiers chiffres), détection des codes qui n’existent pas et codes valides
+// les plus proches quand l’OCR a vraisemblablement mal lu un chiffre.
+// Départements et régions sont intégrés ci-dessous ; la liste des communes (≈ 37 000 codes) est le
+// fichier docs/data/communes.json, livré avec la page (aucun appel réseau) et reconstruit par
+// cli/build-communes.mjs à partir du Code officiel géographique de l’INSEE. Module pur.
+
+export const COMMUNES_FORMAT = "aps-ocr-communes";
+export const COMMUNES_VERSION = 1;
+
+/* ============================================================
+   Régions et départements (COG, découpage 2016)
+============================================================ */
+
+export const REGIONS = {
+  "01": "Guadeloupe",
+  "02": "Martinique",
+  "03": "Guyane",
+  "04": "La Réunion",
+  "06": "Mayotte",
+  "11": "Île-de-France",
+  "24": "Centre-Val de Loire",
+  "27": "Bourgogne-Franche-Comté",
+  "28": "Normandie",
+  "32": "Hauts-de-France",
+  "44": "Grand Est",
+  "52": "Pays de la Loire",
+  "53": "Bretagne",
+  "75": "Nouvelle-Aquitaine",
+  "76": "Occitanie",
+  "84": "Auvergne-Rhône-Alpes",
+  "93": "Provence-Alpes-Côte d’Azur",
+  "94": "Corse",
+};
+
+// code → [nom, code région]
+export const DEPARTEMENTS = {
+  "01": ["Ain", "84"], "02": ["Aisne", "32"], "03": ["Allier", "84"],
+  "04": ["Alpes-de-Haute-Provence", "93"], "05": ["Hautes-Alpes", "93"], "06": ["Alpes-Maritimes", "93"],
+  "07": ["Ardèche", "84"], "08": ["Ardennes", "44"], "09": ["Ariège", "76"],
+  "10": ["Aube", "44"], "11": ["Aude", "76"], "12": ["Aveyron", "76"],
+  "13": ["Bouches-du-Rhône", "93"], "14": ["Calvados", "28"], "15": ["Cantal", "84"],
+  "16": ["Charente", "75"], "17": ["Charente-Maritime", "75"], "18": ["Cher", "24"],
+  "19": ["Corrèze", "75"], "2A": ["Corse-du-Sud", "94"], "2B": ["Haute-Corse", "94"],
+  "21": ["Côte-d’Or", "27"], "22": ["Côtes-d’Armor", "53"], "23": ["Creuse", "75"],
+  "24": ["Dordogne", "75"], "25": ["Doubs", "27"], "26": ["Drôme", "84"],
+  "27": ["Eure", "28"], "28": ["Eure-et-Loir", "24"], "29": ["Finistère", "53"],
+  "30": ["Gard", "76"], "31": ["Haute-Garonne", "76"], "32": ["Gers", "76"],
+  "33": ["Gironde", "75"], "34": ["Hérault", "76"], "35": ["Ille-et-Vilaine", "53"],
+  "36": ["Indre", "24"], "37": ["Indre-et-Loire", "24"], "38": ["Isère", "84"],
+  "39": ["Jura", "27"], "40": ["Landes", "75"], "41": ["Loir-et-Cher", "24"],
+  "42": ["Loire", "84"], "43": ["Haute-Loire", "84"], "44": ["Loire-Atlantique", "52"],
+  "45": ["Loiret", "24"], "46": ["Lot", "76"], "47": ["Lot-et-Garonne", "75"],
+  "48": ["Lozère", "76"], "49": ["Maine-et-Loire", "52"], "50": ["Manche", "28"],
+  "51": ["Marne", "44"], "52": ["Haute-Marne", "44"], "53": ["Mayenne", "52"],
+  "54": ["Meurthe-et-Moselle", "44"], "55": ["Meuse", "44"], "56": ["Morbihan", "53"],
+  "57": ["Moselle", "44"], "58": ["Nièvre", "27"], "59": ["Nord", "32"],
+  "60": ["Oise", "32"], "61": ["Orne", "28"], "62": ["Pas-de-Calais", "32"],
+  "63": ["Puy-de-Dôme", "84"], "64": ["Pyrénées-Atlantiques", "75"], "65": ["Hautes-Pyrénées", "76"],
+  "66": ["Pyrénées-Orientales", "76"], "67": ["Bas-Rhin", "44"], "68": ["Haut-Rhin", "44"],
+  "69": ["Rhône", "84"], "70": ["Haute-Saône", "27"], "71": ["Saône-et-Loire", "27"],
+  "72": ["Sarthe", "52"], "73": ["Savoie", "84"], "74": ["Haute-Savoie", "84"],
+  "75": ["Paris", "11"], "76": ["Seine-Maritime", "28"], "77": ["Seine-et-Marne", "11"],
+  "78": ["Yvelines", "11"], "79": ["Deux-Sèvres", "75"], "80": ["Somme", "32"],
+  "81": ["Tarn", "76"], "82": ["Tarn-et-Garonne", "76"], "83": ["Var", "93"],
+  "84": ["Vaucluse", "93"], "85": ["Vendée", "52"], "86": ["Vienne", "75"],
+  "87": ["Haute-Vienne", "75"], "88": ["Vosges", "44"], "89": ["Yonne", "27"],
+  "90": ["Territoire de Belfort", "27"], "91": ["Essonne", "11"], "92": ["Hauts-de-Seine", "11"],
+  "93": ["Seine-Saint-Denis", "11"], "94": ["Val-de-Marne", "11"], "95": ["Val-d’Oise", "11"],
+  "971": ["Guadeloupe", "01"], "972": ["Martinique", "02"], "973": ["Guyane", "03"],
+  "974": ["La Réunion", "04"], "976": ["Mayotte", "06"],
+};
+
+// Département d’un code commune : 3 caractères outre-mer (97x), 2 sinon ; null si inexistant
+export function departementOf(insee) {
+  const code = String(insee ?? "");
+  const dep = code.startsWith("97") ? code.slice(0, 3) : code.slice(0, 2);
+  return DEPARTEMENTS[dep] ? dep : null;
+}
+
+/* ============================================================
+   Référentiel
+   ref : { communes: Map(code → nom) | null, source }
+   communes null = liste non chargée : seul le département est contrôlé
+============================================================ */
+
+// data : contenu de docs/data/communes.json (objet ou texte JSON), null = départements seuls ;
+// lève une erreur si le fichier n’est pas un référentiel de communes
+export function createCommuneReferential(data = null) {
+  if (data == null) return { communes: null, source: null };
+  const json = typeof data === "string" ? JSON.parse(data) : data;
+  if (json?.format !== COMMUNES_FORMAT || !json.communes || typeof json.communes !== "object") {
+    throw new Error("ce fichier n’est pas un référentiel de communes APS OCR");
+  }
+  if (json.version > COMMUNES_VERSION) {
+    throw new Error(`référentiel de version ${json.version}, non pris en charge (au plus ${COMMUNES_VERSION})`);
+  }
+  return { communes: new Map(Object.entries(json.communes)), source: json.source ?? null };
+}
+
+// Renvoie { insee, commune, departement, status } :
+// status "ok" | "commune_inconnue" | "departement_inconnu" | "non_verifie" (liste des communes absente)
+export function lookupInsee(ref, insee) {
+  const departement = departementOf(insee);
+  if (!departement) return { insee, commune: null, departement: null, status: "departement_inconnu" };
+  if (!ref?.communes) return { insee, commune: null, departement, status: "non_verifie" };
+  const commune = ref.communes.get(insee) ?? null;
+  return { insee, commune, departement, status: commune ? "ok" : "commune_inconnue" };
+}
+
+// « Haute-Garonne (31), Occitanie »
+export function describeDepartement(departement) {
+  const d = DEPARTEMENTS[departement];
+  return d ? `${d[0]} (${departement}), ${REGIONS[d[1]]}` : null;
+}
+
+/* ============================================================
+   Codes les plus proches
+   Un seul chiffre mal lu (ou deux chiffres voisins inversés) : on essaie toutes les variantes et on
+   garde celles qui existent, les confusions OCR courantes d’abord, puis le même département.
+============================================================ */
+
+// Paires de chiffres que Tesseract confond volontiers sur les plans scannés
+const OCR_CONFUSIONS = new Set(["0-8", "0-6", "0-9", "1-7", "1-4", "2-7", "3-8", "3-5", "5-6", "5-8", "6-8", "8-9"]);
+
+function confusable(a, b) {
+  return OCR_CONFUSIONS.has(a < b ? `${a}-${b}` : `${b}-${a}`);
+}
+
+// Renvoie au plus max [{ insee, commune, departement }] ; [] sans liste des communes
+export function nearestInseeCodes(ref, insee, max = 3) {
+  const code = String(insee ?? "");
+  if (!ref?.communes || !/^\d{5}$/.test(code)) return [];
+
+  const candidates = [];
+  const consider = (variant, score) => {
+    const commune = ref.communes.get(variant);
+    if (commune && variant !== code) candidates.push({ insee: variant, commune, departement: departementOf(variant), score });
+  };
+
+  for (let i = 0; i < code.length; i++) {
+    for (let d = 0; d <= 9; d++) {
+      const digit = String(d);
+      if (digit === code[i]) continue;
+      consider(code.slice(0, i) + digit + code.slice(i + 1), confusable(digit, code[i]) ? 0 : 2);
+    }
+  }
+  for (let i = 0; i < code.length - 1; i++) {
+    consider(code.slice(0, i) + code[i + 1] + code[i] + code.slice(i + 2), 1);
+  }
+
+  const dep = departementOf(code);
+  return candidates
+    .sort((a, b) => a.score - b.score
+      || (b.departement === dep) - (a.departement === dep)
+      || Math.abs(Number(a.insee) - Number(code)) - Math.abs(Number(b.insee) - Number(code)))
+    .slice(0, max)
+    .map(({ score, ...c }) => c);
+}
+
+/* ============================================================
+   Recherche par nom
+   Pour le cartouche (« Commune : Saint-Étienne ») : comparaison sans accents, casse, tirets ni
+   apostrophes, « St » / « Ste » développés. Plusieurs communes peuvent porter le même nom.
+============================================================ */
+
+const nameIndexes = new WeakMap();
+
+// « Saint-Étienne », « ST ETIENNE » → « SAINT ETIENNE »
+export function communeNameKey(name) {
+  return String(name ?? "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, " ")
+    .replace(/\bSTE\b/g, "SAINTE")
+    .replace(/\bST\b/g, "SAINT")
+    .trim();
+}
+
+// Renvoie [{ insee, commune, departement }] (ordre des codes) ; [] sans liste des communes
+export function findCommunesByName(ref, name) {
+  if (!ref?.communes) return [];
+  let index = nameIndexes.get(ref);
+  if (!index) {
+    index = new Map();
+    for (const [insee, commune] of ref.communes) {
+      const key = communeNameKey(commune);
+      index.set(key, [...(index.get(key) ?? []), insee]);
+    }
+    nameIndexes.set(ref, index);
+  }
+  return (index.get(communeNameKey(name)) ?? [])
+    .map(insee => ({ insee, commune: ref.communes.get(insee), departement: departementOf(insee) }));
+}
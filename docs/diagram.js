@@ -0,0 +1,135 @@
+// diagram.js
+// Schéma unifilaire (SVG) du modèle de réseau produit par topology.js :
+// une colonne par “niveau” en partant du poste source, les nœuds d’un même niveau empilés.
+// Les liaisons citées sans câble décrit sont en pointillés ; un PDL relié à aucun poste est en rouge.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const COL_WIDTH = 190;
+const ROW_HEIGHT = 70;
+const MARGIN = 40;
+
+const EDGE_COLORS = {
+  hta_extension: "#fb923c",
+  hta_existant: "#fb923c",
+  bt_reprise: "#6aa6ff",
+  bt_existant: "#6aa6ff",
+  bt_raccordement: "#34d399",
+};
+
+/* -------------------------
+   Mise en page
+-------------------------- */
+
+// Niveau de chaque nœud = distance (en arêtes) depuis le poste source ; les nœuds isolés à la fin.
+function layout(topology) {
+  const level = new Map([["poste_source", 0]]);
+  const queue = ["poste_source"];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const e of topology.edges) {
+      if (e.from !== id || level.has(e.to)) continue;
+      level.set(e.to, level.get(id) + 1);
+      queue.push(e.to);
+    }
+  }
+  const maxLevel = Math.max(0, ...level.values());
+
+  const rows = new Map();
+  const pos = new Map();
+  for (const n of topology.nodes) {
+    const col = level.get(n.id) ?? maxLevel + 1;
+    const row = rows.get(col) ?? 0;
+    rows.set(col, row + 1);
+    pos.set(n.id, { x: MARGIN + col * COL_WIDTH, y: MARGIN + row * ROW_HEIGHT });
+  }
+
+  const width = MARGIN * 2 + Math.max(...rows.keys()) * COL_WIDTH + 120;
+  const height = MARGIN * 2 + (Math.max(...rows.values()) - 1) * ROW_HEIGHT + 20;
+  return { pos, width, height };
+}
+
+/* -------------------------
+   Rendu
+-------------------------- */
+
+function el(name, attrs = {}, text = null) {
+  const node = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, String(v));
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function edgeLabel(e) {
+  const parts = [];
+  if (e.longueur_m != null) parts.push(`${e.longueur_m} m`);
+  if (e.section) parts.push(e.section);
+  return parts.join(" · ");
+}
+
+function nodeGlyph(n, { x, y }) {
+  const g = el("g");
+  const stroke = n.type === "pdl" && !n.connected ? "#fb7185" : "#e6eefc";
+  switch (n.type) {
+    case "poste_source":
+      g.append(el("circle", { cx: x, cy: y, r: 11, fill: "none", stroke }));
+      g.append(el("circle", { cx: x, cy: y, r: 6, fill: "none", stroke }));
+      break;
+    case "poste_dp":
+      g.append(el("rect", { x: x - 10, y: y - 10, width: 20, height: 20, fill: "#121a27", stroke }));
+      break;
+    case "reseau_bt":
+      g.append(el("line", { x1: x, y1: y - 14, x2: x, y2: y + 14, stroke, "stroke-width": 4 }));
+      break;
+    case "jonction":
+      g.append(el("circle", { cx: x, cy: y, r: 4, fill: stroke }));
+      break;
+    case "extremite":
+      g.append(el("path", { d: `M${x - 6},${y - 6}L${x + 6},${y + 6}M${x - 6},${y + 6}L${x + 6},${y - 6}`, stroke: "#fbbf24" }));
+      break;
+    default: // pdl
+      g.append(el("path", { d: `M${x - 9},${y + 8}L${x},${y - 9}L${x + 9},${y + 8}Z`, fill: "#121a27", stroke }));
+  }
+  const title = n.type === "pdl" && !n.connected ? `${n.label} — relié à aucun poste` : n.label;
+  g.append(el("title", {}, title));
+  g.append(el("text", { x, y: y + 26, "text-anchor": "middle", fill: stroke, "font-size": 11 }, n.label));
+  return g;
+}
+
+export function renderSingleLineDiagram(svg, topology) {
+  svg.textContent = "";
+  if (!topology) return;
+
+  const { pos, width, height } = layout(topology);
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+
+  for (const e of topology.edges) {
+    const a = pos.get(e.from);
+    const b = pos.get(e.to);
+    if (!a || !b) continue;
+    const described = e.longueur_m != null || e.section != null;
+    const line = el("path", {
+      d: `M${a.x},${a.y}H${(a.x + b.x) / 2}V${b.y}H${b.x}`,
+      fill: "none",
+      stroke: EDGE_COLORS[e.kind] ?? "#9fb0cc",
+      "stroke-width": 2,
+      ...(described ? {} : { "stroke-dasharray": "5 4" }),
+    });
+    line.append(el("title", {}, `${e.kind} ${edgeLabel(e)}`.trim()));
+    svg.append(line);
+
+    const label = edgeLabel(e);
+    if (label) {
+      svg.append(el("text", {
+        x: (a.x + b.x) / 2 + 4,
+        y: b.y - 6,
+        fill: "#9fb0cc",
+        "font-size": 10,
+      }, label));
+    }
+  }
+
+  for (const n of topology.nodes) svg.append(nodeGlyph(n, pos.get(n.id)));
+}
@@ -0,0 +1,85 @@
+// estimateview.js
+// Tableau du métré chiffré (cf. quantities.js) : un article par ligne avec quantité, prix unitaire
+// modifiable et montant, sous-totaux par catégorie et total général.
+
+import { QUANTITY_CATEGORIES } from "./quantities.js";
+
+/* -------------------------
+   Rendu
+-------------------------- */
+
+// estimate : sortie de priceEstimate (null = aucun projet) ; onPrice(line, prix | null) à chaque saisie
+export function renderEstimate(container, estimate, { onPrice }) {
+  container.textContent = "";
+  if (!estimate) return;
+  if (!estimate.lines.length) {
+    const p = document.createElement("p");
+    p.className = "hint";
+    p.textContent = "Aucune quantité lue (câbles, accessoires ou travaux de poste) dans ce plan.";
+    container.appendChild(p);
+    return;
+  }
+
+  const money = (v) => (v == null ? "—" : formatMoney(v, estimate.currency));
+  const table = document.createElement("table");
+  table.className = "estimate";
+  table.innerHTML = "<thead><tr><th>Article</th><th>Provenance</th><th class=\"num\">Quantité</th>"
+    + "<th class=\"num\">Prix unitaire</th><th class=\"num\">Montant</th></tr></thead>";
+  const tbody = document.createElement("tbody");
+
+  for (const [category, title] of Object.entries(QUANTITY_CATEGORIES)) {
+    const lines = estimate.lines.filter(l => l.category === category);
+    if (!lines.length) continue;
+    tbody.appendChild(row([title], "estimateCategory", 5));
+
+    for (const line of lines) {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.step = "0.01";
+      input.value = line.unit_price ?? "";
+      input.placeholder = "prix";
+      input.setAttribute("aria-label", `Prix unitaire : ${line.label}`);
+      input.addEventListener("change", () => {
+        const v = input.value.trim() === "" ? null : Number(input.value);
+        onPrice(line, Number.isFinite(v) && v >= 0 ? v : null);
+      });
+      const price = document.createElement("span");
+      price.append(input, ` €/${line.unit}`);
+
+      const tr = row([line.label, line.detail, `${formatNumber(line.quantity)} ${line.unit}`, price, money(line.amount)]);
+      tr.classList.toggle("unpriced", line.amount == null);
+      tbody.appendChild(tr);
+    }
+
+    const subtotal = lines.reduce((sum, l) => sum + (l.amount ?? 0), 0);
+    tbody.appendChild(row([`Sous-total ${title.toLowerCase()}`, "", "", "", money(subtotal)], "estimateSubtotal"));
+  }
+
+  const tfoot = document.createElement("tfoot");
+  tfoot.appendChild(row(["Total estimé", estimate.unpriced ? `${estimate.unpriced} article(s) sans prix, non compté(s)` : "",
+    "", "", money(estimate.total)]));
+  table.append(tbody, tfoot);
+  container.appendChild(table);
+}
+
+function row(cells, className = null, span = null) {
+  const tr = document.createElement("tr");
+  if (className) tr.className = className;
+  cells.forEach((content, i) => {
+    const td = document.createElement("td");
+    if (i >= 2) td.className = "num";
+    if (span) td.colSpan = span;
+    td.append(content);
+    tr.appendChild(td);
+  });
+  return tr;
+}
+
+function formatNumber(n) {
+  return n.toLocaleString("fr-FR", { maximumFractionDigits: 2 });
+}
+
+function formatMoney(n, currency) {
+  return n.toLocaleString("fr-FR", { style: "currency", currency });
+}
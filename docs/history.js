@@ -0,0 +1,52 @@
+// history.js
+// Historique d’annulation des corrections du texte OCR (un état par re-parsing).
+// L’annulation native du navigateur ne survit pas à une affectation de textarea.value :
+// on garde donc nos propres états. Module pur (aucune dépendance au DOM).
+
+const DEFAULT_LIMIT = 100;
+
+export function createTextHistory(limit = DEFAULT_LIMIT) {
+  const past = [];
+  const future = [];
+  let present = null;
+
+  return {
+    reset(text) {
+      past.length = 0;
+      future.length = 0;
+      present = text;
+    },
+
+    // Nouvel état (une saisie après une annulation efface les états “rétablissables”)
+    record(text) {
+      if (text === present) return;
+      if (present != null) past.push(present);
+      if (past.length > limit) past.shift();
+      future.length = 0;
+      present = text;
+    },
+
+    // Renvoie le texte à afficher, ou null s’il n’y a rien à annuler / rétablir
+    undo() {
+      if (!past.length) return null;
+      future.push(present);
+      present = past.pop();
+      return present;
+    },
+
+    redo() {
+      if (!future.length) return null;
+      past.push(present);
+      present = future.pop();
+      return present;
+    },
+
+    get canUndo() {
+      return past.length > 0;
+    },
+
+    get canRedo() {
+      return future.length > 0;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// idb.js
+// Accès minimal à IndexedDB (promesses) pour les stockages locaux de l’interface :
+// cache OCR (ocrcache.js) et bibliothèque de projets (library.js), chacun dans sa base.
+
+// upgrade(db, oldVersion) : création des magasins ; rejette si IndexedDB est indisponible (navigation privée…)
+export async function openDatabase(idb, name, version, upgrade) {
+  if (!idb) throw new Error("IndexedDB indisponible");
+  const req = idb.open(name, version);
+  req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion);
+  return await request(req);
+}
+
+// fn(store) → IDBRequest ; résolu avec son résultat une fois la transaction terminée
+export function transact(db, storeName, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("transaction IndexedDB annulée"));
+  });
+}
+
+// Supprime les enregistrements d’un index égaux à value
+export function deleteByIndex(store, index, value) {
+  const req = store.index(index).openKeyCursor(IDBKeyRange.only(value));
+  req.onsuccess = () => {
+    if (!req.result) return;
+    store.delete(req.result.primaryKey);
+    req.result.continue();
+  };
+  return req;
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -0,0 +1,148 @@
+// library.js
+// Bibliothèque locale des plans analysés (IndexedDB) : texte OCR, sortie du parseur, relecture
+// (cf. review.js), vignette de la page 1 et date, pour retrouver après coup « ce que disait l’APS
+// du poste 09152P0001 ». Recherche par N° RAC, numéro de poste, code INSEE, nom de dossier ou PRM ;
+// export et import de toute la bibliothèque en une archive JSON.
+
+import { openDatabase, transact } from "./idb.js";
+import { migrateProject, shapeProject } from "./parser.js";
+
+export const LIBRARY_ARCHIVE_FORMAT = "aps-ocr-library";
+export const LIBRARY_ARCHIVE_VERSION = 1;
+
+const DB_NAME = "aps-ocr.library";
+const DB_VERSION = 1;
+const STORE = "projects";
+
+// Champs de recherche : clé de libraryKeys → libellé affiché
+export const LIBRARY_FIELDS = {
+  rac: "N° RAC",
+  postes: "Poste",
+  insee: "INSEE",
+  noms: "Dossier",
+  prms: "PRM",
+};
+
+/* ============================================================
+   Enregistrement
+   record : { id, savedAt, fileName, baseName, pdfHash, ocrText, parsed, review, thumbnail, keys }
+   review : sauvegarde de la relecture (reviewSnapshot) ; keys : valeurs de recherche (libraryKeys)
+============================================================ */
+
+// Valeurs cherchables d’un projet (forme legacy ou normalisée), sans doublons
+export function libraryKeys(project) {
+  const p = project ? shapeProject(structuredClone(project), "normalized") : {};
+  const uniq = (values) => values.filter(v => v != null && v !== "")
+    .map(String)
+    .filter((v, i, all) => all.indexOf(v) === i);
+  return {
+    rac: uniq([p.affaire?.num, ...(p.pdls ?? []).map(x => x.num_affaire)]),
+    postes: uniq((p.poste_dp ?? []).map(x => x.numero)),
+    insee: uniq((p.poste_dp ?? []).map(x => x.insee)),
+    noms: uniq((p.pdls ?? []).map(x => x.nom_dossier)),
+    prms: uniq((p.pdls ?? []).map(x => x.prm)),
+  };
+}
+
+// Identifiant d’enregistrement ; crypto.randomUUID n’existe qu’en contexte sécurisé (HTTPS, localhost)
+export function newLibraryId() {
+  return globalThis.crypto?.randomUUID?.()
+    ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// project : version relue (reviewedProject), pour chercher sur les valeurs corrigées
+export function makeLibraryRecord({ id, fileName, baseName, pdfHash = null, ocrText, parsed, review, thumbnail = null }, project) {
+  return {
+    id,
+    savedAt: Date.now(),
+    fileName,
+    baseName,
+    pdfHash,
+    ocrText,
+    parsed,
+    review,
+    thumbnail,
+    keys: libraryKeys(project ?? parsed),
+  };
+}
+
+/* ============================================================
+   Recherche
+============================================================ */
+
+// Comparaison sans casse, accents ni espaces (« 09152 p0001 » trouve « 09152P0001 »)
+function fold(s) {
+  return String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, "").toLowerCase();
+}
+
+// Renvoie [{ record, matches: [{ field, value }] }], le plus récent d’abord ; requête vide = tout
+export function searchLibrary(records, query) {
+  const q = fold(query ?? "");
+  const out = [];
+  for (const record of records) {
+    const matches = [];
+    for (const field of Object.keys(LIBRARY_FIELDS)) {
+      for (const value of record.keys?.[field] ?? []) {
+        if (q && fold(value).includes(q)) matches.push({ field, value });
+      }
+    }
+    if (!q || matches.length || fold(record.fileName ?? "").includes(q)) out.push({ record, matches });
+  }
+  return out.sort((a, b) => b.record.savedAt - a.record.savedAt);
+}
+
+/* ============================================================
+   Archive
+============================================================ */
+
+export function makeArchive(records) {
+  return {
+    format: LIBRARY_ARCHIVE_FORMAT,
+    version: LIBRARY_ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    projects: records,
+  };
+}
+
+// Enregistrements d’une archive exportée, projets mis à la version courante du schéma ; lève une
+// erreur si le fichier n’en est pas une
+export function parseArchive(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (data?.format !== LIBRARY_ARCHIVE_FORMAT || !Array.isArray(data.projects)) {
+    throw new Error("ce fichier n’est pas une archive de bibliothèque APS OCR");
+  }
+  if (data.version > LIBRARY_ARCHIVE_VERSION) {
+    throw new Error(`archive de version ${data.version}, non prise en charge (au plus ${LIBRARY_ARCHIVE_VERSION})`);
+  }
+  return data.projects
+    .filter(r => r?.id && typeof r.ocrText === "string" && r.parsed)
+    .map((r) => {
+      const parsed = migrateProject(r.parsed);
+      return { ...r, parsed, keys: r.keys ?? libraryKeys(parsed) };
+    });
+}
+
+/* ============================================================
+   Stockage
+============================================================ */
+
+// Renvoie { get, put, putAll, list, remove, close } ; rejette si IndexedDB est indisponible
+export async function openLibrary(idb = globalThis.indexedDB) {
+  const db = await openDatabase(idb, DB_NAME, DB_VERSION, (d) => {
+    d.createObjectStore(STORE, { keyPath: "id" });
+  });
+  const tx = (mode, fn) => transact(db, STORE, mode, fn);
+
+  return {
+    get: (id) => tx("readonly", s => s.get(id)),
+    put: (record) => tx("readwrite", s => s.put(record)),
+    // Import : un projet de même id est remplacé ; résolu avec le nombre de projets enregistrés
+    putAll: (records) => tx("readwrite", s => {
+      for (const r of records) s.put(r);
+      return s.count();
+    }),
+    list: () => tx("readonly", s => s.getAll()),
+    remove: (id) => tx("readwrite", s => s.delete(id)),
+    close: () => db.close(),
+  };
+}
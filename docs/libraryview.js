@@ -0,0 +1,71 @@
+// libraryview.js
+// Liste de la bibliothèque de projets (cf. library.js) : vignette, fichier, date d’analyse,
+// N° RAC et postes, valeurs trouvées par la recherche, boutons « Ouvrir » et « Supprimer ».
+
+import { LIBRARY_FIELDS } from "./library.js";
+
+/* -------------------------
+   Rendu
+-------------------------- */
+
+// results : sortie de searchLibrary ; disabled : traitement en cours (ouverture et suppression désactivées)
+export function renderLibraryList(ul, results, { disabled, onOpen, onDelete }) {
+  ul.textContent = "";
+  for (const { record, matches } of results) {
+    const li = document.createElement("li");
+    li.className = "libraryItem";
+
+    const thumb = document.createElement("img");
+    thumb.className = "libraryThumb";
+    thumb.alt = "";
+    if (record.thumbnail) thumb.src = record.thumbnail;
+    else thumb.hidden = true;
+
+    const body = document.createElement("div");
+    const title = document.createElement("strong");
+    title.textContent = record.fileName;
+    const meta = document.createElement("div");
+    meta.className = "hint";
+    meta.textContent = [
+      new Date(record.savedAt).toLocaleString("fr-FR"),
+      describeKeys(record.keys, "rac"),
+      describeKeys(record.keys, "postes"),
+    ].filter(Boolean).join(" · ");
+    body.append(title, meta);
+
+    if (matches.length) {
+      const found = document.createElement("div");
+      found.className = "libraryMatches";
+      found.textContent = matches.map(m => `${LIBRARY_FIELDS[m.field]} ${m.value}`).join(" · ");
+      body.appendChild(found);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "row";
+    actions.append(
+      button("Ouvrir", "Afficher ce projet dans l’aperçu et la relecture", disabled, () => onOpen(record)),
+      button("Supprimer", "Retirer ce projet de la bibliothèque", disabled, () => onDelete(record)),
+    );
+
+    li.append(thumb, body, actions);
+    ul.appendChild(li);
+  }
+}
+
+function describeKeys(keys, field) {
+  const values = keys?.[field] ?? [];
+  if (!values.length) return null;
+  const shown = values.slice(0, 3).join(", ") + (values.length > 3 ? ", …" : "");
+  return `${LIBRARY_FIELDS[field]} ${shown}`;
+}
+
+function button(label, title, disabled, onClick) {
+  const b = document.createElement("button");
+  b.type = "button";
+  b.className = "btn secondary small";
+  b.textContent = label;
+  b.title = title;
+  b.disabled = disabled;
+  b.addEventListener("click", onClick);
+  return b;
+}
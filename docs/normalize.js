@@ -0,0 +1,201 @@
+// normalize.js
+// Pré-traitement du texte OCR avant les regex du parseur : on corrige le “bruit” typique de Tesseract
+// sur les quelques éléments dont dépend l’extraction.
+// - ancres de section (“Extension du réseau HTA”, “Reprise du réseau BT existant”…, listées par le profil
+//   de règles actif) reconnues de façon “floue” (fuzzy = tolérante) : confusions de caractères
+//   (Extensi0n, r6seau) et mots coupés (Exten sion) ;
+// - confusions O/0, I/1, l/1… dans les numéros RAC, les numéros de poste et les PRM à 14 chiffres.
+// Chaque correction est consignée (avant / après / position dans le texte d’origine), et on fournit une
+// fonction de correspondance des positions pour que la provenance des champs pointe toujours sur le texte brut.
+
+/* ============================================================
+   Ancres
+   Écritures canoniques fournies par le profil de règles actif (“ancres”, cf. parserrules.js) :
+   celles qu’attendent ses expressions et celles du parseur (“câble”, “SURPLUS”…)
+============================================================ */
+
+// Confusions OCR fréquentes, par lettre “de base” (sans accent, en minuscule)
+const CONFUSABLE = {
+  a: "aàâäáãā4@",
+  b: "b8",
+  c: "cç(",
+  e: "eéèêë6c",
+  g: "g9",
+  i: "iíîï1l|!",
+  l: "l1I|i",
+  n: "nñ",
+  o: "oôö0ОоQ",
+  s: "s5$",
+  t: "t+",
+  u: "uùûüv",
+  z: "z2",
+  1: "1lI|i!",
+  "'": "'’`´",
+};
+
+// Confusions sur plusieurs caractères (ex : “rn” lu à la place de “m”)
+const CONFUSABLE_SEQ = {
+  m: ["rn", "nn"],
+  d: ["cl"],
+};
+
+function stripAccents(s) {
+  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function charPattern(ch) {
+  const base = stripAccents(ch).toLowerCase();
+  const variants = CONFUSABLE[base];
+  const cls = variants ? `[${escapeRe(ch)}${escapeRe(variants)}]` : escapeRe(ch);
+  const seqs = CONFUSABLE_SEQ[base];
+  return seqs ? `(?:${cls}|${seqs.join("|")})` : cls;
+}
+
+// Un mot peut être coupé par une espace parasite entre deux lettres ; les mots sont séparés par des blancs.
+function anchorRegex(phrase) {
+  const words = phrase.split(/\s+/).map(w => Array.from(w).map(charPattern).join("[ \\t]?"));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join("\\s+")}(?![\\p{L}\\p{N}])`, "giu");
+}
+
+// Expressions compilées une fois par écriture (les profils partagent la plupart de leurs ancres)
+const anchorRes = new Map();
+
+function anchorRe(phrase) {
+  if (!anchorRes.has(phrase)) anchorRes.set(phrase, anchorRegex(phrase));
+  return anchorRes.get(phrase);
+}
+
+// Variante déjà acceptée par le parseur : même texte à la casse et aux accents français près
+// (“reseau” pour “réseau”), mais pas un accent exotique issu de l’OCR (“cāble”).
+function isAcceptedVariant(found, phrase) {
+  if (!/^[a-zàâäçéèêëîïôöùûü0-9'\s]*$/i.test(found)) return false;
+  return stripAccents(found).toLowerCase() === stripAccents(phrase).toLowerCase();
+}
+
+/* ============================================================
+   Identifiants : RAC, poste, PRM
+============================================================ */
+
+// Caractère “presque chiffre” → chiffre
+const DIGIT_FIX = {
+  O: "0", o: "0", Q: "0", D: "0", "О": "0", "о": "0",
+  I: "1", l: "1", i: "1", "|": "1", "!": "1",
+  Z: "2", z: "2",
+  "З": "3",
+  S: "5", s: "5",
+  G: "6", "б": "6",
+  B: "8",
+};
+
+// Caractère “presque lettre” → lettre (partie alphabétique des numéros RAC)
+const LETTER_FIX = { 0: "O", 1: "I", 5: "S", 8: "B", 2: "Z", 6: "G" };
+
+const DIGITISH = `[0-9${escapeRe(Object.keys(DIGIT_FIX).join(""))}]`;
+const LETTERISH = "[A-Z0-9]";
+
+const RAC_NOISY_RE = new RegExp(
+  `(?<![\\p{L}\\p{N}])RAC[-–\\s]?(${LETTERISH}{3})[-–\\s]?(${DIGITISH}{2})[-–\\s]?(${DIGITISH}{6})(?![\\p{L}\\p{N}])`,
+  "gu"
+);
+const POSTE_NOISY_RE = new RegExp(
+  `(?<![\\p{L}\\p{N}])(${DIGITISH}{5})[ \\t]?P[ \\t]?(${DIGITISH}{4})(?![\\p{L}\\p{N}])`,
+  "gu"
+);
+const PRM_NOISY_RE = new RegExp(`(?<![\\p{L}\\p{N}])(${DIGITISH}{14})(?![\\p{L}\\p{N}])`, "gu");
+
+function fixDigits(s) {
+  return Array.from(s).map(c => DIGIT_FIX[c] ?? c).join("");
+}
+
+function fixLetters(s) {
+  return Array.from(s).map(c => LETTER_FIX[c] ?? c).join("");
+}
+
+function countDigits(s) {
+  return (s.match(/[0-9]/g) || []).length;
+}
+
+/* ============================================================
+   API
+============================================================ */
+
+// anchors : écritures canoniques des ancres (profil de règles actif) ; sans elles, seuls les
+// identifiants sont corrigés. Renvoie { text, corrections, toOriginal }
+// - corrections : [{ rule, from, to, start, end }] (start/end dans le texte d’origine)
+// - toOriginal(pos) : position dans le texte normalisé → position dans le texte d’origine
+export function normalizeOcrText(raw, anchors = []) {
+  const text = (raw ?? "").toString();
+  const edits = [];
+
+  for (const phrase of anchors) {
+    for (const m of text.matchAll(anchorRe(phrase))) {
+      if (isAcceptedVariant(m[0], phrase)) continue;
+      edits.push({ rule: "ancre", start: m.index, end: m.index + m[0].length, from: m[0], to: phrase });
+    }
+  }
+
+  for (const m of text.matchAll(RAC_NOISY_RE)) {
+    const to = `RAC-${fixLetters(m[1])}-${fixDigits(m[2])}-${fixDigits(m[3])}`;
+    if (to !== m[0] && /^[A-Z]{3}$/.test(fixLetters(m[1]))) {
+      edits.push({ rule: "rac", start: m.index, end: m.index + m[0].length, from: m[0], to });
+    }
+  }
+
+  // Au moins 6 vrais chiffres sur 9 : évite de “corriger” un mot ordinaire
+  for (const m of text.matchAll(POSTE_NOISY_RE)) {
+    const to = `${fixDigits(m[1])}P${fixDigits(m[2])}`;
+    if (to !== m[0] && countDigits(m[1] + m[2]) >= 6) {
+      edits.push({ rule: "poste", start: m.index, end: m.index + m[0].length, from: m[0], to });
+    }
+  }
+
+  for (const m of text.matchAll(PRM_NOISY_RE)) {
+    const to = fixDigits(m[1]);
+    if (to !== m[0] && countDigits(m[1]) >= 10) {
+      edits.push({ rule: "prm", start: m.index, end: m.index + m[0].length, from: m[0], to });
+    }
+  }
+
+  return applyEdits(text, edits);
+}
+
+function applyEdits(text, edits) {
+  // Première correction retenue en cas de chevauchement
+  const kept = [];
+  for (const e of edits.sort((a, b) => a.start - b.start || b.end - a.end)) {
+    const prev = kept[kept.length - 1];
+    if (prev && e.start < prev.end) continue;
+    kept.push(e);
+  }
+
+  let out = "";
+  let cursor = 0;
+  const segments = []; // { nStart, nEnd, start, end } : zones remplacées (normalisé / origine)
+  for (const e of kept) {
+    out += text.slice(cursor, e.start);
+    segments.push({ nStart: out.length, nEnd: out.length + e.to.length, start: e.start, end: e.end });
+    out += e.to;
+    cursor = e.end;
+  }
+  out += text.slice(cursor);
+
+  const toOriginal = (pos) => {
+    let delta = 0;
+    for (const sg of segments) {
+      if (pos < sg.nStart) break;
+      if (pos <= sg.nEnd) {
+        const ratio = sg.nEnd > sg.nStart ? (pos - sg.nStart) / (sg.nEnd - sg.nStart) : 0;
+        return sg.start + Math.round(ratio * (sg.end - sg.start));
+      }
+      delta = sg.end - sg.nEnd;
+    }
+    return pos + delta;
+  };
+
+  const corrections = kept.map(({ rule, from, to, start, end }) => ({ rule, from, to, start, end }));
+  return { text: out, corrections, toOriginal };
+}
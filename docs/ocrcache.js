@@ -0,0 +1,96 @@
+// ocrcache.js
+// Cache local du texte OCR par page (IndexedDB) : relancer un PDF déjà lu (toutes les pages après la
+// page 1, nouvelle version du parseur…) ne refait pas l’OCR. Clé : empreinte SHA-256 du contenu du PDF,
+// numéro de page et réglages qui changent l’image lue ou sa lecture (DPI, pré-traitement, zones,
+// langue Tesseract). Le nom du fichier n’en fait pas partie : un PDF renommé reste en cache.
+// indexedDB et crypto sont passés en paramètre ou pris sur globalThis (navigateur, Node ≥ 20) ; hors
+// contexte sécurisé, crypto.subtle manque et la lecture se fait sans cache.
+
+import { deleteByIndex, openDatabase, transact } from "./idb.js";
+
+// À incrémenter si le texte OCR produit pour des réglages identiques change (paramètres Tesseract…)
+export const OCR_CACHE_VERSION = 1;
+
+const DB_NAME = "aps-ocr.ocrCache";
+const DB_VERSION = 1;
+const STORE = "ocrPages";
+
+/* ============================================================
+   Clé
+============================================================ */
+
+// Empreinte hexadécimale du contenu (à calculer avant de confier le buffer à PDF.js, qui peut le détacher) ;
+// null sans crypto.subtle (page servie en HTTP ailleurs que sur localhost) : le cache est alors ignoré
+export async function hashPdf(buffer, subtle = globalThis.crypto?.subtle) {
+  if (!subtle) return null;
+  const digest = await subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Réglages qui déterminent le texte d’une page (cf. preprocess.js, regions.js) ; compare n’en fait pas partie
+export function ocrSettingsKey({ dpi, preprocess, regions = [], lang }) {
+  const pp = preprocess?.mode && preprocess.mode !== "off"
+    ? {
+      mode: preprocess.mode,
+      deskew: !!preprocess.deskew,
+      despeckle: !!preprocess.despeckle,
+      removeLines: !!preprocess.removeLines,
+    }
+    : { mode: "off" };
+  return JSON.stringify({
+    v: OCR_CACHE_VERSION,
+    dpi,
+    pp,
+    zones: regions.map(r => [r.name, r.x, r.y, r.w, r.h]),
+    lang,
+  });
+}
+
+export function ocrCacheKey(hash, page, settingsKey) {
+  return `${hash}|${page}|${settingsKey}`;
+}
+
+/* ============================================================
+   Inspection
+   record : { key, hash, page, settings, fileName, text, confidence, createdAt }
+============================================================ */
+
+// Une ligne par PDF (le plus récent d’abord) : pages en cache, taille approximative du texte
+export function summarizeCache(records) {
+  const byHash = new Map();
+  for (const r of records) {
+    const e = byHash.get(r.hash) ?? { hash: r.hash, fileName: r.fileName, pages: [], entries: 0, bytes: 0, updatedAt: 0 };
+    if (!e.pages.includes(r.page)) e.pages.push(r.page);
+    e.entries++;
+    e.bytes += (r.text?.length ?? 0) * 2;
+    if (r.createdAt >= e.updatedAt) {
+      e.updatedAt = r.createdAt;
+      e.fileName = r.fileName;
+    }
+    byHash.set(r.hash, e);
+  }
+  const list = Array.from(byHash.values());
+  for (const e of list) e.pages.sort((a, b) => a - b);
+  return list.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/* ============================================================
+   Stockage
+============================================================ */
+
+// Renvoie { get, put, list, deleteHash, clear, close } ; rejette si IndexedDB est indisponible
+export async function openOcrCache(idb = globalThis.indexedDB) {
+  const db = await openDatabase(idb, DB_NAME, DB_VERSION, (d) => {
+    d.createObjectStore(STORE, { keyPath: "key" }).createIndex("hash", "hash");
+  });
+  const tx = (mode, fn) => transact(db, STORE, mode, fn);
+
+  return {
+    get: (key) => tx("readonly", s => s.get(key)),
+    put: (record) => tx("readwrite", s => s.put({ createdAt: Date.now(), ...record })),
+    list: () => tx("readonly", s => s.getAll()),
+    deleteHash: (hash) => tx("readwrite", s => deleteByIndex(s, "hash", hash)),
+    clear: () => tx("readwrite", s => s.clear()),
+    close: () => db.close(),
+  };
+}
@@ -0,0 +1,83 @@
+// ocrpool.js
+// Pool de workers OCR : jusqu’à `size` workers créés à la demande, une tâche par worker libre,
+// les autres en attente. terminate() arrête tout proprement (workers fermés, tâches en attente
+// et en cours rejetées par une erreur “AbortError”), pour le bouton d’annulation.
+// Module pur : la création d’un worker est passée en paramètre (Tesseract.js dans l’interface).
+
+export function cancelledError() {
+  return new DOMException("Traitement annulé", "AbortError");
+}
+
+export function isCancelled(err) {
+  return err?.name === "AbortError";
+}
+
+// factory() → Promise<worker> ; un worker doit exposer terminate()
+export function createWorkerPool(factory, size) {
+  const all = [];
+  const idle = [];
+  const waiting = [];
+  const running = new Set();
+  let creating = 0;
+  let closed = false;
+
+  async function acquire() {
+    if (closed) throw cancelledError();
+    if (idle.length) return idle.pop();
+    if (all.length + creating < size) {
+      creating++;
+      try {
+        const worker = await factory();
+        if (closed) {
+          await worker.terminate();
+          throw cancelledError();
+        }
+        all.push(worker);
+        return worker;
+      } finally {
+        creating--;
+      }
+    }
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  }
+
+  function release(worker) {
+    if (closed) return;
+    const next = waiting.shift();
+    if (next) next.resolve(worker);
+    else idle.push(worker);
+  }
+
+  return {
+    size,
+
+    // task(worker) → Promise ; rejetée avec AbortError si le pool est arrêté pendant la tâche
+    async run(task) {
+      const worker = await acquire();
+      let abort;
+      const aborted = new Promise((_, reject) => {
+        abort = () => reject(cancelledError());
+      });
+      running.add(abort);
+      try {
+        const job = task(worker);
+        // Après arrêt, la tâche échoue avec son worker fermé : erreur déjà remplacée par AbortError
+        job.catch(() => {});
+        return await Promise.race([job, aborted]);
+      } finally {
+        running.delete(abort);
+        release(worker);
+      }
+    },
+
+    async terminate() {
+      if (closed) return;
+      closed = true;
+      for (const w of waiting.splice(0)) w.reject(cancelledError());
+      for (const abort of running) abort();
+      await Promise.allSettled(all.map(w => w.terminate()));
+      all.length = 0;
+      idle.length = 0;
+    },
+  };
+}
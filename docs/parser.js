@@ -2,46 +2,104 @@
 // Ici, on “porte” votre parseur Python en JavaScript.
 // “Porter” = réécrire la même logique dans un autre langage, sans changer le comportement métier.
 
-export function parseOcrTextToProject(textRaw) {
-  const text = (textRaw ?? "").toString();
-
-  const poste = parsePosteNumero(text);
-  const insee = poste ? deriveInseeFromPoste(poste) : null;
-
-  const htaItems = extractExtensionsHta(text);
-  const btReprises = extractReprisesBt(text);
-  const btRaccord = extractRaccordementBt(text);
-  const posteTravaux = extractPosteDpTravaux(text);
-
-  const pdls = extractPdls(text);
+import {
+  createCommuneReferential, describeDepartement, findCommunesByName, lookupInsee, nearestInseeCodes,
+} from "./communes.js";
+import { normalizeOcrText } from "./normalize.js";
+import { compileParserRules } from "./parserrules.js";
+
+// Version du schéma de sortie (docs/schema/project.schema.json) : à incrémenter à chaque changement de forme.
+export const SCHEMA_VERSION = "2.5.0";
+
+// Options :
+// - shape : "legacy" (défaut) → hta.extension | hta.extensions, bt.reprise | bt.reprises selon le nombre
+//           "normalized"      → toujours hta.extensions et bt.reprises (tableaux, éventuellement vides)
+// - normalize : corriger le bruit OCR avant extraction (cf. normalize.js), défaut true.
+//   Les positions des "_sources" restent exprimées dans le texte d’origine.
+// - communes : référentiel INSEE (cf. communes.js) pour nommer la commune des postes et signaler les
+//   codes inexistants ; défaut : départements seuls (liste des communes non chargée).
+// - rules : profil de règles d’extraction (cf. parserrules.js), obligatoire : le profil par défaut
+//   (loadDefaultParserRules) ou un profil choisi. Un profil absent ou invalide lève une erreur
+//   (message en français, nommant la règle). Ses “ancres” guident la normalisation du texte.
+export function parseOcrTextToProject(textRaw, { shape = "legacy", normalize = true, communes = null, rules: profile } = {}) {
+  const rules = compileParserRules(profile);
+  const original = maskRegionMarks((textRaw ?? "").toString());
+  const norm = normalize ? normalizeOcrText(original, rules.anchors) : null;
+  const text = norm ? norm.text : original;
+  const toOriginal = norm ? norm.toOriginal : (pos) => pos;
+  const shapeItems = shape === "normalized" ? shapeAlwaysMany : shapeSingleOrMany;
+
+  // Extraction page par page (cf. splitPageZones), puis fusion / dédoublonnage
+  const perZone = splitPageZones(text).map(z => {
+    const zoneText = text.slice(z.start, z.end);
+    return shiftSpans({
+      hta: extractExtensionsHta(rules, zoneText),
+      reprises: extractReprisesBt(rules, zoneText),
+      raccordements: extractRaccordementsBt(rules, zoneText),
+      travaux: extractPostesDpTravaux(rules, zoneText),
+      pdls: extractPdls(rules, zoneText),
+    }, z.start);
+  });
+
+  const htaItems = mergeDuplicates(perZone.map(r => r.hta), x => `${x.longueur_m}|${x.section}`);
+  const btReprises = mergeDuplicates(perZone.map(r => r.reprises), x => `${x.longueur_m}|${x.section}|${x.protection_a}`);
+  const btRaccords = mergeDuplicates(perZone.map(r => r.raccordements), x => `${x.type_raccordement}|${x.section}|${x.longueur_m}`);
+  const posteTravaux = mergeDuplicates(perZone.map(r => r.travaux), x => JSON.stringify([
+    x.operation_principale, x.operation_secondaire, x.type_avant, x.type_apres,
+  ]));
+  const postes = buildPostes(matchPosteNumeros(text), posteTravaux);
+  postes.forEach(p => locatePoste(p, communes ?? DEFAULT_COMMUNES));
+
+  const pdls = mergePdls(perZone.flatMap(r => r.pdls));
+  pdls.forEach(assessPdl);
+  linkRaccordements(btRaccords, text, pdls);
 
   // Option 2 validée : affaire alignée sur le 1er PDL si présent
-  const affaireNum = pdls.length ? pdls[0].num_affaire : extractAffaireNum(text);
-  const affaireP = pdls.length ? pdls[0].p_prod_kva : extractGlobalPKva(text);
+  const base = pdls.length
+    ? {
+      num: pdls[0].num_affaire,
+      p_kva: pdls[0].p_prod_kva,
+      _sources: { num: pdls[0]._sources.num_affaire, p_kva: pdls[0]._sources.p_prod_kva },
+    }
+    : extractAffaireGlobal(text);
+  const lieu = extractAffaireCommune(text, communes ?? DEFAULT_COMMUNES);
+  const affaire = {
+    num: base.num,
+    p_kva: base.p_kva,
+    commune: lieu.commune,
+    insee: lieu.insee,
+    _sources: { ...base._sources, ...lieu._sources },
+  };
 
-  return {
-    affaire: { num: affaireNum, p_kva: affaireP },
-    poste_dp: {
-      numero: poste,
-      insee,
-      travaux: posteTravaux,
-    },
-    hta: shapeSingleOrMany("extension", "extensions", htaItems),
+  const project = {
+    schema_version: SCHEMA_VERSION,
+    affaire,
+    poste_dp: postes,
+    hta: shapeItems("extension", "extensions", htaItems),
     bt: {
-      ...shapeSingleOrMany("reprise", "reprises", btReprises),
-      raccordement: btRaccord,
+      ...shapeItems("reprise", "reprises", btReprises),
+      ...shapeItems("raccordement", "raccordements", btRaccords),
     },
     pdls,
+    warnings: [],
+    corrections: [],
   };
+
+  const marks = indexPages(original);
+  resolveSources(project, original, marks, toOriginal);
+  setItemPages(project);
+  // Avertissements : valeurs obtenues par une stratégie de secours, à vérifier par un relecteur
+  // (même ordre qu’avant le découpage en pages : par extracteur, puis par position)
+  project.warnings = collectWarnings([htaItems, btReprises, btRaccords, posteTravaux, pdls, postes])
+    .map(({ _pos, ...w }) => ({ ...w, page: pageAt(marks, toOriginal(_pos)) }));
+  project.corrections = (norm?.corrections ?? []).map(c => ({ ...c, page: pageAt(marks, c.start) }));
+  return project;
 }
 
 /* ============================================================
    Helpers / référentiels
 ============================================================ */
 
-const POSTE_TYPES = new Set(["H61", "PRCS", "RC", "PAC", "PUIE", "CH", "CB"]);
-const POSTE_PUISSANCES = new Set([50, 100, 160, 250, 400, 630, 1000]);
-
 function shapeSingleOrMany(keySingular, keyPlural, items) {
   const arr = Array.isArray(items) ? items : [];
   if (arr.length === 0) return { [keySingular]: null };
@@ -49,6 +107,130 @@ function shapeSingleOrMany(keySingular, keyPlural, items) {
   return { [keyPlural]: arr };
 }
 
+function shapeAlwaysMany(keySingular, keyPlural, items) {
+  return { [keyPlural]: Array.isArray(items) ? items : [] };
+}
+
+function itemsOf(section, keySingular, keyPlural) {
+  if (!section) return [];
+  if (Array.isArray(section[keyPlural])) return section[keyPlural];
+  return section[keySingular] ? [section[keySingular]] : [];
+}
+
+// Remet un projet (de forme quelconque) dans la forme demandée : "legacy" | "normalized"
+export function shapeProject(project, shape = "legacy") {
+  const shapeItems = shape === "normalized" ? shapeAlwaysMany : shapeSingleOrMany;
+  return {
+    ...project,
+    hta: shapeItems("extension", "extensions", itemsOf(project.hta, "extension", "extensions")),
+    bt: {
+      ...shapeItems("reprise", "reprises", itemsOf(project.bt, "reprise", "reprises")),
+      ...shapeItems("raccordement", "raccordements", itemsOf(project.bt, "raccordement", "raccordements")),
+    },
+  };
+}
+
+/* ============================================================
+   Versions antérieures du schéma
+   Projets enregistrés avant un changement de forme (bibliothèque, archives) : chaque étape ajoute
+   les champs apparus dans sa version, avec la valeur d’un plan qui ne les renseigne pas.
+============================================================ */
+
+const MIGRATIONS = [
+  ["1.1.0", (p) => { p.corrections ??= []; }],
+  ["1.2.0", (p) => {
+    for (const item of [...projectItems(p), ...postesOf(p).map(x => x.travaux)]) if (item) item.page ??= null;
+  }],
+  ["2.0.0", (p) => { p.poste_dp = postesOf(p); }],
+  ["2.1.0", (p) => {
+    for (const r of itemsOf(p.bt, "raccordement", "raccordements")) r.num_affaire ??= null;
+  }],
+  ["2.3.0", (p) => {
+    for (const poste of postesOf(p)) Object.assign(poste, { commune: null, departement: null, ...poste });
+  }],
+  ["2.5.0", (p) => {
+    if (p.affaire) Object.assign(p.affaire, { commune: null, insee: null, ...p.affaire });
+  }],
+];
+
+// Copie du projet à la version courante du schéma ; un projet d’une version inconnue ou plus récente
+// est renvoyé tel quel (la validation le signalera). Sans schema_version : sortie antérieure au schéma 1.0.0.
+export function migrateProject(project) {
+  if (!project || typeof project !== "object") return project;
+  const from = project.schema_version ?? "1.0.0";
+  const steps = MIGRATIONS.filter(([version]) => compareVersions(version, from) > 0);
+  if (!steps.length) return project;
+  const p = structuredClone(project);
+  for (const [, migrate] of steps) migrate(p);
+  p.schema_version = SCHEMA_VERSION;
+  return p;
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < 3; i++) if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  return 0;
+}
+
+// Poste DP : objet unique avant 2.0.0, liste ensuite
+function postesOf(p) {
+  if (Array.isArray(p.poste_dp)) return p.poste_dp;
+  return p.poste_dp ? [p.poste_dp] : [];
+}
+
+function projectItems(p) {
+  return [
+    ...itemsOf(p.hta, "extension", "extensions"),
+    ...itemsOf(p.bt, "reprise", "reprises"),
+    ...itemsOf(p.bt, "raccordement", "raccordements"),
+    ...(p.pdls ?? []),
+  ];
+}
+
+/* ============================================================
+   Confiance / avertissements
+   Chaque élément extrait (HTA, BT, poste, PDL) indique la stratégie qui l’a produit
+   ("strategy") et un niveau de confiance ("confidence") : high | medium | low.
+============================================================ */
+
+const CONF_HIGH = "high";
+const CONF_MEDIUM = "medium";
+const CONF_LOW = "low";
+
+function downgrade(conf) {
+  return conf === CONF_HIGH ? CONF_MEDIUM : CONF_LOW;
+}
+
+// Un avertissement est rattaché à l’élément qu’il concerne ("_warnings") : s’il disparaît au
+// dédoublonnage, son avertissement disparaît avec lui. On les regroupe en fin de parsing.
+function pushWarning(item, code, message, pos) {
+  (item._warnings ??= []).push({ code, message, _pos: pos });
+}
+
+function collectWarnings(node, out = []) {
+  if (!node || typeof node !== "object") return out;
+  if (Array.isArray(node)) {
+    for (const x of node) collectWarnings(x, out);
+    return out;
+  }
+  for (const [k, v] of Object.entries(node)) {
+    if (k !== "_warnings" && k !== "_sources") collectWarnings(v, out);
+  }
+  if (node._warnings) {
+    out.push(...node._warnings);
+    delete node._warnings;
+  }
+  return out;
+}
+
+const CONF_RANK = { [CONF_LOW]: 0, [CONF_MEDIUM]: 1, [CONF_HIGH]: 2 };
+
+function spanOf(m, base = 0) {
+  const s = base + (m.index ?? 0);
+  return [s, s + m[0].length];
+}
+
 function normalizeSection(raw) {
   if (!raw) return "";
   let s = raw.trim().replace(/\s+/g, " ");
@@ -58,6 +240,162 @@ function normalizeSection(raw) {
   return s;
 }
 
+/* ============================================================
+   Provenance des champs
+   Chaque objet extrait porte un “_sources” : champ → [début, fin] (positions absolues
+   dans le texte OCR). En fin de parsing, on le complète avec la page et l’extrait.
+   Les clés imbriquées utilisent la notation pointée (ex : "type_avant.code").
+============================================================ */
+
+const PAGE_MARK_RE = /=====\s*PAGE\s+(\d+)\s*=====/g;
+
+function indexPages(text) {
+  return Array.from(text.matchAll(PAGE_MARK_RE)).map(m => ({
+    pos: m.index ?? 0,
+    page: parseInt(m[1], 10),
+  }));
+}
+
+function pageAt(marks, offset) {
+  let page = null;
+  for (const mk of marks) {
+    if (mk.pos > offset) break;
+    page = mk.page;
+  }
+  return page;
+}
+
+// toOriginal : ramène une position du texte normalisé vers le texte d’origine (cf. normalize.js)
+function resolveSources(node, text, marks, toOriginal) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    for (const x of node) resolveSources(x, text, marks, toOriginal);
+    return;
+  }
+  for (const [k, v] of Object.entries(node)) {
+    if (k === "_sources") continue;
+    resolveSources(v, text, marks, toOriginal);
+  }
+  if (!node._sources) return;
+
+  const out = {};
+  for (const [field, span] of Object.entries(node._sources)) {
+    if (!Array.isArray(span)) continue;
+    const start = toOriginal(span[0]);
+    const end = toOriginal(span[1]);
+    out[field] = { start, end, page: pageAt(marks, start), snippet: text.slice(start, end) };
+  }
+  node._sources = out;
+}
+
+/* ============================================================
+   Pages
+   Le texte OCR multi-pages est découpé sur les marqueurs “===== PAGE n =====” : un bloc
+   (HTA, reprise, raccordement, poste, RAC…) ne déborde pas sur la page suivante, sauf si le
+   texte se poursuit manifestement (page suivante qui commence en minuscule ou par “suite”,
+   page précédente qui finit sur une virgule, un tiret ou un mot de liaison).
+============================================================ */
+
+const CONTINUES_END_RE = /(?:[,;:\-–]|(?:^|\s)(?:de|du|des|d'|et|en|à|avec|via|par|sur))$/i;
+const CONTINUES_START_RE = /^(?:\p{Ll}|\(?\s*[Ss]uite\b)/u;
+
+// Titres des zones de lecture (cf. formatRegionBlock dans pipeline.js) : remplacés par des espaces
+// de même longueur, pour que le nom donné à la zone (“travaux HTA”, “bloc PDL”…) ne soit jamais lu
+// comme du contenu du plan, sans décaler les positions.
+const REGION_MARK_RE = /^-{5} ZONE .*-{5}[ \t]*$/gm;
+
+function maskRegionMarks(text) {
+  return text.replace(REGION_MARK_RE, m => " ".repeat(m.length));
+}
+
+// Renvoie [{ page, start, end }] : zones de texte à analyser séparément
+function splitPageZones(text) {
+  const marks = Array.from(text.matchAll(PAGE_MARK_RE));
+  if (!marks.length) return [{ page: null, start: 0, end: text.length }];
+
+  const pages = [];
+  if (text.slice(0, marks[0].index).trim()) pages.push({ page: null, start: 0, end: marks[0].index });
+  marks.forEach((m, i) => pages.push({
+    page: parseInt(m[1], 10),
+    start: m.index,
+    bodyStart: m.index + m[0].length,
+    end: i + 1 < marks.length ? marks[i + 1].index : text.length,
+  }));
+
+  const zones = [];
+  for (const pg of pages) {
+    const prev = zones[zones.length - 1];
+    if (prev && pageContinues(text, prev, pg)) {
+      prev.end = pg.end;
+      prev.lastPage = pg.page;
+    } else {
+      zones.push({ page: pg.page, lastPage: pg.page, start: pg.start, end: pg.end });
+    }
+  }
+  return zones.map(({ page, start, end }) => ({ page, start, end }));
+}
+
+function pageContinues(text, prevZone, pg) {
+  if (prevZone.lastPage == null || pg.page !== prevZone.lastPage + 1) return false;
+  const lastLine = text.slice(prevZone.start, pg.start).trim().split(/\n/).pop().trim();
+  const firstLine = text.slice(pg.bodyStart, pg.end).trim().split(/\n/)[0].trim();
+  if (!lastLine || !firstLine) return false;
+  return CONTINUES_START_RE.test(firstLine) || CONTINUES_END_RE.test(lastLine);
+}
+
+// Décale toutes les positions ("_sources", "_warnings", "_block") d’un résultat extrait d’une zone
+function shiftSpans(node, base) {
+  if (!node || typeof node !== "object") return node;
+  if (Array.isArray(node)) {
+    node.forEach(x => shiftSpans(x, base));
+    return node;
+  }
+  for (const [k, v] of Object.entries(node)) {
+    if (k === "_sources") {
+      for (const [f, span] of Object.entries(v)) v[f] = shiftSpan(span, base);
+    } else if (k === "_warnings") {
+      for (const w of v) w._pos += base;
+    } else if (k === "_block") {
+      node[k] = shiftSpan(v, base);
+    } else {
+      shiftSpans(v, base);
+    }
+  }
+  return node;
+}
+
+// Dédoublonnage entre pages (ex : même extension HTA sur le plan et sur une page de détail) :
+// on garde la première occurrence, sauf si le doublon a une meilleure confiance. Deux éléments
+// identiques sur une même page restent distincts (deux tronçons de même longueur…).
+function mergeDuplicates(itemsByZone, keyOf) {
+  const out = [];
+  for (const items of itemsByZone) {
+    const fromPrevious = out.length;
+    for (const it of items) {
+      const idx = out.slice(0, fromPrevious).findIndex(x => keyOf(x) === keyOf(it));
+      if (idx < 0) out.push(it);
+      else if (CONF_RANK[it.confidence] > CONF_RANK[out[idx].confidence]) out[idx] = it;
+    }
+  }
+  return out;
+}
+
+// Page d’un élément = page de sa première source (après resolveSources)
+function setItemPages(node) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach(setItemPages);
+    return;
+  }
+  for (const [k, v] of Object.entries(node)) {
+    if (k !== "_sources") setItemPages(v);
+  }
+  if ("page" in node && node._sources) {
+    const first = Object.values(node._sources).sort((a, b) => a.start - b.start)[0];
+    node.page = first ? first.page : null;
+  }
+}
+
 /* ============================================================
    Regex de base
    “Regex” = expression régulière : un langage pour “matcher” des motifs de texte.
@@ -68,15 +406,12 @@ const RAC_ONE_RE = /\bRAC-[A-Z]{3}-\d{2}-\d{6}\b/;
 
 const P_KVA_RE = /\bP\s*=\s*(\d{1,4})\s*KVA\b/i;
 
-const SECTION_RE = /(?<section>3x\s*\d+(?:\s*mm[²2\?]?)?(?:\s*\+\s*1x\s*\d+(?:\s*mm[²2\?]?)?)?\s*A[IL])/ig;
 const LENGTH_RE = /(\d{1,4})\s*m\b|(\d{1,4})m\b/i;
 
 const JONCTION_RE = /(?:via|par|avec)?\s*(?:(?<n>\d+)\s+)?jonction(?:s)?\b/ig;
 const REMONTEE_RE = /(?:via|par|avec)?\s*(?:(?<n>\d+)\s+)?remont[ée]e(?:s)?\s+a[ée]ro[-\s]?souterraine(?:s)?\b/ig;
 const RAS_RE = /\bRAS\b/i;
 
-const PALIER_RE = /\b(50|100|160|250|400|630|1000)\b/g;
-
 const SURPLUS_RE = /\bSURPLUS\b/i;
 const PRM14_RE = /\b\d{14}\b/;
 const PCONSO_VAL_RE = /(?:P\s*conso|Pconso)\s*(?:=|:)?\s*(\d{1,4})\s*KVA\b/i;
@@ -86,11 +421,73 @@ const PCONSO_VAL_RE = /(?:P\s*conso|Pconso)\s*(?:=|:)?\s*(\d{1,4})\s*KVA\b/i;
 ============================================================ */
 
 // Ex: 09152P0001, 12450P0021
-const POSTE_RE = /\b(\d{5})P(\d{4})\b/;
+const POSTE_RE = /\b(\d{5})P(\d{4})\b/g;
+
+// Toutes les occurrences de numéros de poste : [{ value, span }]
+function matchPosteNumeros(text) {
+  return Array.from((text ?? "").matchAll(POSTE_RE), m => ({ value: m[0], span: spanOf(m) }));
+}
+
+function distanceToSpan(pos, [a, b]) {
+  return pos < a ? a - pos : pos > b ? pos - b : 0;
+}
+
+// Une entrée par opération (rattachée au numéro de poste le plus proche du bloc), plus une entrée
+// sans travaux pour chaque numéro de poste qui n’a reçu aucune opération. Ordre : position dans le texte.
+function buildPostes(numeros, travauxList) {
+  const entries = [];
+  const used = new Set();
+
+  for (const travaux of travauxList) {
+    const block = travaux._block;
+    delete travaux._block;
+    let best = null;
+    for (const n of numeros) {
+      const d = distanceToSpan(n.span[0], block);
+      if (!best || d < best.d) best = { n, d };
+    }
+    if (best) used.add(best.n.value);
+    entries.push({ pos: block[0], numero: best?.n ?? null, travaux });
+  }
+
+  for (const n of numeros) {
+    if (used.has(n.value)) continue;
+    used.add(n.value);
+    entries.push({ pos: n.span[0], numero: n, travaux: null });
+  }
+
+  return entries
+    .sort((a, b) => a.pos - b.pos)
+    .map(({ numero, travaux }) => ({
+      numero: numero?.value ?? null,
+      insee: numero ? deriveInseeFromPoste(numero.value) : null,
+      commune: null,
+      departement: null,
+      travaux,
+      _sources: numero ? { numero: numero.span, insee: [numero.span[0], numero.span[0] + 5] } : {},
+    }));
+}
 
-function parsePosteNumero(text) {
-  const m = (text ?? "").match(POSTE_RE);
-  return m ? m[0] : null;
+const DEFAULT_COMMUNES = createCommuneReferential();
+
+// Commune et département du code INSEE ; un code inexistant est signalé avec les codes les plus
+// proches (chiffre probablement mal lu)
+function locatePoste(poste, communes) {
+  if (!poste.insee) return;
+  const found = lookupInsee(communes, poste.insee);
+  poste.commune = found.commune;
+  poste.departement = found.departement;
+  const [start] = poste._sources.insee;
+  if (found.commune) poste._sources.commune = poste._sources.insee;
+  if (found.departement) poste._sources.departement = [start, start + found.departement.length];
+
+  if (found.status !== "departement_inconnu" && found.status !== "commune_inconnue") return;
+  const why = found.status === "departement_inconnu"
+    ? `département ${poste.insee.slice(0, 2)} inexistant`
+    : `aucune commune de ce code en ${describeDepartement(found.departement)}`;
+  const near = nearestInseeCodes(communes, poste.insee);
+  const hint = near.length ? ` ; code(s) proche(s) : ${near.map(c => `${c.insee} (${c.commune})`).join(", ")}` : "";
+  pushWarning(poste, "insee_inconnu", `Poste ${poste.numero} : code INSEE ${poste.insee} inconnu (${why})${hint}`, start);
 }
 
 function deriveInseeFromPoste(poste) {
@@ -103,33 +500,86 @@ function deriveInseeFromPoste(poste) {
    Affaire globale (fallback)
 ============================================================ */
 
-function extractAffaireNum(text) {
-  const m = (text ?? "").match(RAC_ONE_RE);
-  return m ? m[0] : null;
+function extractAffaireGlobal(text) {
+  const affaire = { num: null, p_kva: null, _sources: {} };
+
+  const mr = (text ?? "").match(RAC_ONE_RE);
+  if (mr) {
+    affaire.num = mr[0];
+    affaire._sources.num = spanOf(mr);
+  }
+
+  const mp = (text ?? "").match(P_KVA_RE);
+  const v = mp ? parseInt(mp[1], 10) : NaN;
+  if (Number.isFinite(v)) {
+    affaire.p_kva = v;
+    affaire._sources.p_kva = spanOf(mp);
+  }
+  return affaire;
 }
 
-function extractGlobalPKva(text) {
-  const m = (text ?? "").match(P_KVA_RE);
-  if (!m) return null;
-  const v = parseInt(m[1], 10);
-  return Number.isFinite(v) ? v : null;
+/* ============================================================
+   Commune de l’affaire (cartouche)
+============================================================ */
+
+// « Commune : Saint-Jean (31488) », « COMMUNE DE : TOULOUSE », « Commune : 31555 » ; les deux-points
+// sont exigés pour ne pas prendre un nom de dossier (« COMMUNE DE VILLENEUVE »)
+const AFFAIRE_COMMUNE_RE = /\bCommune\s*(?:de\s*)?:[ \t]*(?<nom>[^\n(]*?)[ \t]*(?:\(?[ \t]*(?<insee>\d{5}|2[AB]\d{3})[ \t]*\)?)?[ \t]*$/im;
+
+// Renvoie { commune, insee, _sources } : code lu sur le plan, ou déduit du nom quand une seule
+// commune le porte ; nom du référentiel quand seul le code est lu
+function extractAffaireCommune(text, communes) {
+  const out = { commune: null, insee: null, _sources: {} };
+  const m = (text ?? "").match(AFFAIRE_COMMUNE_RE);
+  if (!m) return out;
+  const { nom, insee } = m.groups;
+
+  if (nom) {
+    const at = m.index + m[0].indexOf(nom, m[0].indexOf(":"));
+    out.commune = nom;
+    out._sources.commune = [at, at + nom.length];
+  }
+  if (insee) {
+    const at = m.index + m[0].lastIndexOf(insee);
+    out.insee = insee;
+    out._sources.insee = [at, at + insee.length];
+    const found = nom ? null : lookupInsee(communes, insee);
+    if (found?.commune) {
+      out.commune = found.commune;
+      out._sources.commune = out._sources.insee;
+    }
+  } else if (nom) {
+    const found = findCommunesByName(communes, nom);
+    if (found.length === 1) {
+      out.insee = found[0].insee;
+      out._sources.insee = out._sources.commune;
+    }
+  }
+  return out;
 }
 
 /* ============================================================
    Accessoires (local)
 ============================================================ */
 
-function extractAccessoires(txt) {
-  const acc = { jonctions: 0, remontees_aero_souterraines: 0, ras: false };
+function extractAccessoires(txt, base = 0) {
+  const acc = { jonctions: 0, remontees_aero_souterraines: 0, ras: false, _sources: {} };
   if (!txt) return acc;
 
-  if (RAS_RE.test(txt)) acc.ras = true;
+  const mras = txt.match(RAS_RE);
+  if (mras) {
+    acc.ras = true;
+    acc._sources.ras = spanOf(mras, base);
+  }
 
   let maxJ = 0;
   for (const m of txt.matchAll(JONCTION_RE)) {
     const n = m.groups?.n;
     const val = n ? parseInt(n, 10) : 1;
-    if (Number.isFinite(val)) maxJ = Math.max(maxJ, val);
+    if (Number.isFinite(val) && val > maxJ) {
+      maxJ = val;
+      acc._sources.jonctions = spanOf(m, base);
+    }
   }
   acc.jonctions = maxJ;
 
@@ -137,30 +587,34 @@ function extractAccessoires(txt) {
   for (const m of txt.matchAll(REMONTEE_RE)) {
     const n = m.groups?.n;
     const val = n ? parseInt(n, 10) : 1;
-    if (Number.isFinite(val)) maxR = Math.max(maxR, val);
+    if (Number.isFinite(val) && val > maxR) {
+      maxR = val;
+      acc._sources.remontees_aero_souterraines = spanOf(m, base);
+    }
   }
   acc.remontees_aero_souterraines = maxR;
 
   return acc;
 }
 
+// Renvoie [fenêtre, position de la fenêtre dans le bloc]
 function localWindow(bloc, span, before = 500, after = 600) {
-  if (!bloc || !span) return bloc || "";
+  if (!bloc || !span) return [bloc || "", 0];
   const [s, e] = span;
   const a = Math.max(0, s - before);
   const b = Math.min(bloc.length, e + after);
-  return bloc.slice(a, b);
+  return [bloc.slice(a, b), a];
 }
 
 /* ============================================================
    Paires longueur + section (avec spans)
 ============================================================ */
 
-function findPairsWithSpans(bloc) {
+function findPairsWithSpans(rules, bloc, base = 0) {
   const items = [];
   if (!bloc) return items;
 
-  for (const sm of bloc.matchAll(SECTION_RE)) {
+  for (const sm of bloc.matchAll(rules.sectionRe)) {
     const secRaw = sm.groups?.section ?? sm[0];
     const sec = normalizeSection(secRaw);
 
@@ -187,6 +641,10 @@ function findPairsWithSpans(bloc) {
       liaison: "RAS",
       _has_plus_1x: /\+1x/i.test(sec),
       _span: [sIdx, eIdx],
+      _sources: {
+        longueur_m: spanOf(lm, base + winStart),
+        section: [base + sIdx, base + eIdx],
+      },
     });
   }
 
@@ -197,9 +655,7 @@ function findPairsWithSpans(bloc) {
    HTA : blocs bornés ("Extension ... HTA" -> "poste source")
 ============================================================ */
 
-const HTA_START_RE = /Extension\s+du\s+r[ée]seau\s+HTA/ig;
-const HTA_END_RE = /(?:\bdu\s+)?poste[-\s]+source\b/ig;
-
+// Renvoie des blocs { text, start } (start = position du bloc dans le texte)
 function extractBlocks(text, startRe, endRe) {
   if (!text) return [];
   const starts = Array.from(text.matchAll(startRe)).map(m => m.index ?? 0);
@@ -212,32 +668,37 @@ function extractBlocks(text, startRe, endRe) {
     const mend = endRe.exec(after);
     if (!mend) continue;
     const e = s + (mend.index ?? 0) + mend[0].length;
-    blocks.push(text.slice(s, e));
+    blocks.push({ text: text.slice(s, e), start: s });
   }
   return blocks;
 }
 
-export function extractExtensionsHta(text) {
+export function extractExtensionsHta(rules, text) {
   const items = [];
   if (!text) return items;
 
-  const blocks = extractBlocks(text, HTA_START_RE, HTA_END_RE);
-  for (const bloc of blocks) {
-    const pairs = findPairsWithSpans(bloc);
+  const blocks = extractBlocks(text, rules.htaStartRe, rules.htaEndRe);
+  for (const { text: bloc, start } of blocks) {
+    const pairs = findPairsWithSpans(rules, bloc, start);
     for (const p of pairs) {
       if (p._has_plus_1x) continue; // heuristique : HTA généralement sans +1x
-      const local = localWindow(bloc, p._span);
-      const acc = extractAccessoires(local);
+      const [local, localStart] = localWindow(bloc, p._span);
+      const acc = extractAccessoires(local, start + localStart);
       items.push({
         longueur_m: p.longueur_m,
         section: p.section,
         liaison: "RAS",
         accessoires: acc,
+        page: null,
+        confidence: CONF_HIGH,
+        strategy: "bloc_extension_hta",
+        _sources: p._sources,
       });
     }
   }
 
   // Fallback : si peu d’info, tenter autour de "HTA"
+  const nBlocks = items.length;
   if (items.length <= 1) {
     for (const hm of (text.matchAll(/\bHTA\b/ig))) {
       const idx = hm.index ?? 0;
@@ -245,19 +706,31 @@ export function extractExtensionsHta(text) {
       const b = Math.min(text.length, idx + 1100);
       const zone = text.slice(a, b);
 
-      const pairs = findPairsWithSpans(zone);
+      const pairs = findPairsWithSpans(rules, zone, a);
       for (const p of pairs) {
         if (p._has_plus_1x) continue;
-        const local = localWindow(zone, p._span);
-        const acc = extractAccessoires(local);
+        const [local, localStart] = localWindow(zone, p._span);
+        const acc = extractAccessoires(local, a + localStart);
         const cand = {
           longueur_m: p.longueur_m,
           section: p.section,
           liaison: "RAS",
           accessoires: acc,
+          page: null,
+          confidence: CONF_LOW,
+          strategy: "recherche_autour_hta",
+          _sources: p._sources,
         };
         if (!items.some(x => x.longueur_m === cand.longueur_m && x.section === cand.section)) {
           items.push(cand);
+          pushWarning(
+            cand,
+            "hta_recherche_secours",
+            nBlocks
+              ? `Extension HTA ${cand.longueur_m} m ${cand.section} ajoutée par la recherche de secours autour de « HTA »`
+              : `Extension HTA ${cand.longueur_m} m ${cand.section} trouvée uniquement par la recherche de secours autour de « HTA »`,
+            p._sources.section[0]
+          );
         }
       }
     }
@@ -271,33 +744,42 @@ export function extractExtensionsHta(text) {
 ============================================================ */
 
 const BT_REPRISE_START_RE = /Reprise\s+du\s+r[ée]seau\s+BT\s+existant/ig;
-const BT_END_RE = /\b(?:Raccordement\s+en\b|Déplacement\s+du\s+poste\s+DP\b|Deplacement\s+du\s+poste\s+DP\b|Extension\s+du\s+r[ée]seau\s+HTA\b|LEGENDE\b)\b/i;
 const BT_FUSIBLES_RE = /fusibles?\s*(?<fusibles>\d{2,4})\s*A\b/i;
 
-function extractReprisesBt(text) {
+function extractReprisesBt(rules, text) {
   const items = [];
   if (!text) return items;
 
   for (const ms of text.matchAll(BT_REPRISE_START_RE)) {
     const start = ms.index ?? 0;
     const after = text.slice(start);
-    const me = after.match(BT_END_RE);
+    const me = after.match(rules.btEndRe);
     const bloc = me ? after.slice(0, me.index ?? 0) : after.slice(0, 1600);
 
     const mf = bloc.match(BT_FUSIBLES_RE);
     const protection = mf?.groups?.fusibles ? parseInt(mf.groups.fusibles, 10) : null;
 
-    const pairs = findPairsWithSpans(bloc);
+    const pairs = findPairsWithSpans(rules, bloc, start);
     for (const p of pairs) {
-      const local = localWindow(bloc, p._span);
-      const acc = extractAccessoires(local);
-      items.push({
+      const [local, localStart] = localWindow(bloc, p._span);
+      const acc = extractAccessoires(local, start + localStart);
+      const sources = { ...p._sources };
+      if (Number.isFinite(protection)) sources.protection_a = spanOf(mf, start);
+      const item = {
         longueur_m: p.longueur_m,
         section: p.section,
         protection_a: Number.isFinite(protection) ? protection : null,
         liaison: "RAS",
         accessoires: acc,
-      });
+        page: null,
+        confidence: me ? CONF_HIGH : CONF_MEDIUM,
+        strategy: me ? "bloc_reprise_bt" : "bloc_reprise_bt_coupe_1600",
+        _sources: sources,
+      };
+      if (!me) {
+        pushWarning(item, "bt_reprise_non_terminee", "Bloc reprise BT sans marqueur de fin : coupé à 1600 caractères", start);
+      }
+      items.push(item);
     }
   }
   return items;
@@ -311,18 +793,24 @@ const RACCORD_START_RE = /\bRaccordement\s+en\b/i;
 const RACCORD_END_RE = /\bA\)/i;
 const RACCORD_FALLBACK_END_RE = /\b(?:Protection\b|Déplacement\s+du\s+poste\s+DP\b|Deplacement\s+du\s+poste\s+DP\b|Reprise\s+du\s+r[ée]seau\s+BT\s+existant\b|Extension\s+du\s+r[ée]seau\s+HTA\b|LEGENDE\b)\b/i;
 
-function detectTypeRaccordement(bloc) {
-  const b = (bloc || "").toLowerCase();
-  if (b.includes("départ direct") || b.includes("depart direct")) return "depart_direct";
-  if (b.includes("dérivation") || b.includes("derivation")) return "derivation";
+const DEPART_DIRECT_RE = /d[ée]part direct/i;
+const DERIVATION_RE = /d[ée]rivation/i;
+
+// Renvoie { value, span } ou null (span relatif au bloc)
+function matchTypeRaccordement(bloc) {
+  const b = bloc || "";
+  const md = b.match(DEPART_DIRECT_RE);
+  if (md) return { value: "depart_direct", span: spanOf(md) };
+  const mv = b.match(DERIVATION_RE);
+  if (mv) return { value: "derivation", span: spanOf(mv) };
   return null;
 }
 
-function extractSectionOnly(bloc) {
-  const m = (bloc || "").match(SECTION_RE);
+function extractSectionOnly(rules, bloc) {
+  const m = (bloc || "").matchAll(rules.sectionRe).next().value;
   if (!m) return null;
   // m[0] peut être la section ; normalize
-  return normalizeSection(m[0]);
+  return { value: normalizeSection(m[0]), span: spanOf(m) };
 }
 
 function extractLengthOnly(bloc) {
@@ -330,108 +818,189 @@ function extractLengthOnly(bloc) {
   if (!m) return null;
   const val = m[1] || m[2];
   const v = parseInt(val, 10);
-  return Number.isFinite(v) ? v : null;
+  return Number.isFinite(v) ? { value: v, span: spanOf(m) } : null;
 }
 
-function extractRaccordementBt(text) {
-  if (!text) return null;
-  const mstart = text.match(RACCORD_START_RE);
-  if (!mstart) return null;
+function shiftSpan(span, base) {
+  return span ? [span[0] + base, span[1] + base] : undefined;
+}
 
-  const startIdx = mstart.index ?? text.toLowerCase().indexOf("raccordement en");
-  const after = text.slice(startIdx);
+// Un bloc par “Raccordement en” (affaires groupées : un raccordement par producteur)
+function extractRaccordementsBt(rules, text) {
+  if (!text) return [];
+  const starts = Array.from(text.matchAll(new RegExp(RACCORD_START_RE.source, "ig")), m => m.index ?? 0);
+  return starts
+    .map((start, i) => extractRaccordementAt(rules, text, start, i + 1 < starts.length ? starts[i + 1] : text.length))
+    .filter(Boolean);
+}
+
+// Bloc qui commence à startIdx, sans déborder sur le raccordement suivant (limit)
+function extractRaccordementAt(rules, text, startIdx, limit) {
+  const after = text.slice(startIdx, limit);
 
   let bloc = after;
+  let confidence = CONF_HIGH;
+  let strategy = "bloc_raccordement_a";
+  const notes = [];
   const mend = after.match(RACCORD_END_RE);
   if (mend && mend.index != null) {
     bloc = after.slice(0, mend.index + mend[0].length);
   } else {
     const mend2 = after.match(RACCORD_FALLBACK_END_RE);
-    if (mend2 && mend2.index != null) bloc = after.slice(0, mend2.index);
-    else bloc = after.slice(0, 1200);
+    if (mend2 && mend2.index != null) {
+      bloc = after.slice(0, mend2.index);
+      confidence = CONF_MEDIUM;
+      strategy = "bloc_raccordement_marqueur_secours";
+    } else if (limit < text.length && after.length <= 1200) {
+      confidence = CONF_MEDIUM;
+      strategy = "bloc_raccordement_suivant";
+    } else {
+      bloc = after.slice(0, 1200);
+      confidence = CONF_LOW;
+      strategy = "bloc_raccordement_coupe_1200";
+      notes.push(["raccordement_non_termine", "Bloc raccordement BT sans marqueur de fin : coupé à 1200 caractères"]);
+    }
   }
 
-  const typ = detectTypeRaccordement(bloc);
-  const section = extractSectionOnly(bloc);
+  const typ = matchTypeRaccordement(bloc);
+  const section = extractSectionOnly(rules, bloc);
   const longueur = extractLengthOnly(bloc);
 
-  const acc = extractAccessoires(bloc);
+  const acc = extractAccessoires(bloc, startIdx);
 
   if (typ == null && section == null && longueur == null) return null;
+  if (typ == null || section == null || longueur == null) {
+    if (confidence === CONF_HIGH) confidence = CONF_MEDIUM;
+    notes.push(["raccordement_incomplet", "Raccordement BT incomplet (type, section ou longueur manquant)"]);
+  }
 
-  return {
-    type_raccordement: typ,
-    section,
-    longueur_m: longueur,
+  const raccord = {
+    num_affaire: null, // cf. linkRaccordements
+    type_raccordement: typ?.value ?? null,
+    section: section?.value ?? null,
+    longueur_m: longueur?.value ?? null,
     accessoires: acc,
+    page: null,
+    confidence,
+    strategy,
+    _sources: {
+      type_raccordement: shiftSpan(typ?.span, startIdx),
+      section: shiftSpan(section?.span, startIdx),
+      longueur_m: shiftSpan(longueur?.span, startIdx),
+    },
+    _block: [startIdx, startIdx + bloc.length],
   };
+  for (const [code, message] of notes) pushWarning(raccord, code, message, startIdx);
+  return raccord;
+}
+
+// Rattache chaque raccordement à son PDL : le RAC cité dans le bloc, sinon le dernier RAC qui le
+// précède (le bloc RAC court jusqu’au RAC suivant), sinon l’unique PDL du plan. Un raccordement
+// placé avant tous les RAC d’une affaire groupée reste non rattaché (num_affaire null).
+// Le type de raccordement du PDL vient alors de ce bloc plutôt que d’un mot-clé du bloc RAC.
+function linkRaccordements(raccordements, text, pdls) {
+  const racs = Array.from(text.matchAll(RAC_RE), m => ({ rac: m[0], pos: m.index ?? 0 }));
+  const single = pdls.length === 1 ? racs.find(x => x.rac === pdls[0].num_affaire) : undefined;
+
+  for (const r of raccordements) {
+    const [a, b] = r._block;
+    delete r._block;
+    const linked = racs.find(x => x.pos >= a && x.pos < b)
+      ?? racs.filter(x => x.pos < a).pop()
+      ?? single;
+    if (linked) {
+      r.num_affaire = linked.rac;
+      r._sources.num_affaire = [linked.pos, linked.pos + linked.rac.length];
+    }
+  }
+
+  for (const pdl of pdls) {
+    const r = raccordements.find(x => x.num_affaire === pdl.num_affaire && x.type_raccordement != null);
+    if (!r) continue;
+    pdl.type_raccordement = r.type_raccordement;
+    pdl._sources.type_raccordement = r._sources.type_raccordement;
+  }
 }
 
 /* ============================================================
    Poste DP : Option C (couples type+palier + fallback)
 ============================================================ */
 
-const POSTE_EVT_START_RE = /\b(D[ée]placement|Cr[ée]ation|Adaptation|Mutation)\s+du\s+poste\s+DP\b/i;
-const POSTE_EVT_END_RE = /\bprise\s*1\b/i;
-
 const POSTE_TYPE_APRES_RE = /\badaptation\s+en\s+type\s+(?<type>[A-Z0-9\-]{2,10})\b/i;
 
-function normTypePoste(raw) {
+function normTypePoste(rules, raw) {
   if (!raw) return null;
   const s = raw.toUpperCase();
-  if (/\bCABINE\s+HAUTE\b/.test(s)) return "CH";
-  if (/\bCABINE\s+BASSE\b/.test(s)) return "CB";
-  for (const code of POSTE_TYPES) {
+  for (const { code, aliases } of rules.types) {
+    if (aliases.some(re => re.test(s))) return code;
+  }
+  for (const { code } of rules.types) {
     const re = new RegExp(`\\b${code}\\b`, "i");
     if (re.test(s)) return code;
   }
   return null;
 }
 
-function extractFirstPosteBlock(text) {
-  const m = text.match(POSTE_EVT_START_RE);
-  if (!m) return null;
-  const start = m.index ?? 0;
-  const after = text.slice(start);
-  const me = after.match(POSTE_EVT_END_RE);
-  return me && me.index != null ? after.slice(0, me.index + me[0].length) : after.slice(0, 2200);
+// Renvoie [{ text, start, terminated, cut }] (start = position du bloc dans le texte).
+// Un bloc s’arrête à “prise 1”, sinon à l’opération suivante (cut = "operation"), sinon à 2200 caractères.
+function extractPosteBlocks(rules, text) {
+  const starts = Array.from(text.matchAll(new RegExp(rules.posteStartRe.source, "ig"))).map(m => m.index ?? 0);
+  return starts.map((start, i) => {
+    const next = i + 1 < starts.length ? starts[i + 1] : Infinity;
+    const after = text.slice(start, Math.min(next, start + 2200));
+    const me = after.match(rules.posteEndRe);
+    if (me && me.index != null) {
+      return { text: after.slice(0, me.index + me[0].length), start, terminated: true };
+    }
+    return { text: after, start, terminated: false, cut: next < start + 2200 ? "operation" : "longueur" };
+  });
 }
 
-function firstPalierInWindow(txt) {
-  const m = (txt || "").match(_palierOne());
+// Renvoie { value, span } ou null (span relatif à txt)
+function firstPalierInWindow(rules, txt) {
+  const m = (txt || "").match(rules.palierOneRe);
   if (!m) return null;
   const v = parseInt(m[1], 10);
-  return POSTE_PUISSANCES.has(v) ? v : null;
+  return rules.paliers.has(v) ? { value: v, span: spanOf(m) } : null;
 }
-function _palierOne() {
-  return /\b(50|100|160|250|400|630|1000)\b/;
+
+// Un type qui a des libellés (ex. CH → « CABINE HAUTE ») est repéré par ses libellés, pas par son code
+function typeCodeRe(rules, code, flags = "i") {
+  const type = rules.types.find(t => t.code === code);
+  return new RegExp(type?.pattern ?? `\\b${code}\\b`, flags);
 }
 
-function scanTypeOccurrences(bloc) {
+function scanTypeOccurrences(rules, bloc) {
   const occ = [];
   if (!bloc) return occ;
 
-  for (const m of bloc.matchAll(/\bCABINE\s+HAUTE\b/ig)) occ.push([m.index ?? 0, "CH"]);
-  for (const m of bloc.matchAll(/\bCABINE\s+BASSE\b/ig)) occ.push([m.index ?? 0, "CB"]);
+  for (const { code } of rules.types.filter(t => t.aliases.length)) {
+    for (const m of bloc.matchAll(typeCodeRe(rules, code, "ig"))) occ.push([m.index ?? 0, code, m[0].length]);
+  }
 
-  for (const code of POSTE_TYPES) {
-    const re = new RegExp(`\\b${code}\\b`, "ig");
-    for (const m of bloc.matchAll(re)) occ.push([m.index ?? 0, code]);
+  for (const code of rules.typeCodes) {
+    for (const m of bloc.matchAll(typeCodeRe(rules, code, "ig"))) occ.push([m.index ?? 0, code, m[0].length]);
   }
 
   occ.sort((a, b) => a[0] - b[0]);
   return occ;
 }
 
-function buildTypePowerPairs(bloc) {
+function buildTypePowerPairs(rules, bloc) {
   const pairs = [];
-  const occ = scanTypeOccurrences(bloc);
-  for (const [pos, code] of occ) {
+  const occ = scanTypeOccurrences(rules, bloc);
+  for (const [pos, code, len] of occ) {
     const a = Math.max(0, pos - 60);
     const b = Math.min(bloc.length, pos + 180);
     const window = bloc.slice(a, b);
-    const p = firstPalierInWindow(window);
-    pairs.push({ pos, code, puissance_kva: p });
+    const p = firstPalierInWindow(rules, window);
+    pairs.push({
+      pos,
+      code,
+      puissance_kva: p?.value ?? null,
+      _code_span: [pos, pos + len],
+      _kva_span: p ? shiftSpan(p.span, a) : undefined,
+    });
   }
 
   // dédup OCR proche
@@ -448,137 +1017,190 @@ function buildTypePowerPairs(bloc) {
   return dedup;
 }
 
-function fallbackTypeAvantPower(bloc) {
+// Renvoie [{ value, span } | null, { value, span } | null]
+function fallbackTypeAvantPower(rules, bloc) {
   const m = bloc.match(/\bde\s+type\b/i);
   if (!m) return [null, null];
   const idx = (m.index ?? 0) + m[0].length;
   const window = bloc.slice(idx, idx + 260);
-  const t = normTypePoste(window);
-  const p = firstPalierInWindow(window);
-  return [t, p];
+  const t = normTypePoste(rules, window);
+  const mt = t ? window.match(typeCodeRe(rules, t)) : null;
+  const p = firstPalierInWindow(rules, window);
+  return [
+    t ? { value: t, span: mt ? spanOf(mt, idx) : undefined } : null,
+    p ? { value: p.value, span: shiftSpan(p.span, idx) } : null,
+  ];
 }
 
-function fallbackTypeApresPower(bloc) {
+// Renvoie { value, span, max? } ou null (max = repli sur le plus grand palier du bloc)
+function fallbackTypeApresPower(rules, bloc) {
   const m = bloc.match(/d['’]une\s+puissance\s+de/i);
   if (m) {
     const idx = (m.index ?? 0) + m[0].length;
     const window = bloc.slice(idx, idx + 90);
-    return firstPalierInWindow(window);
+    const p = firstPalierInWindow(rules, window);
+    return p ? { value: p.value, span: shiftSpan(p.span, idx) } : null;
   }
-  const vals = Array.from(bloc.matchAll(PALIER_RE)).map(x => parseInt(x[1], 10)).filter(v => POSTE_PUISSANCES.has(v));
-  return vals.length ? Math.max(...vals) : null;
+  const vals = Array.from(bloc.matchAll(rules.palierRe))
+    .map(x => ({ value: parseInt(x[1], 10), span: spanOf(x) }))
+    .filter(x => rules.paliers.has(x.value));
+  if (!vals.length) return null;
+  return { ...vals.reduce((best, x) => (x.value > best.value ? x : best)), max: true };
 }
 
-function extractPosteDpTravaux(text) {
-  const bloc = extractFirstPosteBlock(text);
-  if (!bloc) return null;
+function extractPostesDpTravaux(rules, text) {
+  return extractPosteBlocks(rules, text).map(b => analysePosteBlock(rules, b)).filter(Boolean);
+}
 
-  const mOp = bloc.match(POSTE_EVT_START_RE);
+function analysePosteBlock(rules, { text: bloc, start, terminated, cut }) {
+  const mOp = bloc.match(rules.posteStartRe);
   const opRaw = (mOp?.[1] ?? "").toLowerCase();
+  const op = rules.operations.find(([, re]) => re.test(opRaw))?.[0] ?? null;
 
-  let op = null;
-  if (opRaw.includes("déplacement") || opRaw.includes("deplacement")) op = "deplacement";
-  else if (opRaw.includes("création") || opRaw.includes("creation")) op = "creation";
-  else if (opRaw.includes("adaptation")) op = "adaptation";
-  else if (opRaw.includes("mutation")) op = "mutation";
-
-  const op2 = (op === "deplacement" && /\bet\s+adaptation\b/i.test(bloc)) ? "adaptation" : null;
+  const mOp2 = op === "deplacement" ? bloc.match(/\bet\s+adaptation\b/i) : null;
+  const op2 = mOp2 ? "adaptation" : null;
 
   const mtp = bloc.match(POSTE_TYPE_APRES_RE);
   const typeApresRaw = mtp?.groups?.type ? mtp.groups.type.trim().toUpperCase() : null;
-  const typeApresCodeFromRaw = typeApresRaw ? normTypePoste(typeApresRaw) : null;
+  const typeApresCodeFromRaw = typeApresRaw ? normTypePoste(rules, typeApresRaw) : null;
+  const typeApresRawSpan = mtp ? spanOf(mtp) : undefined;
 
-  const pairs = buildTypePowerPairs(bloc);
+  const pairs = buildTypePowerPairs(rules, bloc);
 
   let typeAvantCode = null, typeAvantKva = null, typeApresCode = null, typeApresKva = null;
+  const spans = {};
+  const notes = [];
+  let confidence = CONF_HIGH;
+  let strategy = "couples_type_palier";
 
   if (pairs.length >= 2) {
     typeAvantCode = pairs[0].code; typeAvantKva = pairs[0].puissance_kva;
     typeApresCode = pairs[1].code; typeApresKva = pairs[1].puissance_kva;
-  } else if (pairs.length === 1) {
-    typeAvantCode = pairs[0].code; typeAvantKva = pairs[0].puissance_kva;
-    typeApresKva = fallbackTypeApresPower(bloc);
-    typeApresCode = typeApresCodeFromRaw;
+    spans["type_avant.code"] = pairs[0]._code_span;
+    spans["type_avant.puissance_kva"] = pairs[0]._kva_span;
+    spans["type_apres.code"] = pairs[1]._code_span;
+    spans["type_apres.puissance_kva"] = pairs[1]._kva_span;
   } else {
-    [typeAvantCode, typeAvantKva] = fallbackTypeAvantPower(bloc);
-    typeApresKva = fallbackTypeApresPower(bloc);
+    let avantCode = null, avantKva = null;
+    if (pairs.length === 1) {
+      avantCode = { value: pairs[0].code, span: pairs[0]._code_span };
+      avantKva = { value: pairs[0].puissance_kva, span: pairs[0]._kva_span };
+      confidence = CONF_MEDIUM;
+      strategy = "couple_unique_palier_secours";
+    } else {
+      [avantCode, avantKva] = fallbackTypeAvantPower(rules, bloc);
+      confidence = CONF_LOW;
+      strategy = "secours_de_type";
+    }
+    const apresKva = fallbackTypeApresPower(rules, bloc);
+    if (apresKva?.max) {
+      confidence = CONF_LOW;
+      notes.push(["poste_palier_max", `Palier après travaux pris comme le plus grand palier du bloc (${apresKva.value} kVA)`]);
+    }
+
+    typeAvantCode = avantCode?.value ?? null; typeAvantKva = avantKva?.value ?? null;
+    typeApresKva = apresKva?.value ?? null;
     typeApresCode = typeApresCodeFromRaw;
+    spans["type_avant.code"] = avantCode?.span;
+    spans["type_avant.puissance_kva"] = avantKva?.span;
+    spans["type_apres.puissance_kva"] = apresKva?.span;
   }
 
   if (typeApresCode == null && typeApresCodeFromRaw != null) typeApresCode = typeApresCodeFromRaw;
+  if (typeApresCode != null && typeApresCode === typeApresCodeFromRaw && !spans["type_apres.code"]) {
+    spans["type_apres.code"] = typeApresRawSpan;
+  }
 
   if (op == null && typeAvantCode == null && typeApresRaw == null && typeAvantKva == null && typeApresKva == null) return null;
 
-  return {
+  if (!terminated) {
+    confidence = downgrade(confidence);
+    notes.push(["poste_bloc_non_termine", cut === "operation"
+      ? "Bloc poste DP non terminé par « prise 1 » : coupé à l’opération suivante"
+      : "Bloc poste DP non terminé par « prise 1 » : coupé à 2200 caractères"]);
+  }
+
+  spans.operation_principale = op ? spanOf(mOp) : undefined;
+  spans.operation_secondaire = mOp2 ? spanOf(mOp2) : undefined;
+  spans["type_apres.raw"] = typeApresRawSpan;
+
+  const sources = {};
+  for (const [k, span] of Object.entries(spans)) {
+    if (span) sources[k] = shiftSpan(span, start);
+  }
+
+  const travaux = {
     operation_principale: op,
     operation_secondaire: op2,
     type_avant: { code: typeAvantCode, puissance_kva: typeAvantKva },
     type_apres: { code: typeApresCode, raw: typeApresRaw, puissance_kva: typeApresKva },
+    page: null,
+    confidence,
+    strategy,
+    _sources: sources,
+    _block: [start, start + bloc.length], // cf. buildPostes
   };
+  for (const [code, message] of notes) pushWarning(travaux, code, message, start);
+  return travaux;
 }
 
 /* ============================================================
    PDL : extraction multiple par blocs RAC (affaires groupées)
 ============================================================ */
 
+// Lignes nettoyées + position de leur premier caractère dans txt
 function splitLines(txt) {
-  return (txt || "").split(/\r?\n/).map(x => x.trim());
+  const out = [];
+  let pos = 0;
+  for (const raw of (txt || "").split(/\n/)) {
+    const line = raw.replace(/\r$/, "");
+    const lead = line.length - line.trimStart().length;
+    out.push({ text: line.trim(), start: pos + lead });
+    pos += raw.length + 1;
+  }
+  return out;
 }
 
-function isNoiseLine(ln) {
+function isNoiseLine(rules, ln) {
   if (!ln) return true;
   const u = ln.toUpperCase().trim();
   if (!u) return true;
-  if (u.startsWith("P=") || u.startsWith("P =")) return true;
-  if (u.includes("LEGENDE")) return true;
-  if (u.includes("TAN") || u.includes("PLATINE")) return true;
-  return false;
+  if (rules.noiseStarts.some(s => u.startsWith(s))) return true;
+  return rules.noiseWords.some(w => u.includes(w));
 }
 
-function extractNomDossierFromBlock(block, rac) {
+// Les extracteurs ci-dessous renvoient { value, span } ou null (span relatif au bloc)
+
+function extractNomDossierFromBlock(rules, block, rac) {
   const lines = splitLines(block);
   let idx = -1;
   for (let i = 0; i < lines.length; i++) {
-    if (lines[i].includes(rac)) { idx = i; break; }
+    if (lines[i].text.includes(rac)) { idx = i; break; }
   }
   if (idx < 0) return null;
 
   for (let j = idx + 1; j < Math.min(lines.length, idx + 8); j++) {
-    const ln = lines[j].trim();
-    if (isNoiseLine(ln)) continue;
+    const { text: ln, start } = lines[j];
+    if (isNoiseLine(rules, ln)) continue;
     if (RAC_ONE_RE.test(ln)) continue;
-    return ln;
+    return { value: ln, span: [start, start + ln.length] };
   }
   return null;
 }
 
-function extractPProdFromBlock(block) {
-  const m = (block || "").match(P_KVA_RE);
-  if (!m) return null;
-  const v = parseInt(m[1], 10);
-  return Number.isFinite(v) ? v : null;
-}
-
-function extractPConsoFromBlock(block) {
-  const m = (block || "").match(PCONSO_VAL_RE);
+function extractIntFromBlock(block, re) {
+  const m = (block || "").match(re);
   if (!m) return null;
   const v = parseInt(m[1], 10);
-  return Number.isFinite(v) ? v : null;
+  return Number.isFinite(v) ? { value: v, span: spanOf(m) } : null;
 }
 
 function extractPrmFromBlock(block) {
   const m = (block || "").match(PRM14_RE);
-  return m ? m[0] : null;
+  return m ? { value: m[0], span: spanOf(m) } : null;
 }
 
-function extractTypeRaccordementFromBlock(block) {
-  const b = (block || "").toLowerCase();
-  if (b.includes("départ direct") || b.includes("depart direct")) return "depart_direct";
-  if (b.includes("dérivation") || b.includes("derivation")) return "derivation";
-  return null;
-}
-
-function extractPdls(text) {
+function extractPdls(rules, text) {
   if (!text) return [];
 
   const racMatches = Array.from(text.matchAll(RAC_RE)).map(m => ({
@@ -595,27 +1217,87 @@ function extractPdls(text) {
     const end = (i + 1 < racMatches.length) ? racMatches[i + 1].pos : text.length;
     const block = text.slice(pos, end);
 
-    const mode = SURPLUS_RE.test(block) ? "vente_surplus" : "vente_totale";
-    const nom = extractNomDossierFromBlock(block, rac);
-    const pProd = extractPProdFromBlock(block);
-    const typeR = extractTypeRaccordementFromBlock(block);
+    const msurplus = block.match(SURPLUS_RE);
+    const mode = msurplus ? "vente_surplus" : "vente_totale";
+    const nom = extractNomDossierFromBlock(rules, block, rac);
+    const pProd = extractIntFromBlock(block, P_KVA_RE);
+    const typeR = matchTypeRaccordement(block);
 
     const pdl = {
       mode,
       num_affaire: rac,
-      nom_dossier: nom,
-      p_prod_kva: pProd,
-      type_raccordement: typeR,
+      nom_dossier: nom?.value ?? null,
+      p_prod_kva: pProd?.value ?? null,
+      type_raccordement: typeR?.value ?? null,
+    };
+    const sources = {
+      mode: msurplus ? shiftSpan(spanOf(msurplus), pos) : undefined,
+      num_affaire: [pos, pos + rac.length],
+      nom_dossier: shiftSpan(nom?.span, pos),
+      p_prod_kva: shiftSpan(pProd?.span, pos),
+      type_raccordement: shiftSpan(typeR?.span, pos),
     };
 
     if (mode === "vente_surplus") {
-      pdl.prm = extractPrmFromBlock(block);
-      pdl.p_conso_kva = extractPConsoFromBlock(block);
+      const prm = extractPrmFromBlock(block);
+      const pConso = extractIntFromBlock(block, PCONSO_VAL_RE);
+      pdl.prm = prm?.value ?? null;
+      pdl.p_conso_kva = pConso?.value ?? null;
+      sources.prm = shiftSpan(prm?.span, pos);
+      sources.p_conso_kva = shiftSpan(pConso?.span, pos);
     }
 
+    pdl.page = null;
+    pdl.confidence = null; // cf. assessPdl, après fusion des pages
+    pdl.strategy = "bloc_rac";
+    pdl._sources = sources;
     pdls.push(pdl);
   }
 
   return pdls;
 }
 
+// Un même numéro RAC répété (cartouche sur chaque page…) ne fait qu’un PDL : on garde la première
+// occurrence (ou la première en vente de surplus) et on complète ses champs vides avec les autres.
+const PDL_FILLABLE = ["nom_dossier", "p_prod_kva", "type_raccordement", "prm", "p_conso_kva"];
+
+function mergePdls(pdls) {
+  const out = [];
+  for (const pdl of pdls) {
+    const idx = out.findIndex(x => x.num_affaire === pdl.num_affaire);
+    if (idx < 0) {
+      out.push(pdl);
+      continue;
+    }
+    const surplusWins = pdl.mode === "vente_surplus" && out[idx].mode !== "vente_surplus";
+    const [kept, other] = surplusWins ? [pdl, out[idx]] : [out[idx], pdl];
+    for (const k of PDL_FILLABLE) {
+      if (k in kept && kept[k] == null && other[k] != null) {
+        kept[k] = other[k];
+        kept._sources[k] = other._sources[k];
+      }
+    }
+    out[idx] = kept;
+  }
+  return out;
+}
+
+function assessPdl(pdl) {
+  const rac = pdl.num_affaire;
+  const pos = pdl._sources.num_affaire[0];
+
+  let confidence = CONF_HIGH;
+  if (pdl.nom_dossier == null || pdl.p_prod_kva == null) confidence = CONF_MEDIUM;
+  if (pdl.mode === "vente_surplus" && pdl.prm == null) {
+    confidence = CONF_LOW;
+    pushWarning(pdl, "pdl_surplus_sans_prm", `PDL ${rac} en vente de surplus sans PRM`, pos);
+  }
+  if (pdl.mode === "vente_surplus" && pdl.p_conso_kva == null) {
+    confidence = CONF_LOW;
+    pushWarning(pdl, "pdl_surplus_sans_pconso", `PDL ${rac} en vente de surplus sans P conso`, pos);
+  }
+  if (pdl.p_prod_kva == null) {
+    pushWarning(pdl, "pdl_sans_puissance", `PDL ${rac} sans puissance de production (P= … kVA)`, pos);
+  }
+  pdl.confidence = confidence;
+}
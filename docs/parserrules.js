@@ -0,0 +1,200 @@
+// parserrules.js
+// Règles d’extraction du parseur sorties du code : types et paliers de poste, expression des sections
+// de câble, bornes des blocs HTA, fin des reprises BT, début et fin des opérations sur poste, lignes
+// ignorées dans les blocs PDL, ancres rendues tolérantes au bruit OCR (cf. normalize.js). Un jeu de
+// règles est un “profil” (un par convention de bureau d’études), enregistré dans le navigateur et
+// échangé en JSON ; le profil par défaut est le fichier docs/rules/extraction-par-defaut.json, chargé
+// par loadDefaultParserRules et dont les profils partiels complètent les sections absentes. Le parseur
+// reçoit le profil actif (cf. parseOcrTextToProject). Module pur (aucune dépendance au DOM).
+//
+// Les expressions sont écrites sans délimiteurs ni drapeaux : le parseur les compile insensibles à la
+// casse (et globales quand il doit en chercher toutes les occurrences).
+
+export const PARSER_RULES_FORMAT = "aps-ocr-regles";
+export const PARSER_RULES_VERSION = 1;
+export const DEFAULT_PROFILE_NAME = "par défaut";
+export const DEFAULT_PARSER_RULES_URL = new URL("./rules/extraction-par-defaut.json", import.meta.url);
+
+const PROFILES_KEY = "aps-ocr.parserRules";
+
+// Code d’un type de poste : tel que lu après « adaptation en type … »
+const TYPE_CODE_RE = /^[A-Z0-9-]{2,10}$/;
+
+// Opérations sur poste du schéma de sortie : un profil n’en change que l’écriture sur le plan
+const OPERATIONS = ["deplacement", "creation", "adaptation", "mutation"];
+
+/* ============================================================
+   Profil par défaut (conventions des plans APS actuels)
+   profile : { format, version, name, revision, postes, section_cable, hta, bt, pdl, ancres }
+   Livré en données, docs/rules/extraction-par-defaut.json (même forme qu’un profil exporté)
+============================================================ */
+
+// Navigateur : fetch ; Node : lecture disque (fetch ne sait pas lire file://) ; lève une erreur si le
+// fichier manque ou n’est pas un profil complet
+export async function loadDefaultParserRules(url = DEFAULT_PARSER_RULES_URL) {
+  let json;
+  if (url.protocol === "file:") {
+    const { readFile } = await import("node:fs/promises");
+    json = JSON.parse(await readFile(url, "utf8"));
+  } else {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Règles d’extraction par défaut introuvables (${res.status}) : ${url}`);
+    json = await res.json();
+  }
+  if (json?.format !== PARSER_RULES_FORMAT) throw new Error(`${url} n’est pas un profil de règles APS OCR`);
+  const profile = Object.freeze({ ...json, name: DEFAULT_PROFILE_NAME });
+  compileParserRules(profile);
+  return profile;
+}
+
+/* ============================================================
+   Compilation
+   Renvoie les expressions prêtes pour le parseur ; lève une erreur qui nomme la règle fautive
+============================================================ */
+
+const compiled = new WeakMap();
+
+export function compileParserRules(profile) {
+  if (!profile) throw new Error("aucun profil de règles d’extraction (cf. loadDefaultParserRules)");
+  if (compiled.has(profile)) return compiled.get(profile);
+
+  const p = profile;
+  const regex = (path, source, flags = "i") => {
+    if (typeof source !== "string" || !source.trim()) throw new Error(`règle ${path} : expression vide`);
+    try {
+      return new RegExp(source, flags);
+    } catch (err) {
+      throw new Error(`règle ${path} : expression invalide (${err.message})`);
+    }
+  };
+  const strings = (path, list) => {
+    if (!Array.isArray(list) || list.some(s => typeof s !== "string" || !s)) {
+      throw new Error(`règle ${path} : liste de textes attendue`);
+    }
+    return list;
+  };
+
+  if (!Array.isArray(p.postes?.types) || !p.postes.types.length) throw new Error("règle postes.types : liste vide");
+  const types = p.postes.types.map((t, i) => {
+    if (!TYPE_CODE_RE.test(t?.code ?? "")) {
+      throw new Error(`règle postes.types[${i}] : code « ${t?.code ?? ""} » invalide (2 à 10 lettres, chiffres ou tirets)`);
+    }
+    const libelles = strings(`postes.types[${i}].libelles`, t.libelles ?? []);
+    return {
+      code: t.code,
+      // Occurrence du type dans un bloc : ses libellés s’il en a, son code sinon (cf. typeCodeRe)
+      pattern: libelles.length ? libelles.map(l => `\\b${l}\\b`).join("|") : `\\b${t.code}\\b`,
+      aliases: libelles.map((l, j) => regex(`postes.types[${i}].libelles[${j}]`, `\\b${l}\\b`)),
+    };
+  });
+
+  const paliers = p.postes.paliers_kva;
+  if (!Array.isArray(paliers) || !paliers.length || paliers.some(v => !Number.isInteger(v) || v <= 0)) {
+    throw new Error("règle postes.paliers_kva : liste d’entiers positifs attendue");
+  }
+
+  const posteStart = regex("postes.debut_operation", p.postes.debut_operation);
+  if (new RegExp(`${posteStart.source}|`).exec("").length < 2) {
+    throw new Error("règle postes.debut_operation : un groupe capturant (le mot de l’opération) est attendu");
+  }
+
+  const out = {
+    profile,
+    types,
+    typeCodes: types.map(t => t.code),
+    paliers: new Set(paliers),
+    palierRe: regex("postes.paliers_kva", `\\b(${paliers.join("|")})\\b`, "g"),
+    palierOneRe: regex("postes.paliers_kva", `\\b(${paliers.join("|")})\\b`, ""),
+    posteStartRe: posteStart,
+    posteEndRe: regex("postes.fin_operation", p.postes.fin_operation),
+    operations: Object.entries(p.postes.operations ?? {}).map(([op, source]) => {
+      if (!OPERATIONS.includes(op)) {
+        throw new Error(`règle postes.operations.${op} : opération inconnue (attendu : ${OPERATIONS.join(", ")})`);
+      }
+      return [op, regex(`postes.operations.${op}`, source)];
+    }),
+    sectionRe: regex("section_cable", p.section_cable, "ig"),
+    htaStartRe: regex("hta.debut", p.hta?.debut, "ig"),
+    htaEndRe: regex("hta.fin", p.hta?.fin, "ig"),
+    btEndRe: regex("bt.fin_reprise", p.bt?.fin_reprise),
+    noiseStarts: strings("pdl.lignes_ignorees.commencent_par", p.pdl?.lignes_ignorees?.commencent_par ?? [])
+      .map(s => s.toUpperCase()),
+    noiseWords: strings("pdl.lignes_ignorees.contiennent", p.pdl?.lignes_ignorees?.contiennent ?? [])
+      .map(s => s.toUpperCase()),
+    anchors: strings("ancres", p.ancres ?? []),
+  };
+  compiled.set(profile, out);
+  return out;
+}
+
+/* ============================================================
+   Profils (fichiers JSON, stockage du navigateur)
+============================================================ */
+
+// Profil nommé à partir de règles (les sections absentes sont reprises de defaults, le profil par défaut)
+export function makeRulesProfile(name, rules, defaults, revision = 1) {
+  if (!defaults) throw new Error(`profil « ${name} » : profil par défaut manquant pour compléter les règles`);
+  const d = defaults;
+  const r = rules ?? {};
+  return {
+    format: PARSER_RULES_FORMAT,
+    version: PARSER_RULES_VERSION,
+    name: String(name).trim(),
+    revision,
+    postes: { ...structuredClone(d.postes), ...r.postes },
+    section_cable: r.section_cable ?? d.section_cable,
+    hta: { ...d.hta, ...r.hta },
+    bt: { ...d.bt, ...r.bt },
+    pdl: { lignes_ignorees: { ...d.pdl.lignes_ignorees, ...r.pdl?.lignes_ignorees } },
+    ancres: r.ancres ?? d.ancres ?? [],
+  };
+}
+
+// Profil lu d’un fichier JSON ou de l’éditeur, complété par defaults ; lève une erreur si inexploitable
+export function parseRulesProfile(json, defaults) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (data?.format !== PARSER_RULES_FORMAT) throw new Error("ce fichier n’est pas un profil de règles APS OCR");
+  if (data.version > PARSER_RULES_VERSION) {
+    throw new Error(`règles de version ${data.version}, non prises en charge (au plus ${PARSER_RULES_VERSION})`);
+  }
+  const revision = Number.isInteger(data.revision) && data.revision > 0 ? data.revision : 1;
+  const profile = makeRulesProfile(data.name || "profil importé", data, defaults, revision);
+  compileParserRules(profile);
+  return profile;
+}
+
+// Profils enregistrés (le profil par défaut, intégré, n’en fait pas partie)
+export function loadRuleProfiles(storage, defaults) {
+  try {
+    const list = JSON.parse(storage.getItem(PROFILES_KEY) ?? "[]");
+    if (!Array.isArray(list)) return [];
+    return list.flatMap((p) => {
+      try {
+        return [parseRulesProfile(p, defaults)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+}
+
+// Un profil du même nom est remplacé (révision suivante, ou celle du fichier importé si plus récente) ;
+// renvoie la liste à jour (triée par nom)
+export function saveRuleProfile(storage, profile, defaults) {
+  if (profile.name === DEFAULT_PROFILE_NAME) throw new Error(`le profil « ${DEFAULT_PROFILE_NAME} » n’est pas modifiable`);
+  const list = loadRuleProfiles(storage, defaults);
+  const previous = list.find(p => p.name === profile.name);
+  const saved = { ...profile, revision: previous ? Math.max(previous.revision + 1, profile.revision) : profile.revision };
+  const next = [...list.filter(p => p.name !== profile.name), saved];
+  next.sort((a, b) => a.name.localeCompare(b.name, "fr"));
+  storage.setItem(PROFILES_KEY, JSON.stringify(next));
+  return next;
+}
+
+export function deleteRuleProfile(storage, name, defaults) {
+  const list = loadRuleProfiles(storage, defaults).filter(p => p.name !== name);
+  storage.setItem(PROFILES_KEY, JSON.stringify(list));
+  return list;
+}
@@ -0,0 +1,93 @@
+// pdftext.js
+// Lecture de la couche texte “native” d’un PDF (PDF vectoriel exporté depuis un logiciel de DAO/CAO).
+// Quand elle existe, elle est exacte : inutile de passer par l’OCR.
+// Module pur (aucune dépendance au DOM) : utilisable dans le navigateur comme sous Node.
+
+import { regionContains } from "./regions.js";
+
+// En dessous de ce nombre de caractères alphanumériques, on considère la page comme “sans texte utile”
+// (plan scanné, ou seulement quelques cotes isolées).
+const MIN_USABLE_CHARS = 40;
+
+/* ============================================================
+   Extraction + reconstruction de l’ordre de lecture
+============================================================ */
+
+export async function extractPageText(page) {
+  const content = await page.getTextContent();
+  return rebuildReadingOrder(content.items || []);
+}
+
+// Texte natif de chaque zone de lecture (cf. regions.js) : [{ name, text }].
+// Un morceau de texte appartient à la zone qui contient son point d’origine (coordonnées de
+// l’aperçu : la rotation éventuelle de la page est prise en compte par le viewport).
+export async function extractRegionTexts(page, regions) {
+  const content = await page.getTextContent();
+  const viewport = page.getViewport({ scale: 1 });
+  const items = (content.items || []).filter(it => it.transform).map(it => {
+    const [vx, vy] = viewport.convertToViewportPoint(it.transform[4], it.transform[5]);
+    return { it, x: vx / viewport.width, y: vy / viewport.height };
+  });
+  return regions.map(r => ({
+    name: r.name,
+    text: rebuildReadingOrder(items.filter(p => regionContains(r, p.x, p.y)).map(p => p.it)),
+  }));
+}
+
+// pdf.js renvoie des “items” (morceaux de texte positionnés) dans l’ordre du flux PDF,
+// qui n’est pas forcément l’ordre de lecture. On regroupe par ligne (même ordonnée),
+// de haut en bas, puis de gauche à droite dans chaque ligne.
+export function rebuildReadingOrder(items) {
+  const frags = [];
+  for (const it of items) {
+    if (typeof it.str !== "string" || !it.transform) continue;
+    const str = it.str;
+    if (!str.trim()) continue;
+    const [a, b, , d, x, y] = it.transform;
+    const height = Math.abs(it.height || d || Math.hypot(a, b) || 10);
+    frags.push({ str, x, y, width: it.width || 0, height });
+  }
+  if (!frags.length) return "";
+
+  // Coordonnées PDF : l’axe Y monte, donc on trie par Y décroissant.
+  frags.sort((p, q) => (q.y - p.y) || (p.x - q.x));
+
+  const lines = [];
+  for (const f of frags) {
+    const line = lines[lines.length - 1];
+    const tol = Math.max(2, Math.min(f.height, line?.height ?? f.height) * 0.5);
+    if (line && Math.abs(line.y - f.y) <= tol) {
+      line.frags.push(f);
+      line.height = Math.max(line.height, f.height);
+    } else {
+      lines.push({ y: f.y, height: f.height, frags: [f] });
+    }
+  }
+
+  return lines.map(joinLine).join("\n");
+}
+
+function joinLine(line) {
+  const frags = line.frags.slice().sort((p, q) => p.x - q.x);
+  let out = "";
+  let prevEnd = null;
+  for (const f of frags) {
+    if (prevEnd != null) {
+      const gap = f.x - prevEnd;
+      // Un écart supérieur à ~1/4 de la hauteur de police vaut une espace.
+      if (gap > f.height * 0.25 && !/\s$/.test(out) && !/^\s/.test(f.str)) out += " ";
+    }
+    out += f.str;
+    prevEnd = f.x + f.width;
+  }
+  return out.replace(/[ \t]+/g, " ").trim();
+}
+
+/* ============================================================
+   Texte exploitable ?
+============================================================ */
+
+export function hasUsableText(text) {
+  const n = ((text ?? "").match(/[\p{L}\p{N}]/gu) || []).length;
+  return n >= MIN_USABLE_CHARS;
+}
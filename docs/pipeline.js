@@ -0,0 +1,84 @@
+// pipeline.js
+// Réglages et petites fonctions du pipeline PDF → texte, partagés entre l’interface web (app.js)
+// et la ligne de commande (cli/aps-ocr.mjs). Module pur : aucune dépendance au DOM.
+
+export const DPI_CHOICES = [150, 200, 300];
+export const DEFAULT_DPI = 200;
+
+export const TESSERACT_LANG = "fra";
+export const TESSERACT_PARAMS = {
+  tessedit_char_blacklist: "¢©®™",
+};
+
+export function dpiToScale(dpi) {
+  return dpi / 72;
+}
+
+// mode : "first" | "range" | "all" (mêmes valeurs que le sélecteur “Pages” de l’interface)
+export function selectPages(numPages, { mode = "first", from = 1, to = 1 } = {}) {
+  if (mode === "all") {
+    return Array.from({ length: numPages }, (_, i) => i + 1);
+  }
+  if (mode === "range") {
+    let a = parseInt(from, 10) || 1;
+    let b = parseInt(to, 10) || 1;
+    a = Math.max(1, Math.min(numPages, a));
+    b = Math.max(1, Math.min(numPages, b));
+    if (b < a) [a, b] = [b, a];
+    return Array.from({ length: b - a + 1 }, (_, i) => a + i);
+  }
+  return [1];
+}
+
+// Séparateur de pages reconnu par le parseur (cf. PAGE_MARK_RE dans parser.js)
+export function formatPageBlock(pageNumber, text) {
+  return `\n===== PAGE ${pageNumber} =====\n${(text ?? "").trim()}\n`;
+}
+
+// Titre de section d’une zone de lecture (cf. regions.js) ; le parseur ignore cette ligne
+// (cf. REGION_MARK_RE dans parser.js), le nom de la zone ne peut donc pas fausser l’extraction.
+export function formatRegionBlock(name, text) {
+  const label = String(name ?? "").replace(/[\r\n]+/g, " ").trim() || "zone";
+  return `----- ZONE ${label} -----\n${(text ?? "").trim()}\n`;
+}
+
+// Nombre de workers OCR proposés (pages lues en parallèle)
+export const OCR_WORKER_CHOICES = [1, 2, 3, 4, 6, 8];
+
+export function defaultOcrWorkers(hardwareConcurrency = 2) {
+  const n = Math.max(1, Math.min(4, (hardwareConcurrency || 2) - 1));
+  return OCR_WORKER_CHOICES.filter(c => c <= n).pop();
+}
+
+// Temps restant (ms) d’une page d’après son avancement (0 à 100), null si inconnu
+export function pageRemainingMs(startedAt, pct, now = Date.now()) {
+  if (!(pct > 0)) return null;
+  return Math.round(((now - startedAt) * (100 - pct)) / pct);
+}
+
+// Temps restant (ms) d’un ensemble de pages lues en parallèle :
+// - finishedMs : durées des pages terminées ; running : [{ startedAt, pct }] ; pending : pages pas commencées
+// null tant qu’aucune durée ne peut être estimée
+export function estimateRemainingMs({ finishedMs = [], running = [], pending = 0, concurrency = 1, now = Date.now() }) {
+  const totals = running
+    .filter(r => r.pct > 0)
+    .map(r => ((now - r.startedAt) * 100) / r.pct);
+  const known = finishedMs.length ? finishedMs : totals;
+  const avg = known.length ? known.reduce((a, b) => a + b, 0) / known.length : null;
+
+  let sum = 0;
+  for (const r of running) {
+    const left = pageRemainingMs(r.startedAt, r.pct, now) ?? (avg != null ? Math.max(0, avg - (now - r.startedAt)) : null);
+    if (left == null) return null;
+    sum += left;
+  }
+  if (pending && avg == null) return null;
+  return Math.round((sum + pending * avg) / Math.max(1, concurrency));
+}
+
+export function formatDuration(ms) {
+  if (ms == null) return "?";
+  const s = Math.max(1, Math.round(ms / 1000));
+  if (s < 60) return `${s} s`;
+  return `${Math.floor(s / 60)} min ${String(s % 60).padStart(2, "0")} s`;
+}
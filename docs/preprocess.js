@@ -0,0 +1,282 @@
+// preprocess.js
+// Pré-traitement des pages rendues avant OCR : niveaux de gris, binarisation (Otsu ou adaptative),
+// redressement (deskew), nettoyage des points isolés (despeckle) et effacement des traits longs.
+// Les plans APS scannés sont souvent gris, légèrement tournés et couverts de hachures : Tesseract
+// lit mieux une image noir et blanc, droite et débarrassée du dessin.
+// Module pur (aucune dépendance au DOM) : exécuté dans un worker (preprocess.worker.js) par
+// l’interface, directement par la ligne de commande.
+
+// mode : "off" | "grey" | "otsu" | "adaptive"
+export const PREPROCESS_MODES = ["off", "grey", "otsu", "adaptive"];
+
+export const PREPROCESS_DEFAULTS = {
+  mode: "off",
+  deskew: true,
+  despeckle: true,
+  removeLines: false,
+  compare: true,
+};
+
+// Inclinaison maximale recherchée (degrés) et pas de recherche
+const MAX_SKEW_DEG = 5;
+const SKEW_STEP_DEG = 0.2;
+// En dessous, on ne tourne pas l’image (le rééchantillonnage abîmerait plus qu’il ne corrige)
+const MIN_SKEW_DEG = 0.2;
+// Plus grande dimension de l’image réduite utilisée pour estimer l’inclinaison
+const SKEW_SAMPLE_SIZE = 1000;
+
+const BLACK = 0;
+const WHITE = 255;
+
+/* ============================================================
+   Pipeline
+   image : { width, height, data } (RGBA, comme un ImageData)
+============================================================ */
+
+// Renvoie { image, skew_deg } ; skew_deg : inclinaison corrigée (null si non mesurée)
+export function preprocessImage(image, settings, { dpi = 200 } = {}) {
+  const s = { ...PREPROCESS_DEFAULTS, ...settings };
+  const { width, height } = image;
+  let px = toGrey(image);
+  let skew = null;
+
+  const binary = s.mode === "otsu" || s.mode === "adaptive";
+  if (s.mode === "otsu") px = threshold(px, otsuThreshold(px));
+  if (s.mode === "adaptive") px = adaptiveThreshold(px, width, height, oddWindow(dpi / 6));
+
+  if (s.deskew) {
+    const sample = binary ? px : threshold(px, otsuThreshold(px));
+    skew = estimateSkew(sample, width, height);
+    if (Math.abs(skew) >= MIN_SKEW_DEG) px = rotate(px, width, height, skew);
+  }
+
+  if (binary && s.removeLines) removeLongLines(px, width, height, Math.round(dpi * 0.4));
+  if (binary && s.despeckle) despeckle(px, width, height, Math.max(2, Math.round((dpi / 200) ** 2 * 5)));
+
+  return { image: toRgba(px, width, height), skew_deg: skew };
+}
+
+/* ============================================================
+   Niveaux de gris / binarisation
+============================================================ */
+
+export function toGrey({ width, height, data }) {
+  const out = new Uint8Array(width * height);
+  for (let i = 0, j = 0; i < out.length; i++, j += 4) {
+    out[i] = (data[j] * 299 + data[j + 1] * 587 + data[j + 2] * 114) / 1000;
+  }
+  return out;
+}
+
+function toRgba(px, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; i < px.length; i++, j += 4) {
+    data[j] = data[j + 1] = data[j + 2] = px[i];
+    data[j + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+// Seuil d’Otsu : maximise la variance inter-classes de l’histogramme
+export function otsuThreshold(grey) {
+  const hist = new Float64Array(256);
+  for (const v of grey) hist[v]++;
+
+  let sum = 0;
+  for (let t = 0; t < 256; t++) sum += t * hist[t];
+
+  let sumB = 0;
+  let wB = 0;
+  let best = 0;
+  let bestVar = -1;
+  for (let t = 0; t < 256; t++) {
+    wB += hist[t];
+    if (!wB) continue;
+    const wF = grey.length - wB;
+    if (!wF) break;
+    sumB += t * hist[t];
+    const mB = sumB / wB;
+    const mF = (sum - sumB) / wF;
+    const between = wB * wF * (mB - mF) ** 2;
+    if (between > bestVar) {
+      bestVar = between;
+      best = t;
+    }
+  }
+  return best;
+}
+
+function threshold(grey, t) {
+  const out = new Uint8Array(grey.length);
+  for (let i = 0; i < grey.length; i++) out[i] = grey[i] <= t ? BLACK : WHITE;
+  return out;
+}
+
+const oddWindow = (n) => Math.max(3, Math.round(n) | 1);
+
+// Binarisation adaptative (Bradley) : noir si nettement plus sombre que la moyenne locale.
+// Fenêtre glissante par sommes de colonnes : mémoire proportionnelle à la largeur seulement.
+export function adaptiveThreshold(grey, width, height, win, k = 0.15) {
+  const out = new Uint8Array(grey.length);
+  const r = win >> 1;
+  const colSum = new Uint32Array(width);
+  const colCount = new Uint32Array(width);
+
+  const addRow = (y, sign) => {
+    const base = y * width;
+    for (let x = 0; x < width; x++) {
+      colSum[x] += sign * grey[base + x];
+      colCount[x] += sign;
+    }
+  };
+  for (let y = 0; y <= Math.min(r, height - 1); y++) addRow(y, 1);
+
+  for (let y = 0; y < height; y++) {
+    let sum = 0;
+    let count = 0;
+    for (let x = 0; x <= Math.min(r, width - 1); x++) {
+      sum += colSum[x];
+      count += colCount[x];
+    }
+    const base = y * width;
+    for (let x = 0; x < width; x++) {
+      out[base + x] = grey[base + x] * count <= sum * (1 - k) ? BLACK : WHITE;
+      const xin = x + r + 1;
+      const xout = x - r;
+      if (xin < width) {
+        sum += colSum[xin];
+        count += colCount[xin];
+      }
+      if (xout >= 0) {
+        sum -= colSum[xout];
+        count -= colCount[xout];
+      }
+    }
+    if (y + r + 1 < height) addRow(y + r + 1, 1);
+    if (y - r >= 0) addRow(y - r, -1);
+  }
+  return out;
+}
+
+/* ============================================================
+   Redressement
+   Profil de projection : à la bonne inclinaison, les lignes de texte donnent des rangées très
+   noires séparées de rangées blanches (somme des carrés maximale).
+============================================================ */
+
+// Renvoie l’inclinaison (degrés) : positive si les lignes descendent vers la droite
+export function estimateSkew(binary, width, height) {
+  const f = Math.max(1, Math.ceil(Math.max(width, height) / SKEW_SAMPLE_SIZE));
+  const points = [];
+  for (let y = 0; y < height; y += f) {
+    for (let x = 0; x < width; x += f) {
+      if (binary[y * width + x] === BLACK) points.push(x / f, y / f);
+    }
+  }
+  if (!points.length) return 0;
+
+  const h = Math.ceil(height / f);
+  const pad = Math.ceil((width / f) * Math.tan((MAX_SKEW_DEG * Math.PI) / 180)) + 1;
+  const rows = new Float64Array(h + 2 * pad);
+  let best = 0;
+  let bestScore = -1;
+  for (let deg = -MAX_SKEW_DEG; deg <= MAX_SKEW_DEG + 1e-9; deg += SKEW_STEP_DEG) {
+    const t = Math.tan((deg * Math.PI) / 180);
+    rows.fill(0);
+    for (let i = 0; i < points.length; i += 2) {
+      rows[Math.round(points[i + 1] - points[i] * t) + pad]++;
+    }
+    let score = 0;
+    for (const v of rows) score += v * v;
+    if (score > bestScore) {
+      bestScore = score;
+      best = deg;
+    }
+  }
+  return Math.round(best * 100) / 100;
+}
+
+// Rotation autour du centre (plus proche voisin, fond blanc), même taille d’image
+export function rotate(px, width, height, deg) {
+  const out = new Uint8Array(px.length).fill(WHITE);
+  const a = (deg * Math.PI) / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const cx = width / 2;
+  const cy = height / 2;
+  for (let y = 0; y < height; y++) {
+    const dy = y - cy;
+    for (let x = 0; x < width; x++) {
+      const dx = x - cx;
+      const sx = Math.round(cx + dx * cos - dy * sin);
+      const sy = Math.round(cy + dx * sin + dy * cos);
+      if (sx >= 0 && sx < width && sy >= 0 && sy < height) out[y * width + x] = px[sy * width + sx];
+    }
+  }
+  return out;
+}
+
+/* ============================================================
+   Nettoyage (image binaire, modifiée sur place)
+============================================================ */
+
+// Traits horizontaux et verticaux plus longs que minLength pixels (cadres, cotes, hachures droites)
+export function removeLongLines(px, width, height, minLength) {
+  const erase = [];
+  for (let y = 0; y < height; y++) {
+    let run = 0;
+    for (let x = 0; x <= width; x++) {
+      if (x < width && px[y * width + x] === BLACK) {
+        run++;
+        continue;
+      }
+      if (run >= minLength) for (let i = x - run; i < x; i++) erase.push(y * width + i);
+      run = 0;
+    }
+  }
+  for (let x = 0; x < width; x++) {
+    let run = 0;
+    for (let y = 0; y <= height; y++) {
+      if (y < height && px[y * width + x] === BLACK) {
+        run++;
+        continue;
+      }
+      if (run >= minLength) for (let i = y - run; i < y; i++) erase.push(i * width + x);
+      run = 0;
+    }
+  }
+  for (const i of erase) px[i] = WHITE;
+}
+
+// Taches noires isolées (composantes connexes de maxSize pixels au plus)
+export function despeckle(px, width, height, maxSize) {
+  const seen = new Uint8Array(px.length);
+  const stack = [];
+  const comp = [];
+  for (let start = 0; start < px.length; start++) {
+    if (px[start] !== BLACK || seen[start]) continue;
+    seen[start] = 1;
+    stack.push(start);
+    comp.length = 0;
+    while (stack.length) {
+      const i = stack.pop();
+      if (comp.length <= maxSize) comp.push(i);
+      const x = i % width;
+      const y = (i - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const n = ny * width + nx;
+          if (px[n] === BLACK && !seen[n]) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    if (comp.length <= maxSize) for (const i of comp) px[i] = WHITE;
+  }
+}
@@ -0,0 +1,15 @@
+// preprocess.worker.js
+// Worker (module) du pré-traitement d’image : le calcul sur une page A1 prend plusieurs secondes,
+// il ne doit pas figer l’interface. Message : { id, image, settings, dpi } → { id, image, skew_deg } | { id, error }
+
+import { preprocessImage } from "./preprocess.js";
+
+self.onmessage = (e) => {
+  const { id, image, settings, dpi } = e.data;
+  try {
+    const out = preprocessImage(image, settings, { dpi });
+    self.postMessage({ id, ...out }, [out.image.data.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message ?? err) });
+  }
+};
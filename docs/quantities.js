@@ -0,0 +1,243 @@
+// quantities.js
+// Métré et chiffrage d’un APS : longueurs de câble cumulées par réseau et par section (extensions
+// HTA, reprises et raccordements BT), jonctions et remontées aéro-souterraines par réseau, travaux
+// de poste (type et palier), puis estimation à partir d’une table de prix unitaires modifiable,
+// importée / exportée en JSON. Module pur (aucune dépendance au DOM).
+
+import { shapeProject } from "./parser.js";
+
+export const PRICE_TABLE_FORMAT = "aps-ocr-prix";
+export const PRICE_TABLE_VERSION = 1;
+
+const PRICES_KEY = "aps-ocr.unitPrices";
+
+/* ============================================================
+   Métré
+   line : { key, category, label, unit, quantity, detail }
+   key : identifiant stable d’un article (clé de la table de prix) ; detail : provenance lisible
+============================================================ */
+
+export const QUANTITY_CATEGORIES = {
+  cable_hta: "Câble HTA",
+  cable_bt: "Câble BT",
+  accessoire: "Accessoires",
+  poste: "Postes",
+};
+
+// Même câble quelle que soit l’écriture OCR : « 3x 240 mm2 + 1x 95 mm2 AL » = « 3x240mm2 + 1x95mm2 AL »
+export function normalizeSection(section) {
+  if (section == null || !String(section).trim()) return null;
+  return String(section)
+    .replace(/\s+/g, " ")
+    .replace(/\s*[x×]\s*/gi, "x")
+    .replace(/\s*\+\s*/g, " + ")
+    .replace(/mm²/gi, "mm2")
+    .replace(/(\d)\s*mm2/gi, "$1 mm2")
+    .trim();
+}
+
+// Renvoie { lines, warnings } ; lines dans l’ordre des catégories
+export function computeQuantities(project) {
+  const p = shapeProject(structuredClone(project ?? {}), "normalized");
+  const lines = new Map();
+  const warnings = [];
+
+  const add = (key, fields, quantity, detail) => {
+    const line = lines.get(key) ?? { key, ...fields, quantity: 0, detail: [] };
+    line.quantity += quantity;
+    if (detail && !line.detail.includes(detail)) line.detail.push(detail);
+    lines.set(key, line);
+  };
+
+  const cables = (network, list, what) => {
+    list.forEach((seg, i) => {
+      const section = normalizeSection(seg.section);
+      const label = section ?? "section non lue";
+      if (!Number.isFinite(seg.longueur_m)) {
+        warnings.push(`${what} n° ${i + 1} (${label}) : longueur non lue, non comptée`);
+        return;
+      }
+      add(`cable_${network}|${section ?? "?"}`,
+        { category: `cable_${network}`, label, unit: "m" },
+        seg.longueur_m, what);
+    });
+  };
+  cables("hta", p.hta.extensions, "extension HTA");
+  cables("bt", p.bt.reprises, "reprise BT");
+  cables("bt", p.bt.raccordements, "raccordement BT");
+
+  const accessories = (network, list, what) => {
+    for (const seg of list) {
+      const acc = seg.accessoires ?? {};
+      if (acc.jonctions > 0) {
+        add(`jonction_${network}`, { category: "accessoire", label: `Jonction ${network.toUpperCase()}`, unit: "u" },
+          acc.jonctions, what);
+      }
+      if (acc.remontees_aero_souterraines > 0) {
+        add(`remontee_${network}`,
+          { category: "accessoire", label: `Remontée aéro-souterraine ${network.toUpperCase()}`, unit: "u" },
+          acc.remontees_aero_souterraines, what);
+      }
+    }
+  };
+  accessories("hta", p.hta.extensions, "extension HTA");
+  accessories("bt", p.bt.reprises, "reprise BT");
+  accessories("bt", p.bt.raccordements, "raccordement BT");
+
+  for (const poste of p.poste_dp) {
+    const t = poste.travaux;
+    if (!t?.operation_principale) continue;
+    const { key, label } = posteArticle(t);
+    add(key, { category: "poste", label, unit: "u" }, 1, poste.numero ?? null);
+  }
+
+  const order = Object.keys(QUANTITY_CATEGORIES);
+  const out = Array.from(lines.values())
+    .map(l => ({ ...l, detail: l.detail.join(", ") }))
+    .sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category) || a.label.localeCompare(b.label, "fr"));
+  return { lines: out, warnings };
+}
+
+// Libellés des opérations du schéma (valeurs sans accents)
+const OPERATION_LABELS = {
+  creation: "Création",
+  adaptation: "Adaptation",
+  deplacement: "Déplacement",
+  mutation: "Mutation",
+};
+
+// Article d’une opération sur poste : type et palier après travaux (avant → après pour une adaptation)
+function posteArticle(t) {
+  const op = t.operation_principale;
+  const code = t.type_apres?.code ?? t.type_avant?.code ?? null;
+  const avant = t.type_avant?.puissance_kva ?? null;
+  const apres = t.type_apres?.puissance_kva ?? null;
+  const opLabel = OPERATION_LABELS[op] ?? op;
+  const kva = (v) => (v == null ? "? kVA" : `${v} kVA`);
+  if (op === "adaptation") {
+    return {
+      key: `poste|${op}|${code ?? "?"}|${avant ?? "?"}>${apres ?? "?"}`,
+      label: `${opLabel} de poste ${code ?? "type non lu"} ${kva(avant)} → ${kva(apres)}`,
+    };
+  }
+  return {
+    key: `poste|${op}|${code ?? "?"}|${apres ?? avant ?? "?"}`,
+    label: `${opLabel} de poste ${code ?? "type non lu"} ${kva(apres ?? avant)}`,
+  };
+}
+
+/* ============================================================
+   Table de prix
+   table : { format, version, currency, prices: { [key]: { label, unit, unit_price } } }
+============================================================ */
+
+export function emptyPriceTable() {
+  return { format: PRICE_TABLE_FORMAT, version: PRICE_TABLE_VERSION, currency: "EUR", prices: {} };
+}
+
+// Prix d’un article (null = effacé) ; renvoie une nouvelle table
+export function setUnitPrice(table, line, unitPrice) {
+  const prices = { ...table.prices };
+  if (unitPrice == null || !Number.isFinite(unitPrice)) delete prices[line.key];
+  else prices[line.key] = { label: line.label, unit: line.unit, unit_price: unitPrice };
+  return { ...table, prices };
+}
+
+// Table lue d’un fichier JSON (export de l’interface) ; lève une erreur si inexploitable
+export function parsePriceTable(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (data?.format !== PRICE_TABLE_FORMAT || !data.prices || typeof data.prices !== "object") {
+    throw new Error("ce fichier n’est pas une table de prix APS OCR");
+  }
+  if (data.version > PRICE_TABLE_VERSION) {
+    throw new Error(`table de prix de version ${data.version}, non prise en charge (au plus ${PRICE_TABLE_VERSION})`);
+  }
+  const table = emptyPriceTable();
+  if (/^[A-Z]{3}$/.test(data.currency ?? "")) table.currency = data.currency;
+  for (const [key, v] of Object.entries(data.prices)) {
+    const price = Number(v?.unit_price);
+    if (!Number.isFinite(price) || price < 0) continue;
+    table.prices[key] = { label: String(v.label ?? key), unit: String(v.unit ?? ""), unit_price: price };
+  }
+  return table;
+}
+
+// Table mémorisée dans le navigateur (localStorage)
+export function loadPriceTable(storage) {
+  try {
+    return parsePriceTable(storage.getItem(PRICES_KEY) ?? "");
+  } catch {
+    return emptyPriceTable();
+  }
+}
+
+export function savePriceTable(storage, table) {
+  storage.setItem(PRICES_KEY, JSON.stringify(table));
+}
+
+// Import : les prix du fichier remplacent ceux de même article, les autres sont conservés
+export function mergePriceTables(base, imported) {
+  return { ...base, currency: imported.currency, prices: { ...base.prices, ...imported.prices } };
+}
+
+/* ============================================================
+   Estimation
+============================================================ */
+
+// Renvoie { lines: [{ ...line, unit_price, amount }], total, unpriced, currency } ;
+// unpriced : nombre d’articles sans prix (hors total)
+export function priceEstimate(quantities, table) {
+  const lines = quantities.lines.map(line => {
+    const unitPrice = table.prices[line.key]?.unit_price ?? null;
+    return { ...line, unit_price: unitPrice, amount: unitPrice == null ? null : round2(unitPrice * line.quantity) };
+  });
+  return {
+    lines,
+    total: round2(lines.reduce((sum, l) => sum + (l.amount ?? 0), 0)),
+    unpriced: lines.filter(l => l.amount == null).length,
+    currency: table.currency,
+  };
+}
+
+// Tableau de l’estimation au format de sheets.js (CSV, feuille .xlsx)
+export function estimateSheet(estimate, fileName) {
+  return sheetOf([{ fileName, estimate }], estimate.currency);
+}
+
+// Estimation d’un lot (plans : [{ fileName, project }], version relue) : les articles de chaque plan
+// à la suite, chacun suivi de son total, aux prix de la même table
+export function batchEstimateSheet(plans, table) {
+  const entries = plans.map(({ fileName, project }) => ({
+    fileName,
+    estimate: priceEstimate(computeQuantities(project), table),
+  }));
+  return sheetOf(entries, table.currency);
+}
+
+function sheetOf(entries, currency) {
+  const rows = entries.flatMap(({ fileName, estimate }) => [
+    ...estimate.lines.map(l => [
+      fileName,
+      QUANTITY_CATEGORIES[l.category],
+      l.label,
+      l.quantity,
+      l.unit,
+      l.unit_price,
+      l.amount,
+      l.detail,
+    ]),
+    [fileName, "Total", estimate.unpriced ? `${estimate.unpriced} article(s) sans prix` : null,
+      null, null, null, estimate.total, null],
+  ]);
+  return {
+    id: "estimation",
+    title: "Estimation",
+    header: ["Fichier", "Catégorie", "Article", "Quantité", "Unité", `Prix unitaire (${currency})`,
+      `Montant (${currency})`, "Provenance"],
+    rows,
+  };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,148 @@
+// regioneditor.js
+// Tracé des zones de lecture (cf. regions.js) sur le canvas d’aperçu : cliquer-glisser dessine un
+// rectangle, la liste associée permet de nommer ou supprimer chaque zone.
+// Le rendu de la page est mémorisé (snapshot) pour redessiner les rectangles par-dessus.
+
+import { REGION_NAME_SUGGESTIONS, nextRegionName, regionFromPoints } from "./regions.js";
+
+const STROKE = "#fbbf24";
+const FILL = "rgba(251, 191, 36, 0.12)";
+
+/* -------------------------
+   Éditeur
+-------------------------- */
+
+// list : élément <ol> qui reçoit la liste des zones ; onChange(regions) après chaque modification
+export function createRegionEditor(canvas, { list, onChange }) {
+  let regions = [];
+  let background = null;
+  let start = null;
+  let draft = null;
+
+  const datalist = document.createElement("datalist");
+  datalist.id = "regionNameSuggestions";
+  for (const name of REGION_NAME_SUGGESTIONS) {
+    const o = document.createElement("option");
+    o.value = name;
+    datalist.appendChild(o);
+  }
+  list.after(datalist);
+
+  const changed = () => {
+    repaint();
+    renderList();
+    onChange(regions.slice());
+  };
+
+  // Position du pointeur en fraction de la page (le canvas est redimensionné en CSS)
+  const toPage = (e) => {
+    const r = canvas.getBoundingClientRect();
+    return { x: (e.clientX - r.left) / r.width, y: (e.clientY - r.top) / r.height };
+  };
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!background || e.button !== 0) return;
+    start = toPage(e);
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    if (!start) return;
+    draft = regionFromPoints(start, toPage(e), "");
+    repaint();
+  });
+
+  canvas.addEventListener("pointerup", (e) => {
+    if (!start) return;
+    const region = regionFromPoints(start, toPage(e), nextRegionName(regions));
+    start = null;
+    draft = null;
+    if (region) {
+      regions.push(region);
+      changed();
+    } else {
+      repaint();
+    }
+  });
+
+  function repaint() {
+    if (!background) return;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(background, 0, 0);
+
+    const lw = Math.max(2, Math.round(canvas.width / 500));
+    const fontSize = Math.max(12, Math.round(canvas.width / 70));
+    ctx.lineWidth = lw;
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.textBaseline = "top";
+
+    for (const r of draft ? [...regions, draft] : regions) {
+      const x = r.x * canvas.width;
+      const y = r.y * canvas.height;
+      const w = r.w * canvas.width;
+      const h = r.h * canvas.height;
+      ctx.fillStyle = FILL;
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeStyle = STROKE;
+      ctx.setLineDash(r === draft ? [lw * 4, lw * 3] : []);
+      ctx.strokeRect(x, y, w, h);
+      if (r.name) {
+        const tw = ctx.measureText(r.name).width;
+        ctx.fillStyle = STROKE;
+        ctx.fillRect(x, y, tw + lw * 4, fontSize + lw * 2);
+        ctx.fillStyle = "#0b0f17";
+        ctx.fillText(r.name, x + lw * 2, y + lw);
+      }
+    }
+    ctx.setLineDash([]);
+  }
+
+  function renderList() {
+    list.textContent = "";
+    regions.forEach((r, i) => {
+      const li = document.createElement("li");
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = r.name;
+      input.setAttribute("list", datalist.id);
+      input.addEventListener("input", () => {
+        r.name = input.value.trim() || nextRegionName(regions.filter(x => x !== r));
+        repaint();
+        onChange(regions.slice());
+      });
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "btn secondary small";
+      del.textContent = "Supprimer";
+      del.addEventListener("click", () => {
+        regions.splice(i, 1);
+        changed();
+      });
+
+      li.append(input, del);
+      list.appendChild(li);
+    });
+  }
+
+  return {
+    // À appeler après chaque nouveau rendu de la page dans le canvas
+    snapshot() {
+      background = document.createElement("canvas");
+      background.width = canvas.width;
+      background.height = canvas.height;
+      background.getContext("2d").drawImage(canvas, 0, 0);
+      repaint();
+    },
+
+    getRegions() {
+      return regions.map(r => ({ ...r }));
+    },
+
+    setRegions(next) {
+      regions = next.map(r => ({ ...r }));
+      changed();
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// regions.js
+// Zones de lecture dessinées sur l’aperçu (cartouche, légende, blocs de texte…) : sur les grands
+// plans (A1, A0), seules ces zones sont lues, chacune dans une section titrée du texte produit
+// (cf. formatRegionBlock dans pipeline.js), au lieu de la page entière noyée dans le dessin.
+// Coordonnées en fractions de la page (0 à 1, origine en haut à gauche) : une zone reste valable
+// quelle que soit la résolution de rendu, et d’un plan à l’autre pour un même bureau d’études.
+// Module pur : le stockage des modèles est passé en paramètre (localStorage dans l’interface).
+
+export const REGION_TEMPLATE_VERSION = 1;
+
+// Noms proposés à la saisie (le nom reste libre)
+export const REGION_NAME_SUGGESTIONS = ["cartouche", "légende", "travaux HTA", "travaux BT", "bloc PDL"];
+
+// En dessous (en fraction de la page), le tracé est considéré comme un clic involontaire
+const MIN_REGION_SIZE = 0.01;
+
+const TEMPLATES_KEY = "aps-ocr.regionTemplates";
+
+/* ============================================================
+   Zones
+   region : { name, x, y, w, h }
+============================================================ */
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const round4 = (v) => Math.round(v * 10000) / 10000;
+
+// a, b : coins opposés en fractions de la page ; null si la zone est trop petite
+export function regionFromPoints(a, b, name) {
+  const x0 = clamp01(Math.min(a.x, b.x));
+  const y0 = clamp01(Math.min(a.y, b.y));
+  const x1 = clamp01(Math.max(a.x, b.x));
+  const y1 = clamp01(Math.max(a.y, b.y));
+  if (x1 - x0 < MIN_REGION_SIZE || y1 - y0 < MIN_REGION_SIZE) return null;
+  return { name, x: round4(x0), y: round4(y0), w: round4(x1 - x0), h: round4(y1 - y0) };
+}
+
+// Rectangle en pixels d’une image de la page (format “rectangle” de Tesseract.js)
+export function regionToPixels(region, width, height) {
+  const left = Math.round(region.x * width);
+  const top = Math.round(region.y * height);
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(width - left, Math.round(region.w * width))),
+    height: Math.max(1, Math.min(height - top, Math.round(region.h * height))),
+  };
+}
+
+export function regionContains(region, x, y) {
+  return x >= region.x && x <= region.x + region.w && y >= region.y && y <= region.y + region.h;
+}
+
+// Nom par défaut d’une nouvelle zone : “zone N”, N libre
+export function nextRegionName(regions) {
+  const used = new Set(regions.map(r => r.name));
+  let n = regions.length + 1;
+  while (used.has(`zone ${n}`)) n++;
+  return `zone ${n}`;
+}
+
+// Zones valides d’une liste lue d’un fichier ou du stockage (les autres sont ignorées)
+export function sanitizeRegions(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const r of list) {
+    if (!r || typeof r !== "object") continue;
+    const region = regionFromPoints({ x: r.x, y: r.y }, { x: r.x + r.w, y: r.y + r.h }, null);
+    if (!region || [r.x, r.y, r.w, r.h].some(v => !Number.isFinite(v))) continue;
+    region.name = String(r.name ?? "").trim() || nextRegionName(out);
+    out.push(region);
+  }
+  return out;
+}
+
+/* ============================================================
+   Modèles de zones
+   template : { version, name, regions }
+============================================================ */
+
+export function makeTemplate(name, regions) {
+  return { version: REGION_TEMPLATE_VERSION, name: String(name).trim(), regions: sanitizeRegions(regions) };
+}
+
+// Modèle lu d’un fichier JSON (export de l’interface) ; lève une erreur si inexploitable
+export function parseTemplate(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  const regions = sanitizeRegions(data?.regions);
+  if (!regions.length) throw new Error("aucune zone valide dans le modèle");
+  return makeTemplate(data.name || "modèle importé", regions);
+}
+
+export function loadTemplates(storage) {
+  try {
+    const list = JSON.parse(storage.getItem(TEMPLATES_KEY) ?? "[]");
+    return Array.isArray(list) ? list.filter(t => t?.name).map(t => makeTemplate(t.name, t.regions)) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Un modèle du même nom est remplacé ; renvoie la liste à jour (triée par nom)
+export function saveTemplate(storage, template) {
+  const list = loadTemplates(storage).filter(t => t.name !== template.name);
+  list.push(template);
+  list.sort((a, b) => a.name.localeCompare(b.name, "fr"));
+  storage.setItem(TEMPLATES_KEY, JSON.stringify(list));
+  return list;
+}
+
+export function deleteTemplate(storage, name) {
+  const list = loadTemplates(storage).filter(t => t.name !== name);
+  storage.setItem(TEMPLATES_KEY, JSON.stringify(list));
+  return list;
+}
@@ -0,0 +1,436 @@
+// review.js
+// Relecture du projet parsé : une copie de travail (forme normalisée) modifiée par le formulaire,
+// le statut de chaque champ (“extrait” tel que lu, ou “corrigé” par le relecteur) et le projet
+// corrigé à exporter. Module pur (aucune dépendance au DOM) ; le formulaire est dans reviewform.js.
+
+import { migrateProject, shapeProject } from "./parser.js";
+import { compileParserRules } from "./parserrules.js";
+
+// Stratégie des éléments ajoutés à la main (ils n’ont pas de valeur “extraite”)
+export const MANUAL_STRATEGY = "saisie_manuelle";
+
+/* ============================================================
+   Champs éditables
+   key : chemin pointé dans l’élément ; type : text | int | select
+   identity : champ qui identifie un élément d’un résultat du parseur à l’autre (cf. applyCorrections)
+   options : valeurs d’une liste fixe ; vocabulary : "types" | "paliers" du profil de règles (cf. fieldOptions)
+============================================================ */
+
+const opt = (values, label = String) => [["", "—"], ...values.map(v => [String(v), label(v)])];
+
+const OPERATIONS = opt(["creation", "adaptation", "deplacement", "mutation"]);
+const RACCORDEMENTS = opt(["depart_direct", "derivation"]);
+const ACCESSOIRES = [
+  { key: "accessoires.jonctions", label: "Jonctions", type: "int" },
+  { key: "accessoires.remontees_aero_souterraines", label: "Remontées aéro-souterraines", type: "int" },
+];
+
+// list : chemin de la liste dans le projet normalisé (null = objet unique)
+export const REVIEW_SECTIONS = [
+  {
+    id: "affaire",
+    title: "Affaire",
+    path: ["affaire"],
+    list: false,
+    fields: [
+      { key: "num", label: "N° RAC", type: "text", pattern: "^RAC-[A-Z]{3}-\\d{2}-\\d{6}$" },
+      { key: "p_kva", label: "Puissance (kVA)", type: "int" },
+      { key: "commune", label: "Commune", type: "text" },
+      { key: "insee", label: "INSEE", type: "text", pattern: "^(\\d{5}|2[AB]\\d{3})$" },
+    ],
+  },
+  {
+    id: "poste_dp",
+    title: "Postes DP",
+    itemLabel: "Poste",
+    path: ["poste_dp"],
+    list: true,
+    identity: "numero",
+    fields: [
+      { key: "numero", label: "N° poste", type: "text", pattern: "^\\d{5}P\\d{4}$" },
+      { key: "insee", label: "INSEE", type: "text", pattern: "^\\d{5}$" },
+      { key: "commune", label: "Commune", type: "text" },
+      { key: "departement", label: "Département", type: "text", pattern: "^(\\d{2}|2[AB]|97\\d)$" },
+      { key: "travaux.operation_principale", label: "Opération", type: "select", options: OPERATIONS },
+      { key: "travaux.operation_secondaire", label: "Opération secondaire", type: "select", options: opt(["adaptation"]) },
+      { key: "travaux.type_avant.code", label: "Type avant", type: "select", vocabulary: "types" },
+      { key: "travaux.type_avant.puissance_kva", label: "Palier avant", type: "select", vocabulary: "paliers", numeric: true },
+      { key: "travaux.type_apres.code", label: "Type après", type: "select", vocabulary: "types" },
+      { key: "travaux.type_apres.puissance_kva", label: "Palier après", type: "select", vocabulary: "paliers", numeric: true },
+    ],
+  },
+  {
+    id: "hta",
+    title: "Extensions HTA",
+    itemLabel: "Extension",
+    path: ["hta", "extensions"],
+    list: true,
+    fields: [
+      { key: "longueur_m", label: "Longueur (m)", type: "int", required: true },
+      { key: "section", label: "Section", type: "text", required: true },
+      ...ACCESSOIRES,
+    ],
+  },
+  {
+    id: "reprises",
+    title: "Reprises BT",
+    itemLabel: "Reprise",
+    path: ["bt", "reprises"],
+    list: true,
+    fields: [
+      { key: "longueur_m", label: "Longueur (m)", type: "int", required: true },
+      { key: "section", label: "Section", type: "text", required: true },
+      { key: "protection_a", label: "Protection (A)", type: "int" },
+      ...ACCESSOIRES,
+    ],
+  },
+  {
+    id: "raccordements",
+    title: "Raccordements BT",
+    itemLabel: "Raccordement",
+    path: ["bt", "raccordements"],
+    list: true,
+    identity: "num_affaire",
+    fields: [
+      { key: "num_affaire", label: "N° RAC du PDL", type: "text", pattern: "^RAC-[A-Z]{3}-\\d{2}-\\d{6}$" },
+      { key: "type_raccordement", label: "Type", type: "select", options: RACCORDEMENTS },
+      { key: "section", label: "Section", type: "text" },
+      { key: "longueur_m", label: "Longueur (m)", type: "int" },
+      ...ACCESSOIRES,
+    ],
+  },
+  {
+    id: "pdls",
+    title: "PDL",
+    itemLabel: "PDL",
+    path: ["pdls"],
+    list: true,
+    identity: "num_affaire",
+    fields: [
+      { key: "num_affaire", label: "N° RAC", type: "text", pattern: "^RAC-[A-Z]{3}-\\d{2}-\\d{6}$" },
+      { key: "nom_dossier", label: "Nom du dossier", type: "text" },
+      { key: "mode", label: "Mode", type: "select", options: [["vente_totale", "vente_totale"], ["vente_surplus", "vente_surplus"]] },
+      { key: "p_prod_kva", label: "P prod (kVA)", type: "int" },
+      { key: "type_raccordement", label: "Raccordement", type: "select", options: RACCORDEMENTS },
+      { key: "prm", label: "PRM", type: "text", pattern: "^\\d{14}$" },
+      { key: "p_conso_kva", label: "P conso (kVA)", type: "int" },
+    ],
+  },
+];
+
+// Valeurs d’une liste déroulante ; types et paliers de poste : ceux du profil de règles d’extraction
+// (profile : le profil actif)
+export function fieldOptions(field, profile) {
+  if (field.vocabulary === "types") return opt(compileParserRules(profile).typeCodes);
+  if (field.vocabulary === "paliers") return opt([...compileParserRules(profile).paliers], v => `${v} kVA`);
+  return field.options;
+}
+
+/* ============================================================
+   Éléments vides (ajout manuel)
+============================================================ */
+
+const emptyAccessoires = () => ({ jonctions: 0, remontees_aero_souterraines: 0, ras: false });
+const manual = () => ({ page: null, confidence: "high", strategy: MANUAL_STRATEGY });
+
+function emptyTravaux() {
+  return {
+    operation_principale: null,
+    operation_secondaire: null,
+    type_avant: { code: null, puissance_kva: null },
+    type_apres: { code: null, raw: null, puissance_kva: null },
+    ...manual(),
+  };
+}
+
+const EMPTY_ITEMS = {
+  poste_dp: () => ({ numero: null, insee: null, commune: null, departement: null, travaux: null }),
+  hta: () => ({ longueur_m: null, section: null, liaison: "RAS", accessoires: emptyAccessoires(), ...manual() }),
+  reprises: () => ({ longueur_m: null, section: null, protection_a: null, liaison: "RAS", accessoires: emptyAccessoires(), ...manual() }),
+  raccordements: () => ({ num_affaire: null, type_raccordement: null, section: null, longueur_m: null, accessoires: emptyAccessoires(), ...manual() }),
+  pdls: () => ({ mode: "vente_totale", num_affaire: null, nom_dossier: null, p_prod_kva: null, type_raccordement: null, ...manual() }),
+};
+
+/* ============================================================
+   Copie de travail
+============================================================ */
+
+// Renvoie { original, working, origins } ; origins : élément de travail → élément extrait
+export function createReview(project) {
+  const original = shapeProject(project, "normalized");
+  const working = structuredClone(original);
+  const origins = new WeakMap();
+  for (const section of REVIEW_SECTIONS) {
+    const orig = getAt(original, section.path);
+    const work = getAt(working, section.path);
+    if (section.list) work.forEach((item, i) => origins.set(item, orig[i]));
+    else origins.set(work, orig);
+  }
+  return { original, working, origins };
+}
+
+export function sectionItems(review, section) {
+  const v = getAt(review.working, section.path);
+  return section.list ? v : [v];
+}
+
+export function addItem(review, section) {
+  getAt(review.working, section.path).push(EMPTY_ITEMS[section.id]());
+}
+
+export function removeItem(review, section, index) {
+  getAt(review.working, section.path).splice(index, 1);
+}
+
+export function getField(item, key) {
+  return key.split(".").reduce((node, k) => (node == null ? null : node[k]), item) ?? null;
+}
+
+export function setField(item, key, value) {
+  const keys = key.split(".");
+  if (keys[0] === "travaux" && item.travaux == null) item.travaux = emptyTravaux();
+  const last = keys.pop();
+  const owner = keys.reduce((node, k) => node[k], item);
+  owner[last] = value;
+
+  // Une PDL en vente de surplus a un PRM et une P conso (cf. parser.js)
+  if (key === "mode" && value === "vente_surplus") {
+    item.prm ??= null;
+    item.p_conso_kva ??= null;
+  }
+}
+
+// "extrait" : valeur lue par le parseur ; "corrige" : modifiée ou ajoutée par le relecteur
+export function fieldStatus(review, item, key) {
+  const orig = review.origins.get(item);
+  if (!orig) return "corrige";
+  return JSON.stringify(getField(orig, key)) === JSON.stringify(getField(item, key)) ? "extrait" : "corrige";
+}
+
+// Chemin d’un champ au format du validateur (sans le "$." initial)
+export function fieldPath(section, index, key) {
+  const base = section.path.join(".");
+  return section.list ? `${base}[${index}].${key}` : `${base}.${key}`;
+}
+
+/* ============================================================
+   Export
+============================================================ */
+
+// Projet corrigé dans la forme demandée, avec la liste des corrections du relecteur :
+// review.corrected = [{ path, extracted, value }] ; review.removed = chemins des éléments supprimés
+export function reviewedProject(review, shape = "legacy") {
+  const corrected = [];
+  const removed = [];
+
+  for (const section of REVIEW_SECTIONS) {
+    const items = sectionItems(review, section);
+    items.forEach((item, i) => {
+      const orig = review.origins.get(item);
+      for (const f of section.fields) {
+        if (fieldStatus(review, item, f.key) !== "corrige") continue;
+        if (!orig && getField(item, f.key) == null) continue;
+        corrected.push({
+          path: fieldPath(section, i, f.key),
+          extracted: orig ? getField(orig, f.key) : null,
+          value: getField(item, f.key),
+        });
+      }
+    });
+    if (section.list) {
+      const kept = new Set(items.map(x => review.origins.get(x)));
+      getAt(review.original, section.path).forEach((orig, i) => {
+        if (!kept.has(orig)) removed.push(`${section.path.join(".")}[${i}]`);
+      });
+    }
+  }
+
+  const project = shapeProject(structuredClone(review.working), shape);
+  if (corrected.length || removed.length) project.review = { corrected, removed };
+  return project;
+}
+
+/* ============================================================
+   Sauvegarde (bibliothèque de projets)
+   snapshot : { working, origins } ; origins[section.id] : index de l’élément extrait
+   correspondant à chaque élément de travail (null = ajouté à la main)
+============================================================ */
+
+export function reviewSnapshot(review) {
+  const origins = {};
+  for (const section of REVIEW_SECTIONS) {
+    if (!section.list) continue;
+    const orig = getAt(review.original, section.path);
+    origins[section.id] = getAt(review.working, section.path).map(item => {
+      const i = orig.indexOf(review.origins.get(item));
+      return i < 0 ? null : i;
+    });
+  }
+  return { working: structuredClone(review.working), origins };
+}
+
+// Relecture reprise d’une sauvegarde, sur le même résultat du parseur (project) ; une sauvegarde
+// d’une version antérieure du schéma est mise à jour (cf. migrateProject)
+export function restoreReview(project, snapshot) {
+  const review = createReview(migrateProject(project));
+  if (!snapshot?.working) return review;
+  review.working = structuredClone(migrateProject(snapshot.working));
+  review.origins = new WeakMap();
+  for (const section of REVIEW_SECTIONS) {
+    const orig = getAt(review.original, section.path);
+    const work = getAt(review.working, section.path);
+    if (!section.list) {
+      review.origins.set(work, orig);
+      continue;
+    }
+    const indexes = snapshot.origins?.[section.id] ?? [];
+    work.forEach((item, i) => {
+      if (orig[indexes[i]]) review.origins.set(item, orig[indexes[i]]);
+    });
+  }
+  return review;
+}
+
+/* ============================================================
+   Re-parsing (texte OCR corrigé)
+============================================================ */
+
+// Reporte la relecture précédente (previous : { original, working, origins }) sur la copie de travail
+// d’un nouveau résultat du parseur : champs corrigés, éléments supprimés et éléments ajoutés à la main.
+// Un élément extrait est retrouvé par la position de ses champs dans le texte OCR (edit : { before,
+// after }, le texte avant et après modification ; positions décalées au-delà de la zone modifiée), à
+// défaut par son identifiant (N° de poste, N° RAC). Renvoie le nombre de corrections et de suppressions
+// qui n’ont pas pu être reportées (élément introuvable dans le nouveau résultat).
+export function applyCorrections(review, previous, { before = "", after = before } = {}) {
+  if (!previous) return 0;
+  const shift = offsetShift(before, after);
+  let lost = 0;
+
+  for (const section of REVIEW_SECTIONS) {
+    const asList = (root) => (section.list ? getAt(root, section.path) : [getAt(root, section.path)]);
+    const match = matchItems(section, asList(previous.original), asList(review.original), shift);
+    const targets = new Map(sectionItems(review, section).map(item => [review.origins.get(item), item]));
+    const targetOf = (orig) => targets.get(match.get(orig));
+
+    const kept = new Set();
+    for (const item of sectionItems(previous, section)) {
+      const orig = previous.origins.get(item);
+      if (!orig) {
+        addManualItem(review, section, item);
+        continue;
+      }
+      kept.add(orig);
+      const fields = section.fields.filter(f => fieldStatus(previous, item, f.key) === "corrige");
+      const target = targetOf(orig);
+      if (!target) {
+        lost += fields.length;
+        continue;
+      }
+      for (const f of fields) setField(target, f.key, structuredClone(getField(item, f.key)));
+    }
+
+    if (!section.list) continue;
+    for (const orig of asList(previous.original)) {
+      if (kept.has(orig)) continue;
+      const target = targetOf(orig);
+      if (target) removeItem(review, section, sectionItems(review, section).indexOf(target));
+      else lost++;
+    }
+  }
+  return lost;
+}
+
+function addManualItem(review, section, item) {
+  getAt(review.working, section.path).push(structuredClone(item));
+}
+
+// Élément précédent → élément du nouveau résultat : d’abord celui qui partage le plus de positions de
+// champs, puis, pour les autres, le premier libre de même identifiant (objet unique : toujours lui-même)
+function matchItems(section, olds, news, shift) {
+  const match = new Map();
+  if (!section.list) return olds[0] && news[0] ? match.set(olds[0], news[0]) : match;
+  const free = new Set(news.filter(Boolean));
+  for (const o of olds) {
+    if (!o) continue;
+    const starts = [...sourceStarts(o)].map(([field, start]) => [field, shift(start)]).filter(([, start]) => start != null);
+    let best = null;
+    let bestScore = 0;
+    for (const n of free) {
+      const theirs = sourceStarts(n);
+      const score = starts.filter(([field, start]) => theirs.get(field) === start).length;
+      if (score > bestScore) [best, bestScore] = [n, score];
+    }
+    if (best) {
+      match.set(o, best);
+      free.delete(best);
+    }
+  }
+  if (!section.identity) return match;
+  for (const o of olds) {
+    const id = o && getField(o, section.identity);
+    if (id == null || match.has(o)) continue;
+    const same = [...free].find(n => getField(n, section.identity) === id);
+    if (same) {
+      match.set(o, same);
+      free.delete(same);
+    }
+  }
+  return match;
+}
+
+// Champ → position de début dans le texte OCR (“_sources” de l’élément et de ses travaux)
+function sourceStarts(item) {
+  const out = new Map();
+  for (const [field, src] of Object.entries(item._sources ?? {})) out.set(field, src.start);
+  for (const [field, src] of Object.entries(item.travaux?._sources ?? {})) out.set(`travaux.${field}`, src.start);
+  return out;
+}
+
+// Position d’origine → position dans le texte modifié (null : dans la zone modifiée) ; la modification
+// est ce qui sépare le plus long préfixe et le plus long suffixe communs aux deux textes
+function offsetShift(before, after) {
+  const max = Math.min(before.length, after.length);
+  let prefix = 0;
+  while (prefix < max && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < max - prefix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+  const delta = after.length - before.length;
+  return pos => (pos < prefix ? pos : pos >= before.length - suffix ? pos + delta : null);
+}
+
+// Champs dont la valeur diffère entre deux résultats du parseur (provenance, avertissements
+// et corrections OCR ignorés). Chemins au format de fieldPath : "hta.extensions[0].longueur_m".
+export function changedPaths(before, after) {
+  const out = [];
+  const skip = new Set(["schema_version", "warnings", "corrections", "review"]);
+  const walk = (a, b, path) => {
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    const bothObjects = a && b && typeof a === "object" && typeof b === "object" && Array.isArray(a) === Array.isArray(b);
+    if (!bothObjects) {
+      out.push(path);
+      return;
+    }
+    const keys = Array.isArray(a)
+      ? Array.from({ length: Math.max(a.length, b.length) }, (_, i) => i)
+      : Array.from(new Set([...Object.keys(a), ...Object.keys(b)]));
+    for (const k of keys) {
+      if (typeof k === "string" && (k.startsWith("_") || (!path && skip.has(k)))) continue;
+      walk(a[k], b[k], Array.isArray(a) ? `${path}[${k}]` : path ? `${path}.${k}` : k);
+    }
+  };
+  walk(
+    before ? shapeProject(before, "normalized") : {},
+    after ? shapeProject(after, "normalized") : {},
+    ""
+  );
+  return out;
+}
+
+// Valeur d’un chemin renvoyé par changedPaths (ex. "poste_dp[0].travaux.type_avant.code")
+export function valueAtPath(project, path) {
+  return getAt(shapeProject(project, "normalized"), path.split(/\.|\[(\d+)\]/).filter(Boolean));
+}
+
+function getAt(root, path) {
+  return path.reduce((node, k) => node?.[k], root);
+}
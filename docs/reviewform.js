@@ -0,0 +1,195 @@
+// reviewform.js
+// Formulaire de relecture généré à partir de REVIEW_SECTIONS (review.js) : champs typés,
+// listes déroulantes, ajout / suppression d’éléments, statut “extrait” / “corrigé” par champ
+// et erreurs de validation affichées au niveau du champ concerné.
+
+import {
+  REVIEW_SECTIONS,
+  addItem,
+  fieldOptions,
+  fieldPath,
+  fieldStatus,
+  getField,
+  removeItem,
+  sectionItems,
+  setField,
+} from "./review.js";
+
+const STATUS_LABELS = { extrait: "extrait", corrige: "corrigé" };
+
+/* -------------------------
+   Rendu
+-------------------------- */
+
+// onChange() : après chaque modification ; onSource(src, path) : clic sur le lien de provenance d’un champ ;
+// changed : chemins modifiés par le dernier re-parsing du texte OCR (mis en évidence) ;
+// rules : profil de règles d’extraction actif (types et paliers de poste proposés)
+export function renderReviewForm(container, review, { onChange, onSource, changed = [], rules }) {
+  container.textContent = "";
+  if (!review) return;
+
+  const rerender = () => {
+    renderReviewForm(container, review, { onChange, onSource, changed, rules });
+    onChange();
+  };
+  const changedSet = new Set(changed);
+
+  for (const section of REVIEW_SECTIONS) {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "reviewSection";
+    const legend = document.createElement("legend");
+    legend.textContent = section.title;
+    fieldset.appendChild(legend);
+
+    const items = sectionItems(review, section);
+    items.forEach((item, index) => {
+      const box = document.createElement("div");
+      box.className = "reviewItem";
+      box.dataset.path = section.list ? `${section.path.join(".")}[${index}]` : section.path.join(".");
+      box.classList.toggle("changed", changedSet.has(box.dataset.path));
+
+      if (section.list) {
+        const head = document.createElement("div");
+        head.className = "reviewItemHead";
+        head.textContent = `${section.itemLabel} ${index + 1}`;
+        if (item.confidence && item.strategy) head.title = `${item.strategy} (confiance ${item.confidence})`;
+        const del = button("Supprimer", () => {
+          removeItem(review, section, index);
+          rerender();
+        });
+        head.appendChild(del);
+        box.appendChild(head);
+      }
+
+      for (const field of section.fields) {
+        const el = renderField(review, section, index, item, field, { onChange, onSource, rules });
+        if (changedSet.has(el.dataset.path)) {
+          el.classList.add("changed");
+          el.title = "Valeur modifiée par le dernier re-parsing du texte OCR";
+        }
+        box.appendChild(el);
+      }
+      fieldset.appendChild(box);
+    });
+
+    if (section.list) {
+      fieldset.appendChild(button(`Ajouter : ${section.itemLabel.toLowerCase()}`, () => {
+        addItem(review, section);
+        rerender();
+      }));
+    }
+    container.appendChild(fieldset);
+  }
+}
+
+function renderField(review, section, index, item, field, { onChange, onSource, rules }) {
+  const label = document.createElement("label");
+  label.className = "reviewField";
+  label.dataset.path = fieldPath(section, index, field.key);
+
+  const name = document.createElement("span");
+  name.textContent = field.label;
+  label.appendChild(name);
+
+  const value = toInputValue(getField(item, field.key));
+  const input = field.type === "select" ? select(fieldOptions(field, rules), value) : document.createElement("input");
+  if (field.type === "int") {
+    input.type = "number";
+    input.min = "0";
+    input.step = "1";
+  } else if (field.type === "text") {
+    input.type = "text";
+    if (field.pattern) input.pattern = field.pattern;
+  }
+  if (field.required) input.required = true;
+  input.value = value;
+
+  const badge = document.createElement("span");
+  badge.className = "reviewStatus";
+
+  const refresh = () => {
+    const status = fieldStatus(review, item, field.key);
+    label.classList.toggle("corrected", status === "corrige");
+    badge.textContent = STATUS_LABELS[status];
+  };
+  refresh();
+
+  input.addEventListener("change", () => {
+    setField(item, field.key, fromInputValue(input.value, field));
+    refresh();
+    onChange();
+  });
+
+  label.appendChild(input);
+  label.appendChild(badge);
+
+  const src = item?._sources?.[field.key];
+  if (src && onSource) {
+    const link = button("↗", () => onSource(src, label.dataset.path));
+    link.classList.add("reviewSource");
+    link.title = `Source : « ${src.snippet} »`;
+    label.appendChild(link);
+  }
+  return label;
+}
+
+/* -------------------------
+   Validation
+-------------------------- */
+
+// errors : [{ path, message }] du validateur (chemins sur la forme normalisée)
+export function showReviewErrors(container, errors) {
+  const byPath = new Map();
+  for (const e of errors) {
+    const path = e.path.replace(/^\$\.?/, "");
+    byPath.set(path, [...(byPath.get(path) ?? []), e.message]);
+  }
+
+  for (const el of container.querySelectorAll("[data-path]")) {
+    const msgs = byPath.get(el.dataset.path);
+    el.classList.toggle("invalid", !!msgs);
+    const control = el.querySelector(":scope > input, :scope > select");
+    if (control) control.title = msgs ? msgs.join(" ; ") : "";
+    else el.title = msgs ? msgs.join(" ; ") : "";
+  }
+}
+
+/* -------------------------
+   Utilitaires
+-------------------------- */
+
+function button(text, onClick) {
+  const b = document.createElement("button");
+  b.type = "button";
+  b.className = "btn secondary small";
+  b.textContent = text;
+  b.addEventListener("click", onClick);
+  return b;
+}
+
+// Une valeur absente des options (projet lu avec un autre profil de règles) reste proposée
+function select(options, current = "") {
+  const s = document.createElement("select");
+  const all = options.some(([value]) => value === current) ? options : [...options, [current, current]];
+  for (const [value, text] of all) {
+    const o = document.createElement("option");
+    o.value = value;
+    o.textContent = text;
+    s.appendChild(o);
+  }
+  return s;
+}
+
+function toInputValue(v) {
+  return v == null ? "" : String(v);
+}
+
+function fromInputValue(raw, field) {
+  const s = raw.trim();
+  if (!s) return null;
+  if (field.type === "int" || field.numeric) {
+    const n = parseInt(s, 10);
+    return Number.isFinite(n) ? n : null;
+  }
+  return s;
+}
@@ -0,0 +1,219 @@
+// rules.js
+// Contrôles de cohérence d’ingénierie sur le projet parsé : valeurs lues correctement une à une mais
+// incompatibles entre elles (production au-delà du palier du poste, section BT trop faible…), pour
+// repérer les erreurs de rédaction de l’APS avant le terrain. Les contrôles sont des données, comme les
+// profils de parserrules.js : docs/rules/controles-ingenierie.json les décrit (portée, champ, conditions
+// « opérande opérateur opérande », message) et ce module les valide puis les évalue ; ajouter un
+// contrôle = ajouter un objet au fichier, lu au démarrage (fetch dans la page, lecture du fichier sous
+// Node) puis passé à checkProject. Module pur (aucune dépendance au DOM).
+
+import { shapeProject } from "./parser.js";
+import { normalizeSection } from "./quantities.js";
+
+export const ENGINEERING_RULES_FORMAT = "aps-ocr-controles";
+export const ENGINEERING_RULES_VERSION = 1;
+export const DEFAULT_ENGINEERING_RULES_URL = new URL("./rules/controles-ingenierie.json", import.meta.url);
+
+export const RULE_SEVERITIES = {
+  error: "erreur",
+  warning: "avertissement",
+  info: "information",
+};
+
+// Éléments contrôlés par une règle : chemin dans le projet normalisé (“project” = le projet entier)
+const SCOPES = {
+  project: null,
+  poste_dp: ["poste_dp"],
+  hta: ["hta", "extensions"],
+  bt_reprises: ["bt", "reprises"],
+  bt_raccordements: ["bt", "raccordements"],
+  pdls: ["pdls"],
+};
+
+// Comparaisons : fausses dès qu’un côté est absent (valeur non mesurable)
+const COMPARISONS = {
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  matches: (a, re) => re.test(String(a)),
+};
+const PRESENCE = {
+  present: v => !isAbsent(v),
+  absent: isAbsent,
+};
+
+// Variables des opérandes ($nom) : ctx = { project, item, index, pdlFor, totalProdKva, kvaFor }
+const VARIABLES = {
+  production_totale_kva: ctx => ctx.totalProdKva,
+  kva_admissible_bt: ctx => ctx.kvaFor(ctx.item.section),
+  section: ctx => normalizeSection(ctx.item.section),
+  rang: ctx => ctx.index + 1,
+  pdl: ctx => ctx.pdlFor(ctx.item.num_affaire),
+  affaire: ctx => ctx.project.affaire,
+};
+
+/* ============================================================
+   Chargement
+============================================================ */
+
+// Lit puis compile un jeu de contrôles : fichier local sous Node, fetch dans le navigateur
+export async function loadEngineeringRules(url = DEFAULT_ENGINEERING_RULES_URL) {
+  let json;
+  if (url.protocol === "file:") {
+    const { readFile } = await import("node:fs/promises");
+    json = JSON.parse(await readFile(url, "utf8"));
+  } else {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Contrôles d’ingénierie introuvables (${res.status}) : ${url}`);
+    json = await res.json();
+  }
+  return compileEngineeringRules(json);
+}
+
+/* ============================================================
+   Compilation
+   Fichier : { format, version, kva_admissibles_bt: { sections }, controles: [rule] }
+   rule : { id, severity, title, scope, field?, when: [{ left, op, right? }], message }
+   Opérande : champ de l’élément (“travaux.type_apres.puissance_kva”), variable (“$pdl.p_prod_kva”)
+   ou valeur ({ value }) ; message : opérandes entre accolades (“{numero}”, “{$rang}”)
+============================================================ */
+
+// Renvoie { rules, kvaTable } prêt pour checkProject ; lève une erreur qui nomme le contrôle fautif
+export function compileEngineeringRules(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (data?.format !== ENGINEERING_RULES_FORMAT) throw new Error("ce fichier n’est pas un jeu de contrôles APS OCR");
+  if (data.version > ENGINEERING_RULES_VERSION) {
+    throw new Error(`contrôles de version ${data.version}, non pris en charge (au plus ${ENGINEERING_RULES_VERSION})`);
+  }
+
+  const kvaTable = Object.entries(data.kva_admissibles_bt?.sections ?? {}).map(([mm2, kva]) => {
+    if (!/^\d+$/.test(mm2) || !Number.isFinite(kva) || kva <= 0) {
+      throw new Error(`kva_admissibles_bt.sections.${mm2} : section (mm²) → puissance (kVA) positive attendue`);
+    }
+    return [Number(mm2), kva];
+  }).sort((a, b) => a[0] - b[0]);
+
+  if (!Array.isArray(data.controles)) throw new Error("controles : liste attendue");
+  const ids = new Set();
+  const rules = data.controles.map((r, i) => {
+    const fail = (what) => { throw new Error(`contrôle ${r?.id ?? `n° ${i + 1}`} : ${what}`); };
+    if (typeof r?.id !== "string" || !r.id) fail("identifiant manquant");
+    if (ids.has(r.id)) fail("identifiant en double");
+    ids.add(r.id);
+    if (!(r.severity in RULE_SEVERITIES)) {
+      fail(`gravité « ${r.severity} » inconnue (attendu : ${Object.keys(RULE_SEVERITIES).join(", ")})`);
+    }
+    if (!(r.scope in SCOPES)) fail(`portée « ${r.scope} » inconnue (attendu : ${Object.keys(SCOPES).join(", ")})`);
+    if (r.field != null && typeof r.field !== "string") fail("champ signalé invalide");
+    if (typeof r.title !== "string" || !r.title) fail("titre manquant");
+    if (typeof r.message !== "string" || !r.message) fail("message manquant");
+    if (!Array.isArray(r.when) || !r.when.length) fail("au moins une condition attendue");
+
+    const when = r.when.map((c, j) => {
+      if (c?.op in PRESENCE) return { test: PRESENCE[c.op], left: operand(c.left, fail) };
+      if (!(c?.op in COMPARISONS)) {
+        fail(`condition n° ${j + 1} : opérateur « ${c?.op} » inconnu (attendu : ${
+          [...Object.keys(COMPARISONS), ...Object.keys(PRESENCE)].join(", ")})`);
+      }
+      const left = operand(c.left, fail);
+      const right = operand(c.right, fail);
+      if (c.op === "matches") {
+        if (right.get) fail(`condition n° ${j + 1} : « matches » attend une expression ({ "value": … })`);
+        try {
+          right.value = new RegExp(right.value, "i");
+        } catch (err) {
+          fail(`condition n° ${j + 1} : expression invalide (${err.message})`);
+        }
+      }
+      return { compare: COMPARISONS[c.op], left, right };
+    });
+    const parts = r.message.split(/\{([^{}]+)\}/).map((part, k) => (k % 2 ? operand(part, fail) : part));
+
+    return { id: r.id, severity: r.severity, title: r.title, scope: r.scope, field: r.field ?? null, when, parts };
+  });
+  return { rules, kvaTable };
+}
+
+// { get(ctx) } pour un champ ou une variable, { value } pour une valeur
+function operand(spec, fail) {
+  if (spec && typeof spec === "object" && "value" in spec) return { value: spec.value };
+  if (spec == null) return fail("opérande manquant");
+  if (typeof spec !== "string" || !spec.trim()) return fail(`opérande ${JSON.stringify(spec)} invalide`);
+  const [head, ...rest] = spec.trim().split(".");
+  if (!head.startsWith("$")) return { get: ctx => pathValue(ctx.item, [head, ...rest]) };
+  const variable = VARIABLES[head.slice(1)];
+  if (!variable) fail(`variable « ${head} » inconnue (attendu : ${Object.keys(VARIABLES).map(v => `$${v}`).join(", ")})`);
+  return { get: ctx => pathValue(variable(ctx), rest) };
+}
+
+function pathValue(node, keys) {
+  return keys.reduce((v, k) => v?.[k], node);
+}
+
+function isAbsent(v) {
+  return v == null || v === "";
+}
+
+/* ============================================================
+   Moteur
+============================================================ */
+
+// Renvoie [{ rule, severity, title, message, path, page }] (erreurs d’abord) ;
+// path au format du validateur (“$.pdls[0].prm”), pour les afficher dans le formulaire de relecture ;
+// checks : le résultat de compileEngineeringRules (ou de loadEngineeringRules)
+export function checkProject(project, checks) {
+  if (!checks) throw new Error("checkProject : aucun jeu de contrôles (cf. loadEngineeringRules)");
+  const { rules, kvaTable } = checks;
+  const p = shapeProject(structuredClone(project ?? {}), "normalized");
+  const prod = p.pdls.map(x => x.p_prod_kva).filter(v => v != null);
+  const base = {
+    project: p,
+    pdlFor: (rac) => (rac ? p.pdls.find(x => x.num_affaire === rac) ?? null : null),
+    totalProdKva: prod.length ? prod.reduce((a, b) => a + b, 0) : null,
+    kvaFor: (section) => maxKvaFor(kvaTable, phaseSection(section)),
+  };
+  const valueOf = (op, ctx) => (op.get ? op.get(ctx) : op.value);
+
+  const out = [];
+  for (const rule of rules) {
+    const path = SCOPES[rule.scope];
+    const items = path ? path.reduce((node, k) => node?.[k], p) ?? [] : [p];
+    items.forEach((item, index) => {
+      const ctx = { ...base, item, index };
+      const hit = rule.when.every((c) => {
+        const left = valueOf(c.left, ctx);
+        if (c.test) return c.test(left);
+        const right = valueOf(c.right, ctx);
+        return !isAbsent(left) && !isAbsent(right) && c.compare(left, right);
+      });
+      if (!hit) return;
+      const at = path ? `$.${path.join(".")}[${index}]` : "$";
+      out.push({
+        rule: rule.id,
+        severity: rule.severity,
+        title: rule.title,
+        message: rule.parts.map(part => (typeof part === "string" ? part : valueOf(part, ctx) ?? "?")).join(""),
+        path: rule.field ? `${at}.${rule.field}` : at,
+        page: item.page ?? item.travaux?.page ?? null,
+      });
+    });
+  }
+  const order = Object.keys(RULE_SEVERITIES);
+  return out.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+}
+
+// « 3x95 mm2 + 1x50 mm2 AL » → 95
+function phaseSection(section) {
+  const m = /^\s*[34]\s*x\s*(\d+)/.exec(normalizeSection(section) ?? "");
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// Section absente du tableau : celle, plus petite, qui la précède (prudent)
+function maxKvaFor(table, mm2) {
+  if (mm2 == null) return null;
+  const known = table.filter(([s]) => s <= mm2);
+  return known.length ? known[known.length - 1][1] : null;
+}
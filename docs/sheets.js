@@ -0,0 +1,259 @@
+// sheets.js
+// Exports tableur : le projet (JSON imbriqué) aplati en tableaux, un par nature d’élément (résumé
+// affaire / postes, segments HTA, reprises BT, raccordements BT, PDL), chaque ligne portant le
+// N° RAC et le fichier source. Plusieurs plans (lot) vont dans les mêmes tableaux. Sortie en CSV
+// “à la française” ou en classeur .xlsx (SpreadsheetML écrit dans un ZIP JSZip fourni par l’appelant).
+// Module pur (aucune dépendance au DOM).
+
+import { shapeProject } from "./parser.js";
+
+/* ============================================================
+   Tableaux
+   column : [en-tête, (élément, projet normalisé, index, fichier) → valeur] ; valeur : texte, nombre ou null
+============================================================ */
+
+const yesNo = (v) => (v == null ? null : v ? "oui" : "non");
+
+const ACCESSOIRES = [
+  ["Jonctions", x => x.accessoires?.jonctions ?? null],
+  ["Remontées aéro-souterraines", x => x.accessoires?.remontees_aero_souterraines ?? null],
+  ["RAS", x => yesNo(x.accessoires?.ras)],
+];
+
+const PROVENANCE = [
+  ["Page", x => x.page ?? null],
+  ["Confiance", x => x.confidence ?? null],
+];
+
+const sum = (list, get) => list.reduce((n, x) => n + (get(x) ?? 0), 0);
+
+export const SHEETS = [
+  {
+    id: "resume",
+    title: "Résumé",
+    // Une ligne par poste DP (une seule, sans poste, si le plan n’en cite aucun)
+    items: (p) => (p.poste_dp?.length ? p.poste_dp : [{}]),
+    columns: [
+      ["P raccordée (kVA)", (_, p) => p.affaire?.p_kva ?? null],
+      ["Commune de l’affaire", (_, p) => p.affaire?.commune ?? null],
+      ["Poste DP", x => x.numero ?? null],
+      ["INSEE", x => x.insee ?? null],
+      ["Commune", x => x.commune ?? null],
+      ["Département", x => x.departement ?? null],
+      ["Opération", x => x.travaux?.operation_principale ?? null],
+      ["Opération secondaire", x => x.travaux?.operation_secondaire ?? null],
+      ["Type avant", x => x.travaux?.type_avant?.code ?? null],
+      ["P avant (kVA)", x => x.travaux?.type_avant?.puissance_kva ?? null],
+      ["Type après", x => x.travaux?.type_apres?.code ?? null],
+      ["P après (kVA)", x => x.travaux?.type_apres?.puissance_kva ?? null],
+      ["Segments HTA", (_, p) => p.hta.extensions.length],
+      ["Longueur HTA (m)", (_, p) => sum(p.hta.extensions, s => s.longueur_m)],
+      ["Reprises BT", (_, p) => p.bt.reprises.length],
+      ["Raccordements BT", (_, p) => p.bt.raccordements.length],
+      ["PDL", (_, p) => p.pdls?.length ?? 0],
+      ["Avertissements", (_, p) => p.warnings?.length ?? 0],
+    ],
+  },
+  {
+    id: "hta",
+    title: "Segments HTA",
+    items: (p) => p.hta.extensions,
+    columns: [
+      ["N°", (_, __, i) => i + 1],
+      ["Longueur (m)", x => x.longueur_m ?? null],
+      ["Section", x => x.section ?? null],
+      ["Liaison", x => x.liaison ?? null],
+      ...ACCESSOIRES,
+      ...PROVENANCE,
+    ],
+  },
+  {
+    id: "bt_reprises",
+    title: "Reprises BT",
+    items: (p) => p.bt.reprises,
+    columns: [
+      ["N°", (_, __, i) => i + 1],
+      ["Longueur (m)", x => x.longueur_m ?? null],
+      ["Section", x => x.section ?? null],
+      ["Protection (A)", x => x.protection_a ?? null],
+      ["Liaison", x => x.liaison ?? null],
+      ...ACCESSOIRES,
+      ...PROVENANCE,
+    ],
+  },
+  {
+    id: "raccordements",
+    title: "Raccordements BT",
+    items: (p) => p.bt.raccordements,
+    columns: [
+      ["Affaire du PDL", x => x.num_affaire ?? null],
+      ["Type", x => x.type_raccordement ?? null],
+      ["Section", x => x.section ?? null],
+      ["Longueur (m)", x => x.longueur_m ?? null],
+      ...ACCESSOIRES,
+      ...PROVENANCE,
+    ],
+  },
+  {
+    id: "pdls",
+    title: "PDL",
+    items: (p) => p.pdls ?? [],
+    columns: [
+      ["Affaire du PDL", x => x.num_affaire ?? null],
+      ["Nom du dossier", x => x.nom_dossier ?? null],
+      ["Mode", x => x.mode ?? null],
+      ["P production (kVA)", x => x.p_prod_kva ?? null],
+      ["P consommation (kVA)", x => x.p_conso_kva ?? null],
+      ["PRM", x => x.prm ?? null],
+      ["Raccordement", x => x.type_raccordement ?? null],
+      ...PROVENANCE,
+    ],
+  },
+];
+
+// Colonnes communes en tête de chaque ligne
+const KEY_COLUMNS = [
+  ["Fichier", (_, __, ___, fileName) => fileName],
+  ["N° RAC", (_, p) => p.affaire?.num ?? null],
+];
+
+// plans : [{ fileName, project }] (forme legacy ou normalisée, version relue de préférence).
+// Renvoie [{ id, title, header, rows }] dans l’ordre de SHEETS, même vides.
+export function buildSheets(plans) {
+  return SHEETS.map(sheet => {
+    const columns = [...KEY_COLUMNS, ...sheet.columns];
+    const rows = [];
+    for (const { fileName, project } of plans) {
+      const p = shapeProject(structuredClone(project ?? {}), "normalized");
+      sheet.items(p).forEach((item, i) => {
+        rows.push(columns.map(([, get]) => get(item, p, i, fileName) ?? null));
+      });
+    }
+    return { id: sheet.id, title: sheet.title, header: columns.map(([h]) => h), rows };
+  });
+}
+
+/* ============================================================
+   CSV
+============================================================ */
+
+// CSV “à la française” (séparateur point-virgule, virgule décimale, BOM pour Excel)
+export function csvText(header, rows) {
+  const cell = (v) => {
+    if (v == null) return "";
+    const s = typeof v === "number" ? String(v).replace(".", ",") : String(v);
+    return /[;"\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [header, ...rows].map(r => r.map(cell).join(";"));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+/* ============================================================
+   Classeur .xlsx (Office Open XML minimal : une feuille par tableau,
+   textes en ligne, ligne d’en-tête en gras, figée et filtrable)
+============================================================ */
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS_PKG_REL = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// Ajoute les parties du classeur dans zip (instance JSZip vide) ; l’appelant génère le fichier
+export function buildXlsx(zip, sheets) {
+  const names = sheetNames(sheets.map(s => s.title));
+
+  zip.file("[Content_Types].xml", XML_HEAD
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" `
+      + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join("")
+    + "</Types>");
+
+  zip.file("_rels/.rels", XML_HEAD
+    + `<Relationships xmlns="${NS_PKG_REL}">`
+    + `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>`
+    + "</Relationships>");
+
+  zip.file("xl/workbook.xml", XML_HEAD
+    + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>`
+    + names.map((n, i) => `<sheet name="${escapeXml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")
+    + "</sheets></workbook>");
+
+  zip.file("xl/_rels/workbook.xml.rels", XML_HEAD
+    + `<Relationships xmlns="${NS_PKG_REL}">`
+    + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")
+    + `<Relationship Id="rId${sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>`
+    + "</Relationships>");
+
+  // Style 0 : normal ; style 1 : en-tête en gras
+  zip.file("xl/styles.xml", XML_HEAD
+    + `<styleSheet xmlns="${NS_MAIN}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + "</styleSheet>");
+
+  sheets.forEach((sheet, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, worksheetXml(sheet)));
+  return zip;
+}
+
+function worksheetXml({ header, rows }) {
+  const all = [header, ...rows];
+  const widths = header.map((_, c) => Math.min(60, Math.max(8, ...all.map(r => String(r[c] ?? "").length + 2))));
+  const last = `${columnName(header.length - 1)}${all.length}`;
+  return XML_HEAD
+    + `<worksheet xmlns="${NS_MAIN}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + "<cols>" + widths.map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${w}" customWidth="1"/>`).join("") + "</cols>"
+    + "<sheetData>"
+    + all.map((row, r) => `<row r="${r + 1}">`
+      + row.map((v, c) => cellXml(v, `${columnName(c)}${r + 1}`, r === 0 ? 1 : 0)).join("")
+      + "</row>").join("")
+    + "</sheetData>"
+    + `<autoFilter ref="A1:${last}"/>`
+    + "</worksheet>";
+}
+
+function cellXml(value, ref, style) {
+  const s = style ? ` s="${style}"` : "";
+  if (value == null || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// 0 → A, 25 → Z, 26 → AA
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Noms de feuille Excel : 31 caractères au plus, sans []:*?/\ , uniques
+function sheetNames(titles) {
+  const used = new Set();
+  return titles.map(t => {
+    const base = t.replace(/[\[\]:*?\/\\]/g, " ").slice(0, 31) || "Feuille";
+    let name = base;
+    for (let k = 2; used.has(name.toLowerCase()); k++) name = `${base.slice(0, 28)} ${k}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Caractères de contrôle interdits en XML 1.0 (bruit OCR)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
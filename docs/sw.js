@@ -0,0 +1,139 @@
+// sw.js
+// Service worker du mode hors ligne : à l’installation, met en cache l’application et les
+// bibliothèques vendorées listées dans offline.json (Tesseract, données « fra », PDF.js, JSZip,
+// FileSaver) ; ensuite, toute requête vers une autre origine est bloquée et signalée à la page.
+// Script classique (pas de module) : les service workers en module ne sont pas pris en charge partout.
+
+// À incrémenter quand offline.json ou un fichier vendoré change : le navigateur ne réinstalle le
+// service worker (et ne refait le pré-cache) que si ce fichier-ci change. L’application elle-même est
+// servie réseau d’abord, ses mises à jour n’ont pas besoin de ce numéro.
+const CACHE_PREFIX = "aps-ocr.offline";
+const CACHE_NAME = `${CACHE_PREFIX}.v6`;
+const MANIFEST_URL = new URL("offline.json", self.registration.scope).href;
+
+let manifestPromise = null;
+
+/* -------------------------
+   Liste des fichiers (offline.json)
+-------------------------- */
+
+function loadManifest() {
+  manifestPromise ??= fetch(MANIFEST_URL, { cache: "no-store" })
+    .then(res => (res.ok ? res.json() : Promise.reject(new Error(`offline.json : HTTP ${res.status}`))))
+    .catch(async (err) => {
+      // Hors ligne : la copie mise en cache à l’installation
+      const cached = await caches.match(MANIFEST_URL);
+      if (!cached) throw err;
+      return cached.json();
+    });
+  return manifestPromise;
+}
+
+function toUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+function requiredUrls(manifest) {
+  return [...manifest.shell, ...Object.keys(manifest.vendor)].map(toUrl);
+}
+
+/* -------------------------
+   Installation / activation
+-------------------------- */
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const manifest = await loadManifest();
+    const cache = await caches.open(CACHE_NAME);
+    await cache.add(MANIFEST_URL);
+    await cache.addAll(requiredUrls(manifest));
+    // Facultatifs (liste “optional”) : absents = pas d’erreur
+    await Promise.all(manifest.optional.map(p => cache.add(toUrl(p)).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+/* -------------------------
+   Requêtes
+   Application : réseau d’abord (mises à jour), cache sinon ; bibliothèques vendorées et données :
+   cache d’abord (fichiers lourds, versionnés par leur chemin). Autre origine : bloquée.
+-------------------------- */
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.protocol === "data:" || url.protocol === "blob:") return;
+
+  if (url.origin !== self.location.origin) {
+    event.respondWith(blockRequest(request, event.clientId));
+    return;
+  }
+  if (request.method !== "GET") return;
+
+  const heavy = url.href.startsWith(toUrl("vendor/")) || url.href.startsWith(toUrl("data/"));
+  event.respondWith(heavy ? cacheFirst(request) : networkFirst(request));
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) await putInCache(request, res.clone());
+  return res;
+}
+
+async function networkFirst(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) await putInCache(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function putInCache(request, res) {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(request, res);
+}
+
+async function blockRequest(request, clientId) {
+  const clients = clientId ? [await self.clients.get(clientId)] : await self.clients.matchAll();
+  for (const client of clients) client?.postMessage({ type: "blocked", url: request.url });
+  return Response.error();
+}
+
+/* -------------------------
+   État pour l’indicateur de la page : { type: "status", ready, missing, total }
+-------------------------- */
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "status") return;
+  event.waitUntil((async () => {
+    let reply;
+    try {
+      const manifest = await loadManifest();
+      const cache = await caches.open(CACHE_NAME);
+      const urls = requiredUrls(manifest);
+      const missing = [];
+      for (const url of urls) {
+        if (!await cache.match(url, { ignoreSearch: true })) missing.push(url);
+      }
+      reply = { type: "status", ready: !missing.length, missing, total: urls.length };
+    } catch (err) {
+      reply = { type: "status", ready: false, missing: [], total: 0, error: String(err.message ?? err) };
+    }
+    event.ports[0]?.postMessage(reply);
+  })());
+});
@@ -0,0 +1,200 @@
+// topology.js
+// Modèle de réseau (graphe) construit à partir du projet parsé (parseOcrTextToProject) :
+//   poste source → extensions HTA → poste DP → reprises BT → raccordements BT → PDL.
+// Chaque arête porte sa section de câble, sa longueur et ses accessoires ; les contrôles signalent
+// notamment les producteurs (PDL) qui ne sont reliés à aucun poste.
+// Module pur (aucune dépendance au DOM) : utilisé par l’interface (schéma unifilaire) et la ligne de commande.
+
+export const TOPOLOGY_VERSION = "1.0.0";
+
+/* ============================================================
+   Accès aux sections (formes « legacy » et « normalized »)
+============================================================ */
+
+function listOf(section, keySingular, keyPlural) {
+  if (!section) return [];
+  if (Array.isArray(section[keyPlural])) return section[keyPlural];
+  return section[keySingular] ? [section[keySingular]] : [];
+}
+
+// Poste alimenté par les extensions HTA : création en priorité, sinon le premier poste avec travaux,
+// sinon le premier poste cité.
+function mainPoste(postes) {
+  return postes.find(p => p.travaux?.operation_principale === "creation")
+    ?? postes.find(p => p.travaux)
+    ?? postes[0]
+    ?? null;
+}
+
+/* ============================================================
+   Construction
+============================================================ */
+
+// Renvoie { topology_version, affaire, nodes, edges, checks }
+// - nodes : [{ id, type, label, ... }]
+//   type : "poste_source" | "jonction" | "poste_dp" | "reseau_bt" | "pdl" | "extremite"
+// - edges : [{ id, from, to, kind, section, longueur_m, accessoires, page, confidence }]
+//   kind : "hta_extension" | "hta_existant" | "bt_reprise" | "bt_existant" | "bt_raccordement"
+//   (section / longueur / accessoires à null : liaison citée sans câble décrit)
+// - checks : [{ code, message, node }]
+export function buildTopology(project) {
+  const nodes = [];
+  const edges = [];
+  const checks = [];
+
+  const addNode = (node) => {
+    nodes.push(node);
+    return node.id;
+  };
+  const addEdge = (from, to, kind, seg = null) => {
+    edges.push({
+      id: `e${edges.length + 1}`,
+      from,
+      to,
+      kind,
+      section: seg?.section ?? null,
+      longueur_m: seg?.longueur_m ?? null,
+      accessoires: seg?.accessoires ?? null,
+      page: seg?.page ?? null,
+      confidence: seg?.confidence ?? null,
+    });
+  };
+
+  const source = addNode({ id: "poste_source", type: "poste_source", label: "Poste source" });
+
+  // Postes DP (un même numéro peut porter plusieurs opérations : un seul nœud)
+  const postes = project?.poste_dp ?? [];
+  const posteIds = new Map();
+  postes.forEach((p, i) => {
+    const key = p.numero ?? `?${i}`;
+    if (posteIds.has(key)) return;
+    posteIds.set(key, addNode({
+      id: `poste:${key}`,
+      type: "poste_dp",
+      label: p.numero ? `Poste DP ${p.numero}` : "Poste DP (numéro non lu)",
+      numero: p.numero ?? null,
+      operations: postes.filter(x => x === p || (p.numero && x.numero === p.numero))
+        .map(x => x.travaux?.operation_principale)
+        .filter(Boolean),
+    }));
+  });
+  const main = mainPoste(postes);
+  let mainId = main ? posteIds.get(main.numero ?? `?${postes.indexOf(main)}`) : null;
+
+  const htaSegments = listOf(project?.hta, "extension", "extensions");
+  const reprises = listOf(project?.bt, "reprise", "reprises");
+  const raccordements = listOf(project?.bt, "raccordement", "raccordements");
+  const pdls = project?.pdls ?? [];
+
+  // Travaux décrits sans numéro de poste lisible : poste “inconnu” pour garder le réseau d’un seul tenant
+  if (!mainId && (htaSegments.length || reprises.length || raccordements.length || pdls.length)) {
+    mainId = addNode({ id: "poste:?", type: "poste_dp", label: "Poste DP (non identifié)", numero: null, operations: [] });
+    posteIds.set("?", mainId);
+    checks.push({ code: "poste_non_identifie", message: "Aucun numéro de poste DP lu sur le plan", node: mainId });
+  }
+
+  // HTA : extensions en série du poste source vers le poste principal
+  let from = source;
+  htaSegments.forEach((seg, i) => {
+    const to = i === htaSegments.length - 1
+      ? mainId
+      : addNode({ id: `jonction_hta:${i + 1}`, type: "jonction", label: `Jonction HTA ${i + 1}` });
+    addEdge(from, to, "hta_extension", seg);
+    from = to;
+  });
+  // Les autres postes (et le principal sans extension) sont sur le réseau HTA existant
+  for (const id of posteIds.values()) {
+    if (!edges.some(e => e.to === id)) addEdge(source, id, "hta_existant");
+  }
+
+  // BT : reprises en série depuis le poste principal, jusqu’au réseau BT
+  let btId = null;
+  if (mainId) {
+    btId = addNode({ id: "reseau_bt", type: "reseau_bt", label: "Réseau BT" });
+    from = mainId;
+    reprises.forEach((seg, i) => {
+      const to = i === reprises.length - 1
+        ? btId
+        : addNode({ id: `jonction_bt:${i + 1}`, type: "jonction", label: `Jonction BT ${i + 1}` });
+      addEdge(from, to, "bt_reprise", seg);
+      from = to;
+    });
+    if (!reprises.length) addEdge(mainId, btId, "bt_existant");
+  }
+
+  // PDL, puis raccordements : départ direct depuis le poste, dérivation depuis le réseau BT
+  const pdlIds = new Map();
+  for (const pdl of pdls) {
+    pdlIds.set(pdl.num_affaire, addNode({
+      id: `pdl:${pdl.num_affaire}`,
+      type: "pdl",
+      label: pdl.nom_dossier ? `${pdl.num_affaire} (${pdl.nom_dossier})` : pdl.num_affaire,
+      num_affaire: pdl.num_affaire,
+      mode: pdl.mode,
+      p_prod_kva: pdl.p_prod_kva,
+      connected: false,
+      poste: null,
+    }));
+  }
+
+  const branchFrom = (type) => (type === "depart_direct" ? mainId : btId);
+  raccordements.forEach((r, i) => {
+    let to = pdlIds.get(r.num_affaire);
+    if (!to) {
+      to = addNode({ id: `extremite:${i + 1}`, type: "extremite", label: "Extrémité non rattachée" });
+      checks.push({ code: "raccordement_non_rattache", message: "Raccordement BT rattaché à aucun PDL", node: to });
+    }
+    addEdge(branchFrom(r.type_raccordement), to, "bt_raccordement", r);
+  });
+
+  // PDL dont le bloc RAC cite un type de raccordement, sans bloc « Raccordement en » : liaison sans câble
+  for (const pdl of pdls) {
+    const id = pdlIds.get(pdl.num_affaire);
+    if (!pdl.type_raccordement || edges.some(e => e.to === id)) continue;
+    addEdge(branchFrom(pdl.type_raccordement), id, "bt_raccordement");
+    checks.push({
+      code: "raccordement_sans_cable",
+      message: `PDL ${pdl.num_affaire} : raccordement cité sans section ni longueur`,
+      node: id,
+    });
+  }
+
+  // Contrôle : chaque PDL doit remonter jusqu’à un poste DP
+  for (const node of nodes) {
+    if (node.type !== "pdl") continue;
+    const poste = upstreamPoste(node.id, nodes, edges);
+    node.connected = poste != null;
+    node.poste = poste?.numero ?? null;
+    if (!node.connected) {
+      checks.push({
+        code: "pdl_non_raccorde",
+        message: `PDL ${node.num_affaire} relié à aucun poste DP`,
+        node: node.id,
+      });
+    }
+  }
+
+  return {
+    topology_version: TOPOLOGY_VERSION,
+    affaire: project?.affaire?.num ?? null,
+    nodes,
+    edges,
+    checks,
+  };
+}
+
+// Premier nœud poste DP trouvé en remontant les arêtes depuis nodeId
+function upstreamPoste(nodeId, nodes, edges) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const seen = new Set();
+  const queue = [nodeId];
+  while (queue.length) {
+    const id = queue.shift();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const node = byId.get(id);
+    if (node?.type === "poste_dp") return node;
+    for (const e of edges) if (e.to === id) queue.push(e.from);
+  }
+  return null;
+}
@@ -0,0 +1,180 @@
+// validator.js
+// Validation d’un projet parsé contre le schéma JSON publié (docs/schema/project.schema.json).
+// On n’embarque pas de bibliothèque : seul le sous-ensemble de JSON Schema utilisé par
+// notre schéma est pris en charge (type, enum, const, properties, required,
+// additionalProperties, items, $ref local, oneOf/anyOf, bornes, pattern).
+
+export const PROJECT_SCHEMA_URL = new URL("./schema/project.schema.json", import.meta.url);
+
+// Navigateur : fetch ; Node : lecture disque (fetch ne sait pas lire file://)
+export async function loadProjectSchema(url = PROJECT_SCHEMA_URL) {
+  if (url.protocol === "file:") {
+    const { readFile } = await import("node:fs/promises");
+    return JSON.parse(await readFile(url, "utf8"));
+  }
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Schéma introuvable (${res.status}) : ${url}`);
+  return await res.json();
+}
+
+// Renvoie la liste des erreurs : [{ path, message }] (vide si le projet est valide)
+export function validateProject(project, schema) {
+  const errors = [];
+  validateNode(project, schema, schema, "$", errors);
+  return errors;
+}
+
+/* ============================================================
+   Moteur
+============================================================ */
+
+function validateNode(value, node, root, path, errors) {
+  if (node === true || node == null) return;
+  if (node === false) {
+    errors.push({ path, message: "valeur interdite" });
+    return;
+  }
+
+  if (node.$ref) {
+    validateNode(value, resolveRef(root, node.$ref), root, path, errors);
+    return;
+  }
+
+  if ("const" in node && !sameValue(value, node.const)) {
+    errors.push({ path, message: `doit valoir ${JSON.stringify(node.const)}` });
+    return;
+  }
+
+  if (node.enum && !node.enum.some(x => sameValue(value, x))) {
+    errors.push({ path, message: `valeur ${JSON.stringify(value)} hors de ${JSON.stringify(node.enum)}` });
+    return;
+  }
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(t => hasType(value, t))) {
+      errors.push({ path, message: `type attendu ${types.join(" | ")}, obtenu ${typeName(value)}` });
+      return;
+    }
+  }
+
+  if (node.oneOf) {
+    const matching = node.oneOf.filter(sub => isValid(value, sub, root));
+    if (matching.length > 1) {
+      errors.push({ path, message: "correspond à plusieurs variantes (oneOf)" });
+      return;
+    }
+    if (!matching.length) {
+      errors.push(...closestBranchErrors(value, node.oneOf, root, path));
+      return;
+    }
+  }
+
+  if (node.anyOf && !node.anyOf.some(sub => isValid(value, sub, root))) {
+    errors.push({ path, message: "ne correspond à aucune variante (anyOf)" });
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (node.minLength != null && value.length < node.minLength) {
+      errors.push({ path, message: `longueur minimale ${node.minLength}` });
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push({ path, message: `ne respecte pas le motif ${node.pattern}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (node.minimum != null && value < node.minimum) {
+      errors.push({ path, message: `doit être ≥ ${node.minimum}` });
+    }
+    if (node.maximum != null && value > node.maximum) {
+      errors.push({ path, message: `doit être ≤ ${node.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems != null && value.length < node.minItems) {
+      errors.push({ path, message: `au moins ${node.minItems} élément(s)` });
+    }
+    if (node.items) {
+      value.forEach((x, i) => validateNode(x, node.items, root, `${path}[${i}]`, errors));
+    }
+    return;
+  }
+
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    const props = node.properties ?? {};
+
+    for (const k of node.required ?? []) {
+      if (!(k in value)) errors.push({ path, message: `propriété requise manquante : ${k}` });
+    }
+    if (node.minProperties != null && keys.length < node.minProperties) {
+      errors.push({ path, message: `au moins ${node.minProperties} propriété(s)` });
+    }
+    if (node.maxProperties != null && keys.length > node.maxProperties) {
+      errors.push({ path, message: `au plus ${node.maxProperties} propriété(s)` });
+    }
+
+    for (const k of keys) {
+      const sub = k in props ? props[k] : node.additionalProperties;
+      if (sub === false && !(k in props)) {
+        errors.push({ path, message: `propriété inattendue : ${k}` });
+        continue;
+      }
+      if (sub !== undefined) validateNode(value[k], sub, root, `${path}.${k}`, errors);
+    }
+  }
+}
+
+// Erreurs de la variante la plus “proche” (celle qui en produit le moins)
+function closestBranchErrors(value, branches, root, path) {
+  let best = null;
+  for (const sub of branches) {
+    const errs = [];
+    validateNode(value, sub, root, path, errs);
+    if (!best || errs.length < best.length) best = errs;
+  }
+  return best ?? [];
+}
+
+function isValid(value, node, root) {
+  const errs = [];
+  validateNode(value, node, root, "$", errs);
+  return errs.length === 0;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`$ref non pris en charge : ${ref}`);
+  const target = ref
+    .slice(2)
+    .split("/")
+    .reduce((node, k) => node?.[k.replace(/~1/g, "/").replace(/~0/g, "~")], root);
+  if (target === undefined) throw new Error(`$ref introuvable : ${ref}`);
+  return target;
+}
+
+function hasType(value, t) {
+  switch (t) {
+    case "null": return value === null;
+    case "boolean": return typeof value === "boolean";
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "string": return typeof value === "string";
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+function typeName(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// run-golden.mjs
+// Tests de non-régression du parseur par “fichiers de référence” (golden files) :
+// chaque fixtures/<nom>.ocr.txt (texte OCR anonymisé) est parsé et comparé, champ par champ,
+// à fixtures/<nom>.expected.json ; le modèle de réseau (docs/topology.js) qui en découle est comparé
+// à fixtures/<nom>.topology.json, et les contrôles d’ingénierie (docs/rules.js) à fixtures/<nom>.checks.json.
+// Un fixtures/<nom>.rules.json facultatif donne le profil de règles d’extraction du cas
+// (docs/parserrules.js) ; sinon, le profil par défaut. Avec un fixtures/<nom>.prices.json (table de prix
+// unitaires), le métré et l’estimation (docs/quantities.js) sont comparés à fixtures/<nom>.estimate.json. Les communes des postes et de l’affaire viennent
+// du référentiel livré avec la page (docs/data/communes.json).
+//
+//   node tests/parser/run-golden.mjs                   → lance tous les cas
+//   node tests/parser/run-golden.mjs <nom>...          → seulement ces cas
+//   node tests/parser/run-golden.mjs --bless <nom>...  → réécrit la référence (changement voulu)
+//   node tests/parser/run-golden.mjs --bless --all     → réécrit toutes les références
+//
+// “Bénir” (bless) une fixture = accepter la sortie actuelle comme nouvelle référence :
+// relire le diff git du .expected.json avant de committer.
+
+import { readFile, readdir, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import { createCommuneReferential } from "../../docs/communes.js";
+import { parseOcrTextToProject } from "../../docs/parser.js";
+import { loadDefaultParserRules, parseRulesProfile } from "../../docs/parserrules.js";
+import { computeQuantities, parsePriceTable, priceEstimate } from "../../docs/quantities.js";
+import { checkProject, loadEngineeringRules } from "../../docs/rules.js";
+import { buildTopology } from "../../docs/topology.js";
+import { loadProjectSchema, validateProject } from "../../docs/validator.js";
+
+const FIXTURES_DIR = new URL("./fixtures/", import.meta.url);
+const COMMUNES_FILE = new URL("../../docs/data/communes.json", import.meta.url);
+const INPUT_SUFFIX = ".ocr.txt";
+const EXPECTED_SUFFIX = ".expected.json";
+const TOPOLOGY_SUFFIX = ".topology.json";
+const RULES_SUFFIX = ".rules.json";
+const CHECKS_SUFFIX = ".checks.json";
+const PRICES_SUFFIX = ".prices.json";
+const ESTIMATE_SUFFIX = ".estimate.json";
+
+// Au-delà, on tronque la liste des différences d’un cas (le reste est compté)
+const MAX_DIFFS_SHOWN = 25;
+
+/* -------------------------
+   Comparaison champ par champ
+-------------------------- */
+
+const ABSENT = Symbol("absent");
+
+// Renvoie [{ path, expected, actual }] ; ABSENT = clé présente d’un seul côté
+function diffValues(expected, actual, path = "$", out = []) {
+  if (Object.is(expected, actual)) return out;
+
+  const bothObjects = expected && actual && typeof expected === "object" && typeof actual === "object";
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    out.push({ path, expected, actual });
+    return out;
+  }
+
+  if (Array.isArray(expected)) {
+    const n = Math.max(expected.length, actual.length);
+    for (let i = 0; i < n; i++) {
+      if (i >= expected.length) out.push({ path: `${path}[${i}]`, expected: ABSENT, actual: actual[i] });
+      else if (i >= actual.length) out.push({ path: `${path}[${i}]`, expected: expected[i], actual: ABSENT });
+      else diffValues(expected[i], actual[i], `${path}[${i}]`, out);
+    }
+    return out;
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const k of keys) {
+    const p = `${path}.${k}`;
+    if (!(k in actual)) out.push({ path: p, expected: expected[k], actual: ABSENT });
+    else if (!(k in expected)) out.push({ path: p, expected: ABSENT, actual: actual[k] });
+    else diffValues(expected[k], actual[k], p, out);
+  }
+  return out;
+}
+
+function show(v) {
+  if (v === ABSENT) return "(absent)";
+  const s = JSON.stringify(v);
+  return s.length > 120 ? s.slice(0, 117) + "..." : s;
+}
+
+/* -------------------------
+   Fixtures
+-------------------------- */
+
+async function listFixtures() {
+  const files = await readdir(FIXTURES_DIR);
+  return files
+    .filter(f => f.endsWith(INPUT_SUFFIX))
+    .map(f => f.slice(0, -INPUT_SUFFIX.length))
+    .sort();
+}
+
+async function runFixture(name, communes, defaultRules) {
+  const text = await readFile(new URL(name + INPUT_SUFFIX, FIXTURES_DIR), "utf8");
+  const rules = await readExpected(name, RULES_SUFFIX);
+  return parseOcrTextToProject(text, { communes, rules: rules ? parseRulesProfile(rules, defaultRules) : defaultRules });
+}
+
+// Métré et estimation du cas aux prix de <nom>.prices.json ; undefined sans table de prix
+async function runEstimate(name, project) {
+  const prices = await readExpected(name, PRICES_SUFFIX);
+  if (prices === undefined) return undefined;
+  const quantities = computeQuantities(project);
+  return { ...priceEstimate(quantities, parsePriceTable(prices)), warnings: quantities.warnings };
+}
+
+async function readExpected(name, suffix) {
+  try {
+    return JSON.parse(await readFile(new URL(name + suffix, FIXTURES_DIR), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return undefined;
+    throw err;
+  }
+}
+
+async function bless(name, suffix, actual) {
+  await writeFile(new URL(name + suffix, FIXTURES_DIR), JSON.stringify(actual, null, 2) + "\n");
+}
+
+/* -------------------------
+   Main
+-------------------------- */
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      bless: { type: "boolean", default: false },
+      all: { type: "boolean", default: false },
+    },
+  });
+
+  const available = await listFixtures();
+  const unknown = positionals.filter(n => !available.includes(n));
+  if (unknown.length) {
+    console.error(`Fixture(s) inconnue(s) : ${unknown.join(", ")}`);
+    return 2;
+  }
+  if (values.bless && !positionals.length && !values.all) {
+    console.error("--bless demande un nom de fixture (ou --all).");
+    return 2;
+  }
+
+  const names = positionals.length ? positionals : available;
+  const schema = await loadProjectSchema();
+  const communes = createCommuneReferential(await readFile(COMMUNES_FILE, "utf8"));
+  const defaultRules = await loadDefaultParserRules();
+  const engineeringRules = await loadEngineeringRules();
+  let failed = 0;
+
+  for (const name of names) {
+    const actual = await runFixture(name, communes, defaultRules);
+
+    const schemaErrors = validateProject(actual, schema);
+    if (schemaErrors.length) {
+      failed++;
+      console.log(`✗ ${name} : sortie non conforme au schéma`);
+      for (const e of schemaErrors) console.log(`    ${e.path} : ${e.message}`);
+      continue;
+    }
+
+    const topology = buildTopology(actual);
+    const checks = checkProject(actual, engineeringRules);
+    const estimate = await runEstimate(name, actual);
+
+    if (values.bless) {
+      await bless(name, EXPECTED_SUFFIX, actual);
+      await bless(name, TOPOLOGY_SUFFIX, topology);
+      await bless(name, CHECKS_SUFFIX, checks);
+      if (estimate) await bless(name, ESTIMATE_SUFFIX, estimate);
+      console.log(`✎ ${name} : référence réécrite`);
+      continue;
+    }
+
+    const expected = await readExpected(name, EXPECTED_SUFFIX);
+    const expectedTopology = await readExpected(name, TOPOLOGY_SUFFIX);
+    const expectedChecks = await readExpected(name, CHECKS_SUFFIX);
+    const expectedEstimate = estimate && await readExpected(name, ESTIMATE_SUFFIX);
+    const missing = expected === undefined ? EXPECTED_SUFFIX
+      : expectedTopology === undefined ? TOPOLOGY_SUFFIX
+        : expectedChecks === undefined ? CHECKS_SUFFIX
+          : estimate && expectedEstimate === undefined ? ESTIMATE_SUFFIX : null;
+    if (missing) {
+      failed++;
+      console.log(`✗ ${name} : pas de ${name}${missing} (lancer --bless ${name})`);
+      continue;
+    }
+
+    const diffs = [
+      ...diffValues(expected, actual),
+      ...diffValues(expectedTopology, topology, "topologie"),
+      ...diffValues(expectedChecks, checks, "contrôles"),
+      ...(estimate ? diffValues(expectedEstimate, estimate, "estimation") : []),
+    ];
+    if (!diffs.length) {
+      console.log(`✓ ${name}`);
+      continue;
+    }
+
+    failed++;
+    console.log(`✗ ${name} : ${diffs.length} différence(s)`);
+    for (const d of diffs.slice(0, MAX_DIFFS_SHOWN)) {
+      console.log(`    ${d.path}`);
+      console.log(`      attendu : ${show(d.expected)}`);
+      console.log(`      obtenu  : ${show(d.actual)}`);
+    }
+    if (diffs.length > MAX_DIFFS_SHOWN) console.log(`    … et ${diffs.length - MAX_DIFFS_SHOWN} autre(s)`);
+  }
+
+  console.log(`\n${names.length - failed}/${names.length} cas OK`);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(err);
+    process.exitCode = 2;
+  }
+);
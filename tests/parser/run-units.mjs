@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+// run-units.mjs
+// Tests ciblés des modules purs qui ne passent pas par les références de run-golden.mjs (report de la
+// relecture au re-parsing, projets des versions antérieures du schéma, file de traitement par lots, pool
+// de workers OCR, tableurs, bibliothèque, codes INSEE voisins, pré-traitement d’image, liste des
+// fichiers du mode hors ligne). Chaque cas est une fonction qui lève une erreur (node:assert) à la
+// première différence ; les textes OCR d’entrée sont ceux de fixtures/, les projets enregistrés par
+// d’anciennes versions du parseur ceux de fixtures/versions-anterieures/.
+//
+//   node tests/parser/run-units.mjs          → lance tous les cas
+//   node tests/parser/run-units.mjs <nom>... → seulement ces cas
+
+import assert from "node:assert/strict";
+import { readFile, readdir } from "node:fs/promises";
+import { join, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  baseNameOf,
+  createBatchEntry,
+  isPdfFile,
+  sameFile,
+  summarizeProject,
+  summaryCsv,
+  summaryRow,
+  uniqueNames,
+} from "../../docs/batch.js";
+import { createCommuneReferential, nearestInseeCodes } from "../../docs/communes.js";
+import {
+  libraryKeys,
+  makeArchive,
+  makeLibraryRecord,
+  newLibraryId,
+  parseArchive,
+  searchLibrary,
+} from "../../docs/library.js";
+import { createWorkerPool, isCancelled } from "../../docs/ocrpool.js";
+import { SCHEMA_VERSION, migrateProject, parseOcrTextToProject, shapeProject } from "../../docs/parser.js";
+import { loadDefaultParserRules } from "../../docs/parserrules.js";
+import { estimateRemainingMs, formatDuration } from "../../docs/pipeline.js";
+import {
+  despeckle,
+  estimateSkew,
+  otsuThreshold,
+  preprocessImage,
+  removeLongLines,
+  rotate,
+} from "../../docs/preprocess.js";
+import {
+  REVIEW_SECTIONS,
+  addItem,
+  applyCorrections,
+  createReview,
+  removeItem,
+  restoreReview,
+  reviewedProject,
+  sectionItems,
+  setField,
+} from "../../docs/review.js";
+import { buildSheets, buildXlsx, csvText } from "../../docs/sheets.js";
+import { loadProjectSchema, validateProject } from "../../docs/validator.js";
+
+const FIXTURES_DIR = new URL("./fixtures/", import.meta.url);
+const DOCS_DIR = new URL("../../docs/", import.meta.url);
+
+const CASES = new Map();
+
+function test(name, fn) {
+  CASES.set(name, fn);
+}
+
+async function fixtureText(name) {
+  return readFile(new URL(`${name}.ocr.txt`, FIXTURES_DIR), "utf8");
+}
+
+async function parsedFixture(name) {
+  const rules = await loadDefaultParserRules();
+  return parseOcrTextToProject(await fixtureText(name), { rules });
+}
+
+/* -------------------------
+   review.js : report de la relecture au re-parsing
+-------------------------- */
+
+const section = id => REVIEW_SECTIONS.find(s => s.id === id);
+const numeros = review => sectionItems(review, section("poste_dp")).map(p => p.numero);
+
+async function reviewOf(text) {
+  const rules = await loadDefaultParserRules();
+  return createReview(parseOcrTextToProject(text, { shape: "normalized", rules }));
+}
+
+test("relecture-insertion-avant-l-element", async () => {
+  const before = await fixtureText("creation-et-adaptation-deux-postes");
+  const previous = await reviewOf(before);
+  setField(sectionItems(previous, section("poste_dp"))[2], "commune", "Relue");
+
+  const after = before.replace("Création du poste DP", "Création du poste DP 33063P0200\nde type PRCS\nCréation du poste DP");
+  const review = await reviewOf(after);
+  assert.deepEqual(numeros(review), ["33063P0099", "33063P0200", "33063P0102", "33063P0045"]);
+  assert.equal(applyCorrections(review, previous, { before, after }), 0);
+  assert.deepEqual(sectionItems(review, section("poste_dp")).map(p => p.commune), [null, null, null, "Relue"]);
+});
+
+test("relecture-suppression-et-ajout-manuel", async () => {
+  const text = await fixtureText("creation-et-adaptation-deux-postes");
+  const previous = await reviewOf(text);
+  removeItem(previous, section("poste_dp"), 0);
+  addItem(previous, section("pdls"));
+  setField(sectionItems(previous, section("pdls")).at(-1), "nom_dossier", "Ajout");
+
+  const review = await reviewOf(text);
+  assert.equal(applyCorrections(review, previous, { before: text, after: text }), 0);
+  assert.deepEqual(numeros(review), ["33063P0102", "33063P0045"]);
+  assert.equal(sectionItems(review, section("pdls")).at(-1).nom_dossier, "Ajout");
+});
+
+test("relecture-numero-corrige-dans-le-texte", async () => {
+  const before = await fixtureText("creation-et-adaptation-deux-postes");
+  const previous = await reviewOf(before);
+  setField(sectionItems(previous, section("poste_dp"))[2], "commune", "Relue");
+
+  const after = before.replace("33063P0045", "33063P0046");
+  const review = await reviewOf(after);
+  assert.equal(applyCorrections(review, previous, { before, after }), 0);
+  assert.deepEqual(sectionItems(review, section("poste_dp")).map(p => [p.numero, p.commune]).at(-1), ["33063P0046", "Relue"]);
+});
+
+test("relecture-element-disparu", async () => {
+  const before = await fixtureText("creation-et-adaptation-deux-postes");
+  const previous = await reviewOf(before);
+  setField(sectionItems(previous, section("poste_dp"))[2], "commune", "Relue");
+
+  const after = before.replace(/Adaptation du poste DP voisin[^]*33063P0045\n/, "");
+  const review = await reviewOf(after);
+  assert.equal(applyCorrections(review, previous, { before, after }), 1);
+  assert.deepEqual(numeros(review), ["33063P0099", "33063P0102"]);
+});
+
+/* -------------------------
+   parser.js : projets enregistrés sous une version antérieure du schéma
+-------------------------- */
+
+const OLD_VERSIONS_DIR = new URL("versions-anterieures/", FIXTURES_DIR);
+
+test("schema-versions-anterieures-migrees", async () => {
+  const schema = await loadProjectSchema();
+  const files = (await readdir(OLD_VERSIONS_DIR)).filter(f => f.endsWith(".json"));
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    const old = JSON.parse(await readFile(new URL(file, OLD_VERSIONS_DIR), "utf8"));
+    const project = migrateProject(old);
+    assert.equal(project.schema_version, SCHEMA_VERSION);
+    assert.deepEqual(validateProject(project, schema), [], file);
+    assert.deepEqual(libraryKeys(project), libraryKeys(await parsedFixture("affaire-groupee-trois-pdl")), file);
+    assert.notEqual(old.schema_version, SCHEMA_VERSION, `${file} : projet d’origine inchangé`);
+  }
+});
+
+test("schema-relecture-enregistree-migree", async () => {
+  const schema = await loadProjectSchema();
+  const old = JSON.parse(await readFile(new URL("affaire-groupee-trois-pdl.2.4.0.json", OLD_VERSIONS_DIR), "utf8"));
+  // Sauvegarde de la relecture telle que reviewSnapshot l’écrivait alors : chaque élément vient de l’extrait
+  const working = shapeProject(structuredClone(old), "normalized");
+  working.pdls[1].nom_dossier = "M. DUPONT JEANNE";
+  const origins = Object.fromEntries(REVIEW_SECTIONS.filter(sec => sec.list)
+    .map(sec => [sec.id, sec.path.reduce((node, k) => node[k], working).map((_, i) => i)]));
+  const review = restoreReview(old, { working, origins });
+
+  const project = reviewedProject(review, "normalized");
+  assert.deepEqual(validateProject(project, schema), []);
+  assert.deepEqual(project.review.corrected, [{ path: "pdls[1].nom_dossier", extracted: "M. DUPONT JEAN", value: "M. DUPONT JEANNE" }]);
+});
+
+test("schema-version-courante-inchangee", async () => {
+  const project = await parsedFixture("affaire-groupee-trois-pdl");
+  assert.equal(migrateProject(project), project);
+  const future = { ...project, schema_version: "9.0.0" };
+  assert.equal(migrateProject(future), future);
+});
+
+/* -------------------------
+   batch.js : file de traitement et récapitulatif du lot
+-------------------------- */
+
+// Ce que la file lit d’un File du navigateur
+const pdfFile = (name, extra = {}) => ({ name, type: "application/pdf", size: 1000, lastModified: 1, ...extra });
+
+test("lot-noms-de-fichiers", () => {
+  assert.equal(baseNameOf("APS poste 12202P0031 (v2).PDF"), "APS_poste_12202P0031_v2_");
+  assert.equal(baseNameOf(" .pdf"), "plan");
+  assert.deepEqual(uniqueNames(["plan", "plan", "autre", "plan"]), ["plan", "plan-2", "autre", "plan-3"]);
+
+  assert.ok(isPdfFile({ name: "scan", type: "application/pdf" }));
+  assert.ok(isPdfFile({ name: "scan.Pdf", type: "" }));
+  assert.ok(!isPdfFile({ name: "scan.png", type: "image/png" }));
+
+  const entry = createBatchEntry(pdfFile("lot/plan.pdf", { webkitRelativePath: "lot/plan.pdf" }), 1);
+  assert.ok(sameFile(entry, pdfFile("lot/plan.pdf")));
+  assert.ok(!sameFile(entry, pdfFile("lot/plan.pdf", { lastModified: 2 })));
+});
+
+test("lot-recapitulatif", async () => {
+  const done = { ...createBatchEntry(pdfFile("a.pdf"), 1), status: "termine" };
+  const failed = { ...createBatchEntry(pdfFile("b; c.pdf"), 2), status: "erreur", error: "PDF illisible" };
+  const summary = summarizeProject(await parsedFixture("creation-et-adaptation-deux-postes"));
+  assert.deepEqual(summary, { rac: "RAC-GHI-05-102030", postes: ["33063P0099", "33063P0102", "33063P0045"], pdls: 1, warnings: 0 });
+
+  assert.equal(summaryCsv([summaryRow(done, summary), summaryRow(failed, null)]),
+    "\uFEFFFichier;Statut;N° RAC;Poste(s) DP;PDL;Avertissements;Erreur\r\n"
+    + "a.pdf;terminé;RAC-GHI-05-102030;33063P0099, 33063P0102, 33063P0045;1;0;\r\n"
+    + "\"b; c.pdf\";erreur;;;;;PDF illisible\r\n");
+});
+
+/* -------------------------
+   ocrpool.js / pipeline.js : pages lues en parallèle, annulation, temps restant
+-------------------------- */
+
+// Faux workers OCR : chaque tâche attend qu’on la termine à la main (finish)
+function fakeWorkers() {
+  const workers = [];
+  return {
+    workers,
+    factory: async () => {
+      const w = { id: workers.length + 1, terminated: false, terminate: async () => { w.terminated = true; } };
+      workers.push(w);
+      return w;
+    },
+  };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+
+test("pool-ocr-concurrence-limitee", async () => {
+  const { workers, factory } = fakeWorkers();
+  const pool = createWorkerPool(factory, 2);
+  const jobs = Array.from({ length: 5 }, deferred);
+  let active = 0;
+  let peak = 0;
+  const results = Promise.all(jobs.map(job => pool.run(async (worker) => {
+    peak = Math.max(peak, ++active);
+    const text = await job.promise;
+    active--;
+    return `${text} (worker ${worker.id})`;
+  })));
+
+  // Terminées dans le désordre : résultats dans l’ordre des tâches
+  for (const i of [1, 0, 4, 3, 2]) {
+    await tick();
+    jobs[i].resolve(`page ${i + 1}`);
+  }
+  const texts = await results;
+  assert.deepEqual(texts.map(t => t.split(" (")[0]), ["page 1", "page 2", "page 3", "page 4", "page 5"]);
+  assert.equal(peak, 2);
+  assert.equal(workers.length, 2);
+  await pool.terminate();
+  assert.ok(workers.every(w => w.terminated));
+});
+
+test("pool-ocr-annulation", async () => {
+  const { workers, factory } = fakeWorkers();
+  const pool = createWorkerPool(factory, 1);
+  const done = pool.run(async () => "page 1");
+  const running = pool.run(() => new Promise(() => {}));
+  const waiting = pool.run(async () => "jamais lancée");
+  assert.equal(await done, "page 1");
+  await tick();
+
+  await pool.terminate();
+  for (const p of [running, waiting, pool.run(async () => "après arrêt")]) {
+    await assert.rejects(p, err => isCancelled(err));
+  }
+  assert.deepEqual(workers.map(w => w.terminated), [true]);
+});
+
+test("pool-ocr-temps-restant", () => {
+  const now = 100_000;
+  // Moyenne des pages terminées : 11 s ; page en cours à mi-parcours depuis 5 s ; 2 pages en attente ; 2 workers
+  assert.equal(estimateRemainingMs({
+    finishedMs: [10_000, 12_000],
+    running: [{ startedAt: now - 5_000, pct: 50 }],
+    pending: 2,
+    concurrency: 2,
+    now,
+  }), 13_500);
+  assert.equal(estimateRemainingMs({ running: [{ startedAt: now, pct: 0 }], pending: 3, now }), null);
+  assert.equal(formatDuration(75_000), "1 min 15 s");
+  assert.equal(formatDuration(null), "?");
+});
+
+/* -------------------------
+   sheets.js : tableaux aplatis, CSV et classeur
+-------------------------- */
+
+// Parties écrites par buildXlsx, à la place d’une instance JSZip
+function xlsxParts(sheets) {
+  const parts = new Map();
+  buildXlsx({ file: (name, content) => parts.set(name, content) }, sheets);
+  return parts;
+}
+
+test("tableurs-une-ligne-par-element", async () => {
+  const project = await parsedFixture("affaire-groupee-trois-pdl");
+  const sheets = buildSheets([
+    { fileName: "a.pdf", project },
+    { fileName: "b.pdf", project: null },
+  ]);
+  assert.deepEqual(sheets.map(s => s.id), ["resume", "hta", "bt_reprises", "raccordements", "pdls"]);
+
+  const byId = Object.fromEntries(sheets.map(s => [s.id, s]));
+  const col = (sheet, title) => byId[sheet].rows.map(r => r[byId[sheet].header.indexOf(title)]);
+  assert.deepEqual(byId.hta.header.slice(0, 2), ["Fichier", "N° RAC"]);
+  assert.deepEqual(col("hta", "Longueur (m)"), [420, 85]);
+  assert.deepEqual(col("pdls", "Nom du dossier"), ["GAEC DES CHAMPS", "M. DUPONT JEAN", "COMMUNE DE VILLENEUVE"]);
+  assert.deepEqual(col("pdls", "N° RAC"), Array(3).fill("RAC-DEF-03-100001"));
+  // Plan sans poste (ni projet) : une ligne de résumé quand même
+  assert.deepEqual(col("resume", "Fichier"), ["a.pdf", "b.pdf"]);
+  assert.deepEqual(col("resume", "Poste DP"), ["12450P0021", null]);
+  assert.deepEqual(col("resume", "Longueur HTA (m)"), [505, 0]);
+});
+
+test("tableurs-csv-a-la-francaise", () => {
+  const csv = csvText(["Nom", "Longueur (m)", "Note"], [
+    ["SCI « Les Vignes »; lot 2", 12.5, null],
+    ['dit "le Haut"', 3, "ligne 1\nligne 2"],
+  ]);
+  assert.equal(csv, "\uFEFFNom;Longueur (m);Note\r\n"
+    + "\"SCI « Les Vignes »; lot 2\";12,5;\r\n"
+    + "\"dit \"\"le Haut\"\"\";3;\"ligne 1\nligne 2\"\r\n");
+});
+
+test("tableurs-colonnes-au-dela-de-z", () => {
+  const header = Array.from({ length: 28 }, (_, i) => `C${i + 1}`);
+  const parts = xlsxParts([{ title: "Large", header, rows: [header.map((_, i) => i)] }]);
+  const xml = parts.get("xl/worksheets/sheet1.xml");
+  assert.match(xml, /<c r="Z2"><v>25<\/v><\/c><c r="AA2"><v>26<\/v><\/c><c r="AB2"><v>27<\/v><\/c>/);
+  assert.match(xml, /<autoFilter ref="A1:AB2"\/>/);
+});
+
+test("tableurs-noms-de-feuille-uniques", () => {
+  const long = "Estimation détaillée du lot n°12 / plans";
+  const sheets = ["Estimation", "estimation", long, long, "Zones [A:B]"]
+    .map(title => ({ title, header: ["x"], rows: [] }));
+  const names = [...xlsxParts(sheets).get("xl/workbook.xml").matchAll(/<sheet name="([^"]*)"/g)].map(m => m[1]);
+  assert.deepEqual(names, [
+    "Estimation",
+    "estimation 2",
+    "Estimation détaillée du lot n°1",
+    "Estimation détaillée du lot  2",
+    "Zones  A B ",
+  ]);
+  assert.ok(names.every(n => n.length <= 31));
+});
+
+/* -------------------------
+   library.js : valeurs de recherche, recherche, archive
+-------------------------- */
+
+test("bibliotheque-cles-de-recherche", async () => {
+  const project = await parsedFixture("affaire-groupee-trois-pdl");
+  const expected = {
+    rac: ["RAC-DEF-03-100001", "RAC-DEF-03-100002", "RAC-DEF-03-100003"],
+    postes: ["12450P0021"],
+    insee: ["12450"],
+    noms: ["GAEC DES CHAMPS", "M. DUPONT JEAN", "COMMUNE DE VILLENEUVE"],
+    prms: ["09876543210987"],
+  };
+  assert.deepEqual(libraryKeys(project), expected);
+  assert.deepEqual(libraryKeys(shapeProject(structuredClone(project), "normalized")), expected);
+  assert.deepEqual(libraryKeys(null), { rac: [], postes: [], insee: [], noms: [], prms: [] });
+});
+
+test("bibliotheque-recherche-sans-accents-ni-espaces", async () => {
+  const parsed = await parsedFixture("affaire-groupee-trois-pdl");
+  // Clés calculées sur la version relue : le nom corrigé se trouve, l’ancien non
+  const reviewed = structuredClone(parsed);
+  reviewed.pdls[0].nom_dossier = "GAEC DES PRÉS";
+  const older = { ...makeLibraryRecord({ id: "a", fileName: "plan-a.pdf", ocrText: "", parsed }, reviewed), savedAt: 1 };
+  const newer = { ...makeLibraryRecord({ id: "b", fileName: "plan-b.pdf", ocrText: "", parsed: {} }), savedAt: 2 };
+
+  assert.deepEqual(searchLibrary([older, newer], "12450 p0021").map(r => [r.record.id, r.matches]),
+    [["a", [{ field: "postes", value: "12450P0021" }]]]);
+  assert.deepEqual(searchLibrary([older, newer], "gaec des pres").map(r => r.record.id), ["a"]);
+  assert.deepEqual(searchLibrary([older, newer], "GAEC DES CHAMPS"), []);
+  assert.deepEqual(searchLibrary([older, newer], "plan-b").map(r => r.record.id), ["b"]);
+  assert.deepEqual(searchLibrary([older, newer], " ").map(r => r.record.id), ["b", "a"]);
+});
+
+test("bibliotheque-archive", async () => {
+  const parsed = await parsedFixture("affaire-groupee-trois-pdl");
+  const record = makeLibraryRecord({ id: "a", fileName: "plan-a.pdf", ocrText: "texte", parsed });
+  const { keys, ...withoutKeys } = record;
+  const archive = JSON.stringify(makeArchive([withoutKeys, { id: "b", ocrText: "texte" }]));
+
+  // Enregistrement incomplet écarté, clés recalculées si absentes
+  assert.deepEqual(parseArchive(archive), [JSON.parse(JSON.stringify(record))]);
+  assert.throws(() => parseArchive({ format: "autre", projects: [] }), /pas une archive/);
+  assert.throws(() => parseArchive({ format: "aps-ocr-library", version: 99, projects: [] }), /version 99/);
+});
+
+test("bibliotheque-identifiant-hors-contexte-securise", () => {
+  const crypto = Object.getOwnPropertyDescriptor(globalThis, "crypto");
+  try {
+    Object.defineProperty(globalThis, "crypto", { value: {}, configurable: true });
+    const ids = new Set(Array.from({ length: 50 }, () => newLibraryId()));
+    assert.equal(ids.size, 50);
+    assert.ok([...ids].every(id => /^[0-9a-z]+-[0-9a-z]+$/.test(id)));
+  } finally {
+    Object.defineProperty(globalThis, "crypto", crypto);
+  }
+  assert.match(newLibraryId(), /^[0-9a-f]{8}-[0-9a-f]{4}-/);
+});
+
+/* -------------------------
+   communes.js : codes INSEE proches d’un code inexistant
+-------------------------- */
+
+const COMMUNES = createCommuneReferential({
+  format: "aps-ocr-communes",
+  version: 1,
+  communes: { 12202: "Rodez", 12203: "Rullac", 12208: "Salmiech", 13206: "Marseille 6e", 81206: "Ailleurs" },
+});
+const codes = list => list.map(c => c.insee);
+
+test("insee-voisins-confusions-ocr-d-abord", () => {
+  // 8 ↔ 6 : confusion OCR courante ; puis même département, puis code le plus proche
+  assert.deepEqual(codes(nearestInseeCodes(COMMUNES, "12206")), ["12208", "12203", "12202"]);
+  assert.deepEqual(nearestInseeCodes(COMMUNES, "12206", 1), [{ insee: "12208", commune: "Salmiech", departement: "12" }]);
+});
+
+test("insee-voisins-chiffres-inverses", () => {
+  assert.deepEqual(codes(nearestInseeCodes(COMMUNES, "12022")), ["12202"]);
+});
+
+test("insee-voisins-sans-reponse", () => {
+  assert.ok(!codes(nearestInseeCodes(COMMUNES, "12202")).includes("12202"), "jamais le code lu lui-même");
+  assert.deepEqual(nearestInseeCodes(COMMUNES, "99999"), []);
+  assert.deepEqual(nearestInseeCodes(COMMUNES, "2A004"), []);
+  assert.deepEqual(nearestInseeCodes(createCommuneReferential(), "12206"), []);
+});
+
+/* -------------------------
+   preprocess.js : binarisation, redressement, nettoyage (images synthétiques)
+-------------------------- */
+
+const BLACK = 0;
+const WHITE = 255;
+
+// Image binaire blanche de width × height ; draw(set) y trace en noir
+function binaryImage(width, height, draw) {
+  const px = new Uint8Array(width * height).fill(WHITE);
+  draw((x, y) => {
+    if (x >= 0 && x < width && y >= 0 && y < height) px[Math.round(y) * width + Math.round(x)] = BLACK;
+  });
+  return px;
+}
+
+const blacks = px => px.reduce((n, v) => n + (v === BLACK), 0);
+
+test("pretraitement-seuil-otsu", () => {
+  // Papier gris clair, encre gris foncé, un peu de bruit
+  const grey = Uint8Array.from({ length: 4000 }, (_, i) => (i % 5 ? 200 : 60) + (i % 7) - 3);
+  const t = otsuThreshold(grey);
+  assert.ok(t >= 63 && t < 197, `seuil ${t}`);
+
+  const data = new Uint8ClampedArray(grey.length * 4);
+  grey.forEach((v, i) => data.set([v, v, v, 255], i * 4));
+  const { image } = preprocessImage({ width: 80, height: 50, data }, { mode: "otsu", deskew: false, despeckle: false });
+  assert.deepEqual(new Set(image.data), new Set([0, 255]));
+});
+
+test("pretraitement-redressement", () => {
+  const [width, height] = [300, 200];
+  const slope = Math.tan((2 * Math.PI) / 180);
+  // Lignes « de texte » qui descendent vers la droite de 2°
+  const skewed = binaryImage(width, height, (set) => {
+    for (let y0 = 30; y0 < 170; y0 += 20) {
+      for (let x = 10; x < 290; x++) for (let k = 0; k < 3; k++) set(x, y0 + k + x * slope);
+    }
+  });
+  const skew = estimateSkew(skewed, width, height);
+  assert.ok(Math.abs(skew - 2) <= 0.2, `inclinaison ${skew}`);
+  assert.ok(Math.abs(estimateSkew(rotate(skewed, width, height, skew), width, height)) <= 0.2);
+  assert.equal(estimateSkew(new Uint8Array(width * height).fill(WHITE), width, height), 0);
+});
+
+test("pretraitement-nettoyage", () => {
+  const [width, height] = [120, 60];
+  const px = binaryImage(width, height, (set) => {
+    set(5, 5);
+    set(6, 5);
+    for (let x = 30; x < 35; x++) for (let y = 30; y < 35; y++) set(x, y);
+    for (let x = 0; x < 110; x++) set(x, 50);
+  });
+  despeckle(px, width, height, 4);
+  assert.equal(px[5 * width + 5], WHITE, "point isolé effacé");
+  assert.equal(blacks(px), 25 + 110);
+
+  removeLongLines(px, width, height, 40);
+  assert.equal(blacks(px), 25, "trait long effacé, tache conservée");
+});
+
+/* -------------------------
+   offline.json : fichiers pré-cachés par le service worker (sw.js)
+-------------------------- */
+
+// Servis sans passer par le pré-cache : le service worker lui-même et sa liste
+const NOT_PRECACHED = new Set(["sw.js", "offline.json", ".nojekyll"]);
+const isLicence = path => /(^|\/)(LICENSE[^/]*|\.gitkeep)$/.test(path);
+
+async function offlineManifest() {
+  const manifest = JSON.parse(await readFile(new URL("offline.json", DOCS_DIR), "utf8"));
+  return new Set([...manifest.shell, ...Object.keys(manifest.vendor), ...manifest.optional]);
+}
+
+test("hors-ligne-liste-complete", async () => {
+  const listed = await offlineManifest();
+  const root = fileURLToPath(DOCS_DIR);
+  const files = (await readdir(root, { recursive: true, withFileTypes: true }))
+    .filter(d => d.isFile())
+    .map(d => relative(root, join(d.parentPath ?? d.path, d.name)).split(sep).join("/"));
+
+  const unlisted = files.filter(f => !listed.has(f) && !NOT_PRECACHED.has(f) && !isLicence(f));
+  assert.deepEqual(unlisted, [], "fichiers de l’application absents de offline.json");
+  const missing = [...listed].filter(f => f !== "./" && !files.includes(f));
+  assert.deepEqual(missing, [], "fichiers de offline.json absents du dépôt");
+});
+
+test("hors-ligne-page-sans-origine-externe", async () => {
+  const listed = await offlineManifest();
+  const html = await readFile(new URL("index.html", DOCS_DIR), "utf8");
+  const refs = [...html.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/g)].map(m => m[1]);
+  assert.ok(refs.length > 0);
+  for (const ref of refs) {
+    assert.ok(ref.startsWith("./"), `${ref} : ressource hors de l’origine`);
+    assert.ok(listed.has(ref.slice(2)), `${ref} : absent de offline.json`);
+  }
+});
+
+/* -------------------------
+   Main
+-------------------------- */
+
+async function main(argv) {
+  const unknown = argv.filter(n => !CASES.has(n));
+  if (unknown.length) {
+    console.error(`Cas inconnu(s) : ${unknown.join(", ")}`);
+    return 2;
+  }
+  const names = argv.length ? argv : [...CASES.keys()];
+  let failed = 0;
+  for (const name of names) {
+    try {
+      await CASES.get(name)();
+      console.log(`✓ ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`✗ ${name}`);
+      console.log(`    ${String(err.message ?? err).split("\n").join("\n    ")}`);
+    }
+  }
+  console.log(`\n${names.length - failed}/${names.length} cas OK`);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(err);
+    process.exitCode = 2;
+  }
+);